@@ -0,0 +1,87 @@
+/**
+ * migrate.js — Migraciones del esquema de la base de datos (config.database.path / DB_PATH)
+ *
+ * Uso:
+ *   node scripts/migrate.js                 aplica todas las pendientes (lo mismo que al arrancar el servidor)
+ *   node scripts/migrate.js to <version>    lleva el esquema a esa versión (aplica o deshace; 0 = deshacer todo)
+ *   node scripts/migrate.js down [pasos]    deshace las últimas migraciones aplicadas (1 por defecto)
+ *   node scripts/migrate.js status          muestra la versión actual y el estado de cada migración
+ *
+ * Deshacer una migración puede borrar datos: conviene copiar el archivo .sqlite antes.
+ */
+
+const database = require('../src/config/database');
+const MigrationService = require('../src/services/migrationService');
+
+/**
+ * Convierte un argumento numérico; termina con error si no lo es.
+ * @param {string} value
+ * @param {string} label
+ * @returns {number}
+ */
+function toInteger(value, label) {
+  if (!/^\d+$/.test(value || '')) {
+    throw new Error(`${label} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Muestra el resultado de migrate / rollback.
+ * @param {Object} result - { from, to, applied, reverted }
+ */
+function printResult({ from, to, applied, reverted }) {
+  if (applied.length === 0 && reverted.length === 0) {
+    console.log(`Schema already at version ${to}`);
+    return;
+  }
+  for (const version of applied) {
+    console.log(`Applied ${version}`);
+  }
+  for (const version of reverted) {
+    console.log(`Reverted ${version}`);
+  }
+  console.log(`Schema migrated from version ${from} to ${to}`);
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  await database.init();
+
+  switch (command) {
+    case 'up':
+      printResult(await MigrationService.migrate());
+      break;
+
+    case 'to':
+      printResult(await MigrationService.migrate({ to: toInteger(arg, 'Version') }));
+      break;
+
+    case 'down':
+      printResult(await MigrationService.rollback({ steps: arg === undefined ? 1 : toInteger(arg, 'Steps') }));
+      break;
+
+    case 'status': {
+      const { current, latest, migrations } = await MigrationService.status();
+      console.log(`Current version: ${current} (latest: ${latest})`);
+      for (const migration of migrations) {
+        console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(30)} ${migration.status.padEnd(8)} ${migration.appliedAt || ''}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command '${command}'. Use: up, to <version>, down [steps] or status`);
+  }
+}
+
+main()
+  .then(() => {
+    database.close();
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    database.close();
+    process.exitCode = 1;
+  });
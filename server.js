@@ -12,6 +12,8 @@ const config = require('./src/config/config');
 const App = require('./src/app');
 const logger = require('./src/utils/logger');
 const Database =require('./src/config/database')
+const ExcelSyncService = require('./src/services/excelSyncService');
+const ExcelOutboxService = require('./src/services/excelOutboxService');
 /**
  * startServer
  *
@@ -53,10 +55,16 @@ async function startServer() {
         - POST /api/auth/refresh  
         - POST /api/auth/logout
         - GET /api/users/profile
-        - GET /api/users (Admin only)
-        - POST /api/users (Admin only)
+        - GET /api/users (users:read)
+        - POST /api/users (users:create)
         - PUT /api/users/:id
-        - POST /api/users/sync (Admin only)
+        - POST /api/users/sync (users:sync)
+        - GET /api/users/sync/jobs (users:sync)
+        - POST /api/users/sync/reconcile (users:sync)
+        - GET /api/users/sync/backups (users:sync)
+        - GET /api/roles (roles:read)
+        - GET /api/api-keys (apikeys:manage)
+        - GET /api/audit (audit:read)
       `);
     });
 
@@ -74,6 +82,10 @@ async function startServer() {
     const gracefulShutdown = (signal) => {
       logger.info(`Received ${signal}. Starting graceful shutdown...`);
 
+      // Dejar de vigilar el Excel y de programar sincronizaciones y reintentos de la bandeja de salida
+      ExcelSyncService.stopAutomaticSync();
+      ExcelOutboxService.stop();
+
       // Cerrar la conexión a la base de datos primero
       try {
         Database.close();
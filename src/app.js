@@ -6,12 +6,20 @@ const path = require('path');
 // Importar rutas
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
 
 // Importar middlewares/servicios
 const { apiLimiter } = require('./middleware/rateLimiter');
 const database = require('./config/database');
 const userService = require('./services/userService');
+const ExcelSyncService = require('./services/excelSyncService');
+const ExcelOutboxService = require('./services/excelOutboxService');
+const MigrationService = require('./services/migrationService');
+const SyncRun = require('./models/syncRun');
 const logger = require('./utils/logger');
+const config = require('./config/config');
 
 /**
  * Clase App
@@ -46,21 +54,23 @@ class App {
 
         // Configuración de CORS
         this.app.use(cors({
-            origin: process.env.FRONTEND_URL || 'http://localhost:3001',
+            origin: config.frontendUrl,
             credentials: true,
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization']
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+            // El ETag es necesario para enviar If-Match en PUT/PATCH
+            exposedHeaders: ['ETag']
         }));
 
-        // Parseo del body (JSON y URL-encoded) con límite de 10mb
-        this.app.use(express.json({ limit: '10mb' }));
+        // Parseo del body (JSON, JSON Merge Patch y URL-encoded) con límite de 10mb
+        this.app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
         // Rate limiting aplicado a todas las rutas bajo /api
         this.app.use('/api', apiLimiter);
 
         // Servir archivos estáticos (ej. uploads de imágenes/adjuntos)
-        this.app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+        this.app.use('/uploads', express.static(path.resolve(config.uploads.path)));
 
         // Middleware para logging de cada request
         this.app.use((req, res, next) => {
@@ -78,6 +88,9 @@ class App {
      * - /api/health       -> healthcheck
      * - /api/auth         -> authRoutes (login, refresh, logout)
      * - /api/users        -> userRoutes (CRUD usuarios)
+     * - /api/roles        -> roleRoutes (roles y permisos)
+     * - /api/api-keys     -> apiKeyRoutes (API keys de integraciones)
+     * - /api/audit        -> auditRoutes (registro de auditoría)
      * - '*'               -> handler 404 para rutas no encontradas
      */
     setupRoutes() {
@@ -94,6 +107,9 @@ class App {
         // Rutas principales de la API
         this.app.use('/api/auth', authRoutes);
         this.app.use('/api/users', userRoutes);
+        this.app.use('/api/roles', roleRoutes);
+        this.app.use('/api/api-keys', apiKeyRoutes);
+        this.app.use('/api/audit', auditRoutes);
 
         this.app.use(/.*/, (req, res) => {
             res.status(404).json({
@@ -129,9 +145,11 @@ class App {
 
     /**
      * Inicializa recursos críticos:
-     * - Inicializa la base de datos.
+     * - Inicializa la base de datos y aplica las migraciones pendientes (src/migrations).
      * - Crea un admin por defecto si no hay usuarios.
      * - Inicializa usuarios desde un archivo Excel (sincronización inicial).
+     * - Arranca el worker que aplica los cambios al Excel espejo y la sincronización automática
+     *   (config.excel.watch / syncInterval).
      *
      * Importante: este método debe llamarse antes de empezar a escuchar conexiones.
      */
@@ -139,14 +157,33 @@ class App {
         try {
             // Inicializar conexión/estructura de la base de datos
             await database.init();
+
+            // Llevar el esquema a la última versión y sembrar permisos y roles por defecto
+            const { from, to, applied } = await MigrationService.migrate();
+            if (applied.length > 0) {
+                logger.info('Database schema migrated', { from, to, applied });
+            }
+            await database.seedRoles();
             logger.info('Database initialized successfully');
 
             // Crear admin por defecto si la tabla de usuarios está vacía
             await userService.createDefaultAdmin();
 
+            // Sincronizaciones que quedaron en cola o a medias si el proceso se detuvo
+            await SyncRun.failUnfinished();
+
+            // Aplicar las escrituras del Excel pendientes antes de comparar ambos lados
+            await ExcelOutboxService.process();
+
             // Importar usuarios desde Excel hacia la BD
             await userService.initializeUsersFromExcel();
 
+            // Worker de la bandeja de salida hacia el Excel (reintentos)
+            ExcelOutboxService.start();
+
+            // Sincronización automática (cambios en el archivo / periódica) si está configurada
+            ExcelSyncService.startAutomaticSync();
+
             logger.info('Application initialization completed');
         } catch (error) {
             // Registrar fallo de inicialización y re-lanzar para que el proceso caller lo maneje
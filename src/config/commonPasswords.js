@@ -0,0 +1,21 @@
+//commonPasswords.js
+//Contraseñas mas comunes (filtraciones publicas), en minusculas. La politica las rechaza aunque
+//cumplan las clases de caracteres (ej. 'Password1!' se compara como 'password1!' y como 'password').
+//Se pueden agregar mas con PASSWORD_BLOCKLIST_PATH (ver config.passwordPolicy).
+
+module.exports = [
+    '123456', '12345678', '123456789', '1234567890', '12345', '1234567', '111111', '000000',
+    '123123', '654321', '666666', '121212', '112233', '987654321', '123321', '1q2w3e4r',
+    '1qaz2wsx', 'qwerty', 'qwerty123', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'asdf1234',
+    'password', 'passw0rd', 'p@ssw0rd', 'p@ssword', 'password1', 'password12', 'password123',
+    'admin', 'admin123', 'administrator', 'root', 'toor', 'changeme', 'default', 'guest',
+    'welcome', 'welcome1', 'letmein', 'iloveyou', 'trustno1', 'whatever', 'secret',
+    'monkey', 'dragon', 'master', 'shadow', 'sunshine', 'princess', 'football', 'baseball',
+    'soccer', 'superman', 'batman', 'starwars', 'pokemon', 'michael', 'jennifer', 'charlie',
+    'login', 'abc123', 'abcd1234', 'test', 'test123', 'testing', 'user', 'usuario',
+    'contraseña', 'contrasena', 'clave', 'clave123', 'micontraseña', 'bienvenido', 'hola',
+    'hola123', 'teamo', 'tequiero', 'futbol', 'america', 'colombia', 'mexico', 'argentina',
+    'logistica', 'logistico', 'apilogistico', 'almacen', 'bodega', 'conductor', 'transporte',
+    'qazwsx', 'azerty', 'mustang', 'access', 'flower', 'hello', 'freedom', 'ninja', 'summer',
+    'winter', 'spring', 'autumn', 'january', 'company', 'empresa'
+];
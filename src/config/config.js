@@ -24,13 +24,144 @@ module.exports = {
         //Tiempo de expiracion para refresh tokens
         refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
     },
+
+    //Autenticacion en dos pasos (TOTP)
+    twoFactor: {
+        //Nombre que muestran las apps autenticadoras junto a la cuenta
+        issuer: process.env.TWO_FACTOR_ISSUER || 'API Logistico',
+
+        //SECRET para firmar el challenge token del segundo paso del login
+        //(distinto del de access tokens para que un challenge nunca sirva como access token)
+        challengeSecret: process.env.JWT_CHALLENGE_SECRET || `${process.env.JWT_SECRET}.2fa`,
+
+        //Tiempo que tiene el usuario para introducir el codigo tras la contraseña
+        challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+
+        //Cantidad de codigos de recuperacion de un solo uso que se generan
+        recoveryCodes: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10
+    },
+    //URL del front-end (enlaces en correos: reset de contraseña, invitaciones...)
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3001',
+
+    //Envio de correos
+    mail: {
+        //Transporte a usar: 'file' (outbox en disco, desarrollo) o 'log' (solo registra en logs)
+        transport: process.env.MAIL_TRANSPORT || 'file',
+
+        //Remitente por defecto
+        from: process.env.MAIL_FROM || 'no-reply@api-logistico.local',
+
+        //Carpeta donde el transporte 'file' deja cada mensaje como un archivo .json
+        outboxDir: process.env.MAIL_OUTBOX_DIR || './data/outbox'
+    },
+
+    //Recuperacion de contraseña
+    passwordReset: {
+        //Minutos de validez del enlace de reset
+        tokenExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60
+    },
+
+    //Invitaciones de usuarios creados por un admin
+    invitations: {
+        //Horas de validez del enlace de invitacion
+        tokenExpiresHours: parseInt(process.env.INVITATION_EXPIRES_HOURS, 10) || 72
+    },
+
+    //Politica de contraseñas (ver src/services/passwordPolicyService.js)
+    passwordPolicy: {
+        //Longitud minima y maxima (bcrypt solo usa los primeros 72 bytes)
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+        maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72,
+
+        //Clases de caracteres exigidas (desactivar con 'false')
+        requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+        requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+        requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+        requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+
+        //Archivo opcional con contraseñas prohibidas adicionales (una por linea)
+        blocklistPath: process.env.PASSWORD_BLOCKLIST_PATH || null,
+
+        //Cantidad de contraseñas anteriores que no se pueden reutilizar (0 = sin historial)
+        historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10),
+
+        //Dias de validez de una contraseña; al vencer se exige cambiarla en el siguiente login (0 = no vence)
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10),
+
+        //Tiempo para elegir la nueva contraseña cuando la actual vencio
+        changeTokenExpiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '10m'
+    },
+
+    //API keys para integraciones (WMS, transportistas...)
+    apiKeys: {
+        //Ventana del rate limit por clave, en minutos
+        rateLimitWindow: parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW, 10) || 1, //MINUTOS
+
+        //Requests por ventana para las claves que no definen su propio limite
+        defaultRateLimit: parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 10) || 60
+    },
+
+    //Perfiles de usuario
+    profiles: {
+        //Idiomas que puede elegir un usuario (codigos ISO 639-1) y el que se usa por defecto
+        supportedLanguages: (process.env.SUPPORTED_LANGUAGES || 'es,en,pt').split(',').map(lang => lang.trim()).filter(Boolean),
+        defaultLanguage: process.env.DEFAULT_LANGUAGE || 'es'
+    },
+
+    //Archivos subidos (avatares), servidos en /uploads
+    uploads: {
+        //Carpeta raiz de los uploads
+        path: process.env.UPLOADS_PATH || './uploads',
+
+        //Tamaño maximo de un avatar en bytes (2 MB)
+        avatarMaxSize: parseInt(process.env.AVATAR_MAX_SIZE, 10) || 2 * 1024 * 1024,
+
+        //Importacion de usuarios (POST /api/users/import): tamaño maximo del archivo (5 MB) y filas por archivo
+        importMaxSize: parseInt(process.env.IMPORT_MAX_SIZE, 10) || 5 * 1024 * 1024,
+        importMaxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000
+    },
+
     //Ruta a a la bd
     database: {
-        path: process.env.DB_PATH || './data/database.sqlite'
+        path: process.env.DB_PATH || './data/database.sqlite',
+
+        //Milisegundos que una escritura espera a que termine una transaccion en curso antes de fallar
+        busyTimeout: parseInt(process.env.DB_BUSY_TIMEOUT, 10) || 10000
     },
     //Ruta al excel usado para sincronizacion/Carga inicial
     excel: {
-        path: process.env.EXCEL_PATH || './data/users.xlsx'
+        path: process.env.EXCEL_PATH || './data/users.xlsx',
+
+        //JSON con cabeceras, valores y hojas que se agregan al mapeo incluido (ver config/excelMapping.js)
+        mappingPath: process.env.EXCEL_MAPPING_PATH || null,
+
+        //Credenciales en el Excel espejo: por defecto no se escriben los hashes de contraseña (la columna se quita)
+        includePasswordHashes: process.env.EXCEL_INCLUDE_PASSWORD_HASHES === 'true',
+
+        //Que hacer con la columna password al crear usuarios desde el Excel: 'none' (se ignora y se envia una invitacion),
+        //'hashed' (hash bcrypt que se guarda tal cual) o 'plaintext' (contraseña que cumple la politica; se hashea una vez)
+        passwordMode: process.env.EXCEL_PASSWORD_MODE || 'none',
+
+        //Politica ante conflictos de la sincronizacion (el usuario cambio en la BD y en el Excel desde la ultima):
+        //'db' (gana la BD), 'sheet' (gana el Excel), 'newest' (gana el updated_at mas reciente) o 'report' (solo informar)
+        syncConflictPolicy: process.env.EXCEL_SYNC_CONFLICT_POLICY || 'newest',
+
+        //Sincronizar en segundo plano cuando alguien edita el archivo (se espera watchDebounce ms sin cambios)
+        watch: process.env.EXCEL_SYNC_WATCH === 'true',
+        watchDebounce: parseInt(process.env.EXCEL_SYNC_WATCH_DEBOUNCE, 10) || 5000, //MILISEGUNDOS
+
+        //Sincronizacion periodica cada syncInterval minutos (0 = desactivada)
+        syncInterval: parseInt(process.env.EXCEL_SYNC_INTERVAL, 10) || 0, //MINUTOS
+
+        //Bandeja de salida hacia el Excel: cada cuanto se revisa, espera antes del primer reintento
+        //(se duplica en cada intento) e intentos antes de dejar una escritura como fallida
+        outboxPollInterval: parseInt(process.env.EXCEL_OUTBOX_POLL_INTERVAL, 10) || 10, //SEGUNDOS
+        outboxRetryDelay: parseInt(process.env.EXCEL_OUTBOX_RETRY_DELAY, 10) || 30, //SEGUNDOS
+        outboxMaxAttempts: parseInt(process.env.EXCEL_OUTBOX_MAX_ATTEMPTS, 10) || 10,
+
+        //Copias del Excel antes de cada escritura: carpeta y cuantas se conservan (0 = sin copias)
+        backupDir: process.env.EXCEL_BACKUP_DIR || './data/backups',
+        backupCount: parseInt(process.env.EXCEL_BACKUP_COUNT || '20', 10)
     },
 
     //Parametros de seguridad y limitacion
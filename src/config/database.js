@@ -4,27 +4,42 @@ const sqlite3 = require('sqlite3').verbose();
 //Importa modulos para manejar rutas y sistema de archivos
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 //Importa la configuracion del proyecto (ruta de base de datos, etc)
 const config = require('./config');
 
+//Catalogo de permisos y roles por defecto
+const { PERMISSIONS, DEFAULT_ROLES } = require('./rbac');
+
 /** 
  * clase Database
  * Esta clase maneja la conexion a la base de datos SQLITE,
- * La creacion de tablas y la gestion de la conexion
+ * la siembra de roles y la gestion de la conexion.
+ * Las tablas las crean y modifican las migraciones (src/migrations, ver MigrationService);
+ * addColumnIfMissing, makeColumnNullable y rebuildTable son ayudas para ellas.
+ *
+ * Las transacciones usan una conexion propia (ver transaction): las sentencias de otras
+ * peticiones van por la conexion principal y no quedan dentro de una transaccion ajena.
 */
 
 class Database{
     constructor(){
         //variable que almacenara la instancia de la base de datos
         this.db=null
+        //conexion dedicada a las transacciones
+        this.transactionDb=null
+        //cola que evita que dos transacciones se mezclen sobre la conexion de transacciones
+        this.transactionQueue=Promise.resolve()
+        //transaccion en curso del flujo asincrono actual: { active, depth }
+        this.transactionContext=new AsyncLocalStorage()
     }
 
     /**
      * Inicializa la base de datos
      *  - cverifica que el directorio para la base de datos exista si no, la crea.
-     *  - conecta a la base de dastos sqlite
-     *  - crea tablas necesarias si no existen.
+     *  - conecta a la base de dastos sqlite (conexion principal y conexion de transacciones)
+     * No crea tablas: eso lo hacen las migraciones (MigrationService.migrate) antes de seedRoles.
      */
     async init(){
         try{
@@ -36,11 +51,9 @@ class Database{
                 fs.mkdirSync(dataDir, {recursive: true});
             }
 
-            //crea una nueva instancia de la base de datos SQLite
-            this.db= new sqlite3.Database(config.database.path);
-
-            //llama a la funcion para crear tablas
-            await this.createTables();
+            //crea las conexiones a la base de datos SQLite
+            this.db= await this.connect();
+            this.transactionDb= await this.connect();
 
             console.log('Database initialized succesfully');
         }catch (error){
@@ -50,78 +63,306 @@ class Database{
     }
 
     /**
-     * Crea las tablas necesarias en la base de datos
-     * - users: tabla de usuarios
-     * - refresh_tokens tabla de tokens de actualizacion (refresh tokens)
+     * Abre una conexion al archivo de la base de datos.
+     * Mientras la otra conexion tiene una transaccion abierta, las escrituras esperan hasta
+     * config.database.busyTimeout ms en lugar de fallar con SQLITE_BUSY.
+     * @returns {Promise<sqlite3.Database>}
+     */
+    connect(){
+        return new Promise((resolve, reject)=>{
+            const db = new sqlite3.Database(config.database.path, (err)=>{
+                if(err){
+                    reject(err);
+                    return;
+                }
+                db.configure('busyTimeout', config.database.busyTimeout);
+                //Una sentencia a la vez por conexion: las que esperan el bloqueo no ocupan todo el pool de hilos
+                db.serialize();
+                resolve(db);
+            });
+        });
+    }
+
+    /**
+     * Siembra el catalogo de permisos y los roles por defecto (src/config/rbac.js).
+     * - Los permisos nuevos se agregan; las descripciones se actualizan.
+     * - Un rol por defecto solo recibe sus permisos al crearse, para no pisar
+     *   cambios hechos luego por un admin. 'admin' siempre tiene todos los permisos.
+     * - Cualquier valor de users.role sin fila en roles (ej. importado de Excel) se
+     *   registra como rol sin permisos, de modo que los usuarios existentes sigan funcionando.
+     * @returns {Promise<void>}
+     */
+    async seedRoles(){
+        for(const [name, description] of Object.entries(PERMISSIONS)){
+            await this.run(
+                'INSERT INTO permissions (name, description) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET description = excluded.description',
+                [name, description]
+            );
+        }
+
+        for(const [name, role] of Object.entries(DEFAULT_ROLES)){
+            const { changes } = await this.run(
+                'INSERT OR IGNORE INTO roles (name, description, is_system) VALUES (?, ?, 1)',
+                [name, role.description]
+            );
+
+            if(changes > 0){
+                await this.grantPermissions(name, role.permissions);
+            }
+        }
+
+        await this.grantPermissions('admin', Object.keys(PERMISSIONS));
+
+        await this.exec(`
+            INSERT OR IGNORE INTO roles (name, description)
+            SELECT DISTINCT role, 'Imported role' FROM users WHERE role NOT IN (SELECT name FROM roles)
+        `);
+    }
+
+    /**
+     * Asigna permisos a un rol (ignora los que ya tenga).
+     * @param {string} roleName
+     * @param {string[]} permissionNames
      * @returns {Promise<void>}
      */
+    async grantPermissions(roleName, permissionNames){
+        for(const permission of permissionNames){
+            await this.run(`
+                INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+                SELECT r.id, p.id FROM roles r, permissions p WHERE r.name = ? AND p.name = ?
+            `, [roleName, permission]);
+        }
+    }
 
-    createTables(){
+    /**
+     * Ejecuta una sentencia con parametros y devuelve lastID / changes.
+     * @param {string} sql
+     * @param {Array} [params]
+     * @returns {Promise<{lastID: number, changes: number}>}
+     */
+    run(sql, params = []){
         return new Promise((resolve, reject)=>{
-            //SQL para crear la tabla de usuarios
-            const createUsersTable= `
-                CREATE TABLE IF NOT EXISTS users (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    first_name TEXT NOT NULL,
-                    last_name TEXT NOT NULL,
-                    email TEXT UNIQUE NOT NULL,
-                    password TEXT NOT NULL,
-                    role TEXT NOT NULL DEFAULT 'user',
-                    status TEXT NOT NULL DEFAULT 'active',
-                    login_attempts INTEGER DEFAULT 0,
-                    locked_until DATETIME NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-             `;
-
-             //SQL para crear la tabla de refresh tokens
-             const createRefreshTokensTable= `
-                CREATE TABLE IF NOT EXISTS refresh_tokens (
-                   id INTEGER PRIMARY KEY AUTOINCREMENT,
-                   token TEXT NOT NULL,
-                   user_id INTEGER NOT NULL,
-                   expires_at DATETIME NOT NULL,
-                   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                   FOREIGN KEY (user_id) REFERENCES users (id)
-                )
-             `;
-
-             //Ejecuta la creacion de la tabla de usuarios
-             this.db.run(createUsersTable, (err) => {
+            this.getDb().run(sql, params, function(err){
                 if(err){
-                    reject(err); // si hay error, rechaza la promesa
+                    reject(err);
                     return;
                 }
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    /**
+     * Ejecuta una consulta con parametros y devuelve todas las filas.
+     * @param {string} sql
+     * @param {Array} [params]
+     * @returns {Promise<Object[]>}
+     */
+    all(sql, params = []){
+        return new Promise((resolve, reject)=>{
+            this.getDb().all(sql, params, (err, rows)=> err ? reject(err) : resolve(rows));
+        });
+    }
+
+    /**
+     * Ejecuta work dentro de una transaccion (COMMIT si termina bien, ROLLBACK si lanza).
+     * - Corre en la conexion de transacciones: todo lo que work ejecute (directa o indirectamente,
+     *   via getDb/run/exec/all) va a esa conexion; el resto de la aplicacion sigue en la principal
+     *   y sus escrituras esperan al COMMIT (busyTimeout).
+     * - Las transacciones se encolan: SQLite admite una sola por conexion.
+     * - Llamada desde dentro de otra transaccion no espera en la cola: usa un SAVEPOINT de la
+     *   transaccion en curso (si lanza, solo se deshace lo suyo).
+     * @param {() => Promise<T>} work
+     * @returns {Promise<T>} lo que devuelva work
+     * @template T
+     */
+    transaction(work){
+        const current = this.transactionContext.getStore();
+        if(current && current.active){
+            return this.savepoint(current, work);
+        }
 
-                //Ejecuta la creacion de la tabla refresh tokens
-                this.db.run(createRefreshTokensTable, (err)=>{
-                    if(err){
-                        reject(err); //si hay error, rechaza la promesa
-                        return;
+        const result = this.transactionQueue.then(()=>{
+            const context = { active: true, depth: 0 };
+            return this.transactionContext.run(context, async ()=>{
+                try{
+                    await this.exec('BEGIN IMMEDIATE TRANSACTION');
+                    try{
+                        const value = await work();
+                        await this.exec('COMMIT');
+                        return value;
+                    }catch (error){
+                        await this.exec('ROLLBACK');
+                        throw error;
                     }
-                    resolve(); // todo se creo correctamente
-                });
-             });
+                }finally{
+                    //Lo que siga corriendo en este flujo (timers, promesas sueltas) vuelve a la conexion principal
+                    context.active = false;
+                }
+            });
+        });
+
+        //La cola sigue aunque esta transaccion falle
+        this.transactionQueue = result.catch(()=>{});
+        return result;
+    }
+
+    /**
+     * Ejecuta work en un SAVEPOINT de la transaccion en curso (transaccion anidada).
+     * @param {Object} context - contexto de la transaccion en curso
+     * @param {() => Promise<T>} work
+     * @returns {Promise<T>}
+     * @template T
+     */
+    async savepoint(context, work){
+        const name = `nested_${++context.depth}`;
+        await this.exec(`SAVEPOINT ${name}`);
+        try{
+            const value = await work();
+            await this.exec(`RELEASE ${name}`);
+            return value;
+        }catch (error){
+            await this.exec(`ROLLBACK TO ${name}`);
+            await this.exec(`RELEASE ${name}`);
+            throw error;
+        }finally{
+            context.depth--;
+        }
+    }
+
+    /**
+     * Ejecuta fn fuera de la transaccion en curso, en la conexion principal.
+     * Para trabajo que se lanza desde una transaccion pero debe correr despues y por su cuenta
+     * (ej. el worker de la bandeja de salida), que si no heredaria la transaccion.
+     * @param {() => T} fn
+     * @returns {T}
+     * @template T
+     */
+    detach(fn){
+        return this.transactionContext.exit(fn);
+    }
+
+    /**
+     * Ejecuta una sentencia SQL sin parametros ni resultados (DDL, UPDATE masivo, etc.)
+     * @param {string} sql
+     * @returns {Promise<void>}
+     */
+    exec(sql){
+        return new Promise((resolve, reject)=>{
+            this.getDb().run(sql, (err)=>{
+                if(err){
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Agrega una columna a una tabla existente si todavia no existe.
+     * SQLite no soporta "ADD COLUMN IF NOT EXISTS", por eso se consulta PRAGMA table_info.
+     * @param {string} table
+     * @param {string} column
+     * @param {string} definition - tipo y restricciones de la columna (ej. 'TEXT NULL')
+     * @returns {Promise<void>}
+     */
+    addColumnIfMissing(table, column, definition){
+        return new Promise((resolve, reject)=>{
+            this.getDb().all(`PRAGMA table_info(${table})`, (err, columns)=>{
+                if(err){
+                    reject(err);
+                    return;
+                }
+
+                if(columns.some(col => col.name === column)){
+                    resolve();
+                    return;
+                }
+
+                this.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+                    .then(resolve)
+                    .catch(reject);
+            });
+        });
+    }
+
+    /**
+     * Quita la restriccion NOT NULL de una columna existente.
+     * SQLite no permite modificar columnas, asi que se reconstruye la tabla.
+     * @param {string} table
+     * @param {string} column
+     * @returns {Promise<void>}
+     */
+    async makeColumnNullable(table, column){
+        const columns = await new Promise((resolve, reject)=>{
+            this.getDb().all(`PRAGMA table_info(${table})`, (err, rows)=> err ? reject(err) : resolve(rows));
+        });
+
+        const info = columns.find(col => col.name === column);
+        if(!info || !info.notnull){
+            return;
+        }
+
+        await this.rebuildTable(table, sql => sql.replace(
+            new RegExp(`(\\b${column}\\s+\\w+)\\s+NOT\\s+NULL`, 'i'),
+            '$1 NULL'
+        ));
+    }
+
+    /**
+     * Reconstruye una tabla con una definicion modificada conservando sus filas.
+     * - Toma el CREATE TABLE actual de sqlite_master y le aplica transformSql.
+     * - Copia los datos a la tabla nueva, elimina la vieja y renombra.
+     * - Vuelve a crear los indices de la tabla (DROP TABLE los elimina).
+     * Debe llamarse dentro de una transaccion (cada migracion corre en la suya) para que
+     * un fallo no deje la tabla a medias.
+     * La transformacion no debe cambiar el orden ni la cantidad de columnas.
+     * @param {string} table
+     * @param {(sql: string) => string} transformSql
+     * @returns {Promise<void>}
+     */
+    async rebuildTable(table, transformSql){
+        const row = await new Promise((resolve, reject)=>{
+            this.getDb().get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table], (err, result)=> err ? reject(err) : resolve(result));
         });
+        //Los automaticos (UNIQUE / PRIMARY KEY) no tienen sql: los recrea el CREATE TABLE
+        const indexes = await this.all("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL", [table]);
+
+        const tempTable = `${table}__rebuild`;
+        const createSql = transformSql(row.sql)
+            .replace(/CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?["`]?\w+["`]?/i, `CREATE TABLE ${tempTable}`);
+
+        await this.exec(createSql);
+        await this.exec(`INSERT INTO ${tempTable} SELECT * FROM ${table}`);
+        await this.exec(`DROP TABLE ${table}`);
+        await this.exec(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+        for(const index of indexes){
+            await this.exec(index.sql);
+        }
     }
 
     /**
-     * Obtine la instancia a la base de datos
+     * Obtine la instancia a la base de datos: la conexion de transacciones si se llama
+     * desde dentro de una transaccion, si no la principal
      * @returns {sqlite3.Database}
      */
 
     getDb(){
-        return this.db;
+        const context = this.transactionContext.getStore();
+        return context && context.active ? this.transactionDb : this.db;
     }
 
     /**
-     * Cierra la conexion a la base de datos
+     * Cierra las conexiones a la base de datos
      */
     close(){
         if(this.db){
             this.db.close();
         }
+        if(this.transactionDb){
+            this.transactionDb.close();
+        }
     }
 }
 
@@ -0,0 +1,61 @@
+//excelMapping.js
+//Correspondencia por defecto entre las columnas del Excel espejo y los campos de usuario (ver ExcelService.getMapping).
+//Se puede ampliar con un JSON en EXCEL_MAPPING_PATH con la misma forma: sus cabeceras van antes que estas
+//(la primera es la que se escribe), sus valores se agregan a estos y sheets / writeValues reemplazan a los de aqui.
+//Cabeceras y valores se comparan sin distinguir mayusculas, acentos, espacios, guiones ni guiones bajos
+//('First Name' = 'first_name' = 'firstName', 'Correo Electrónico' = 'correo electronico').
+
+module.exports = {
+    //Campo -> cabeceras aceptadas al leer; la primera es la que se usa en hojas que aun no tienen esa columna
+    columns: {
+        firstName: ['first_name', 'nombre', 'nombres'],
+        lastName: ['last_name', 'apellido', 'apellidos'],
+        email: ['email', 'correo', 'correo electronico', 'mail'],
+        password: ['password', 'contraseña', 'clave'],
+        role: ['role', 'rol', 'perfil'],
+        status: ['status', 'estado'],
+        phone: ['phone', 'telefono', 'celular'],
+        documentNumber: ['document_number', 'documento', 'dni', 'cedula'],
+        employeeCode: ['employee_code', 'legajo', 'codigo de empleado', 'codigo empleado'],
+        licenseNumber: ['license_number', 'licencia', 'numero de licencia'],
+        licenseExpiresAt: ['license_expires_at', 'vencimiento de licencia', 'vencimiento licencia'],
+        preferredLanguage: ['preferred_language', 'idioma'],
+        depot: ['depot', 'deposito', 'base'],
+        createdAt: ['created_at', 'fecha de alta'],
+        updatedAt: ['updated_at', 'ultima modificacion']
+    },
+
+    //Campo -> valor en el Excel -> valor interno (al leer; con writeValues tambien al escribir, el primero de cada valor interno)
+    values: {
+        role: {
+            'Administrador': 'admin',
+            'Usuario': 'user',
+            'Despachador': 'dispatcher',
+            'Conductor': 'driver',
+            'Chofer': 'driver',
+            'Operario de almacén': 'warehouse_operator',
+            'Auditor': 'auditor'
+        },
+        status: {
+            'Activo': 'active',
+            'Activa': 'active',
+            'Inactivo': 'inactive',
+            'Inactiva': 'inactive',
+            'Baja': 'inactive',
+            'Pendiente': 'pending'
+        },
+        preferredLanguage: {
+            'Español': 'es',
+            'Inglés': 'en'
+        }
+    },
+
+    //Escribir los valores traducidos ('Activo') en lugar de los internos ('active')
+    writeValues: false,
+
+    //Hojas que se leen y escriben, en orden: [{ name, defaults: { campo: valor } }]
+    //defaults completa las celdas vacias de esa hoja (ej. { role: 'driver' } o { depot: 'Rosario' }) y decide a que hoja van los usuarios nuevos
+    //(la primera cuyos defaults coincidan con el usuario; si ninguna, la primera). Vacio = solo la primera hoja del archivo.
+    //Las hojas que no estan en la lista se conservan tal cual al escribir.
+    sheets: []
+};
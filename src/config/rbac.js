@@ -0,0 +1,55 @@
+//rbac.js
+//Catalogo de permisos y roles por defecto del control de acceso basado en permisos.
+//Se siembran en la BD al iniciar (ver Database.seedRoles); despues los roles se gestionan via /api/roles.
+
+//Permisos disponibles: 'recurso:accion'
+const PERMISSIONS = {
+    'users:read': 'View any user profile and the user list',
+    'users:create': 'Create and invite users',
+    'users:update': 'Update any user, including status',
+    'users:password': 'Set a password directly through PUT /api/users/:id, without the current one',
+    'users:delete': 'Delete users (soft delete) and restore them',
+    'users:purge': 'Permanently purge deleted users and their data',
+    'users:sync': 'Synchronize users with the Excel file',
+    'users:export': 'Export the user list as XLSX, CSV or JSON (never includes credentials)',
+    'sessions:manage': "List and revoke other users' sessions",
+    'security:manage': 'Manage two-factor policies, reset enrollments, unlock accounts and view login history',
+    'roles:read': 'View roles and permissions',
+    'roles:manage': 'Create, update and delete roles',
+    'roles:assign': 'Change the role of a user',
+    'apikeys:manage': 'Create, rotate and revoke API keys for integrations',
+    'audit:read': 'Query the audit log of security and data-changing events'
+};
+
+//Roles de sistema (no se pueden eliminar). 'admin' siempre recibe todos los permisos.
+const DEFAULT_ROLES = {
+    admin: {
+        description: 'Full access to every feature',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    user: {
+        description: 'Basic access to the own profile',
+        permissions: []
+    },
+    dispatcher: {
+        description: 'Coordinates drivers and manages their accounts',
+        permissions: ['users:read', 'users:update']
+    },
+    driver: {
+        description: 'Field driver with access to the own profile',
+        permissions: []
+    },
+    warehouse_operator: {
+        description: 'Warehouse staff with access to the own profile',
+        permissions: []
+    },
+    auditor: {
+        description: 'Read-only access to users, roles and the audit log',
+        permissions: ['users:read', 'roles:read', 'audit:read']
+    }
+};
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_ROLES
+};
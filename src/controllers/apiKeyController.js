@@ -0,0 +1,234 @@
+const ApiKey = require('../models/apiKey');
+const Role = require('../models/role');
+const logger = require('../utils/logger');
+const AuditService = require('../services/auditService');
+
+/**
+ * ApiKeyController
+ * Controlador para administrar las API keys de integraciones (WMS, transportistas...).
+ *
+ * - La clave en claro solo se devuelve al crearla o rotarla.
+ * - Una clave no puede tener permisos que no tenga quien la crea.
+ * - Revocar es definitivo; para cambiar el valor sin perder la configuración se rota.
+ */
+class ApiKeyController {
+    /**
+     * Listar API keys (sin secretos)
+     * Método: GET /api-keys
+     */
+    static async getAllApiKeys(req, res) {
+        try {
+            const apiKeys = await ApiKey.findAll();
+
+            res.json({
+                success: true,
+                message: 'API keys retrieved successfully',
+                data: apiKeys.map(apiKey => apiKey.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Get API keys error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Obtener una API key por id
+     * Método: GET /api-keys/:id
+     */
+    static async getApiKeyById(req, res) {
+        try {
+            const apiKey = await ApiKey.findById(parseInt(req.params.id));
+
+            if (!apiKey) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'API key not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'API key retrieved successfully',
+                data: apiKey.toJSON()
+            });
+
+        } catch (error) {
+            console.error('Get API key error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crear una API key
+     * Método: POST /api-keys
+     * Body: { name, permissions, allowedIps?, rateLimit?, expiresAt? }
+     */
+    static async createApiKey(req, res) {
+        try {
+            const { name, permissions, allowedIps, rateLimit, expiresAt } = req.body;
+
+            const known = (await Role.listPermissions()).map(permission => permission.name);
+            const unknown = permissions.filter(permission => !known.includes(permission));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unknown permissions',
+                    unknownPermissions: unknown
+                });
+            }
+
+            // No se puede delegar en una clave un permiso que uno mismo no tiene
+            const notGranted = permissions.filter(permission => !req.currentUser.hasPermission(permission));
+            if (notGranted.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Cannot grant permissions you do not have.',
+                    missingPermissions: notGranted
+                });
+            }
+
+            const { apiKey, key } = await ApiKey.create({
+                name,
+                permissions: [...new Set(permissions)],
+                allowedIps,
+                rateLimit,
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                createdBy: req.currentUser.id
+            });
+
+            logger.info('API key created', { apiKeyId: apiKey.id, name, permissions, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'api_key.create', {
+                targetType: 'api_key',
+                targetId: apiKey.id,
+                before: null,
+                after: apiKey
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'API key created successfully. Store the key now: it will not be shown again.',
+                data: {
+                    ...apiKey.toJSON(),
+                    key
+                }
+            });
+
+        } catch (error) {
+            console.error('Create API key error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Rotar una API key: emite un valor nuevo y el anterior deja de funcionar
+     * Método: POST /api-keys/:id/rotate
+     */
+    static async rotateApiKey(req, res) {
+        try {
+            const apiKey = await ApiKey.findById(parseInt(req.params.id));
+
+            if (!apiKey) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'API key not found'
+                });
+            }
+
+            if (apiKey.revokedAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Revoked API keys cannot be rotated'
+                });
+            }
+
+            const key = await apiKey.rotate();
+            const rotatedKey = await ApiKey.findById(apiKey.id);
+
+            logger.info('API key rotated', { apiKeyId: apiKey.id, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'api_key.rotate', {
+                targetType: 'api_key',
+                targetId: apiKey.id,
+                metadata: { keyPrefix: rotatedKey.keyPrefix }
+            });
+
+            res.json({
+                success: true,
+                message: 'API key rotated successfully. Store the key now: it will not be shown again.',
+                data: {
+                    ...rotatedKey.toJSON(),
+                    key
+                }
+            });
+
+        } catch (error) {
+            console.error('Rotate API key error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revocar una API key
+     * Método: DELETE /api-keys/:id
+     */
+    static async revokeApiKey(req, res) {
+        try {
+            const apiKey = await ApiKey.findById(parseInt(req.params.id));
+
+            if (!apiKey) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'API key not found'
+                });
+            }
+
+            const revoked = await apiKey.revoke();
+            if (!revoked) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'API key is already revoked'
+                });
+            }
+
+            logger.info('API key revoked', { apiKeyId: apiKey.id, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'api_key.revoke', {
+                targetType: 'api_key',
+                targetId: apiKey.id
+            });
+
+            res.json({
+                success: true,
+                message: 'API key revoked successfully'
+            });
+
+        } catch (error) {
+            console.error('Revoke API key error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,55 @@
+const AuditService = require('../services/auditService');
+
+/**
+ * AuditController
+ * Controlador para consultar el registro de auditoría (audit_events).
+ * Responde preguntas como "quién desactivó a este conductor y cuándo":
+ *   GET /audit?targetType=user&targetId=42&action=user.update
+ */
+class AuditController {
+    /**
+     * Listar eventos de auditoría con filtros y paginación
+     * Método: GET /audit
+     * Query: actorType, actorId, action (admite 'auth.*'), targetType, targetId, ip,
+     *        from, to (ISO 8601), page (1), limit (50, máx. 200)
+     */
+    static async getAuditEvents(req, res) {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const { events, total } = await AuditService.find({
+                actorType: req.query.actorType,
+                actorId: parseInt(req.query.actorId) || null,
+                action: req.query.action,
+                targetType: req.query.targetType,
+                targetId: parseInt(req.query.targetId) || null,
+                ip: req.query.ip,
+                from: req.query.from,
+                to: req.query.to
+            }, { page, limit });
+
+            res.json({
+                success: true,
+                message: 'Audit events retrieved successfully',
+                data: events,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Get audit events error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = AuditController;
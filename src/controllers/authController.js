@@ -1,28 +1,42 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const crypto = require('crypto');
+const User = require('../models/user');
+const Session = require('../models/session');
+const LoginHistory = require('../models/loginHistory');
+const TwoFactorService = require('../services/twoFactorService');
+const PasswordResetService = require('../services/passwordResetService');
+const InvitationService = require('../services/invitationService');
+const ExcelOutboxService = require('../services/excelOutboxService');
+const AuditService = require('../services/auditService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
 const config = require('../config/config');
 const database = require('../config/database');
+const logger = require('../utils/logger');
 
 /**
  * AuthController
  * Controlador que maneja login, refresh y logout usando JWT + refresh tokens.
  * - accessToken: token de corta duración para autorizar requests.
  * - refreshToken: token de mayor duración usado para renovar el accessToken.
+ *   Se rota en cada uso: cada refresh emite un token nuevo y retira el anterior.
+ *   Todos los tokens de una misma sesión comparten un family_id (= sessions.id); si se
+ *   presenta un token ya retirado se asume robo y se revoca la sesión completa.
  */
 
 class AuthController {
     /**
   * User login
   * POST /auth/login
-  * Body: { email, password }
+  * Body: { email, password, device? }
   *
   * Flujo:
   * 1. Buscar usuario por email.
   * 2. Verificar que el usuario exista y esté activo.
   * 3. Verificar bloqueo por intentos fallidos.
   * 4. Verificar password; si es inválido, incrementar intentos de login.
-  * 5. Si el login es exitoso, resetear intentos y generar access + refresh tokens.
-  * 6. Guardar refresh token en BD y devolver tokens + usuario.
+  * 5. Si el usuario tiene 2FA activa, devolver un challenge token de corta duración
+  *    que se canjea en POST /auth/login/2fa junto con el código TOTP.
+  * 6. Si no, completar el login (ver completeLogin).
   */
     static async login(req, res) {
         try {
@@ -31,22 +45,45 @@ class AuthController {
             const user = await User.findByEmail(email);
 
             if (!user) {
+                await AuditService.record(req, 'auth.login_failed', {
+                    metadata: { email, reason: 'unknown_email' }
+                });
+                await AuthController.recordLoginAttempt(req, null, email, 'failure', 'unknown_email');
+
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid credentials'
                 });
             }
 
-            // Check if user is active
+            // Check if user is active (los invitados 'pending' aún no tienen contraseña)
             if (user.status !== 'active') {
+                await AuditService.record(req, 'auth.login_failed', {
+                    actor: AuditService.userActor(user),
+                    targetType: 'user',
+                    targetId: user.id,
+                    metadata: { reason: `status_${user.status}` }
+                });
+                await AuthController.recordLoginAttempt(req, user, email, 'failure', `status_${user.status}`);
+
                 return res.status(401).json({
                     success: false,
-                    message: 'Account is inactive'
+                    message: user.status === 'pending'
+                        ? 'Account has not been activated. Please accept your invitation first.'
+                        : 'Account is inactive'
                 });
             }
 
             // Check if account is locked (business logic in User model)
             if (user.isLocked()) {
+                await AuditService.record(req, 'auth.login_failed', {
+                    actor: AuditService.userActor(user),
+                    targetType: 'user',
+                    targetId: user.id,
+                    metadata: { reason: 'account_locked' }
+                });
+                await AuthController.recordLoginAttempt(req, user, email, 'locked', 'account_locked');
+
                 return res.status(423).json({
                     success: false,
                     message: 'Account is temporarily locked due to too many failed login attempts'
@@ -58,6 +95,7 @@ class AuthController {
             if (!isValidPassword) {
                 // Increment failed login attempts (logic en modelo User)
                 await user.incrementLoginAttempts();
+                await AuthController.recordFailedAttempt(req, user, 'invalid_password');
 
                 let message = 'Invalid credentials';
                 if (user.loginAttempts >= config.security.maxLoginAttempts) {
@@ -71,54 +109,216 @@ class AuthController {
                 });
             }
 
-            // Reset login attempts on successful login (si había intentos anteriores)
-            if (user.loginAttempts > 0) {
-                await user.resetLoginAttempts();
+            // Segundo paso requerido: los intentos se resetean solo al completar el login
+            if (user.twoFactorEnabled) {
+                const challengeToken = jwt.sign(
+                    {
+                        id: user.id,
+                        device: req.body.device,
+                        purpose: 'two_factor'
+                    },
+                    config.twoFactor.challengeSecret,
+                    { expiresIn: config.twoFactor.challengeExpiresIn }
+                );
+
+                await AuthController.recordLoginAttempt(req, user, email, 'two_factor_required', null);
+
+                return res.json({
+                    success: true,
+                    message: 'Two-factor authentication required',
+                    data: {
+                        twoFactorRequired: true,
+                        challengeToken,
+                        expiresIn: config.twoFactor.challengeExpiresIn
+                    }
+                });
             }
 
-            // Generate access token (payload contiene id, email, role)
-            const accessToken = jwt.sign(
-                {
-                    id: user.id,
-                    email: user.email,
-                    role: user.role
-                },
-                config.jwt.secret,
-                { expiresIn: config.jwt.expiresIn }
-            );
+            await AuthController.completeLogin(req, res, user, req.body.device);
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+  * Segundo paso del login con 2FA
+  * POST /auth/login/2fa
+  * Body: { challengeToken, code? , recoveryCode? }
+  *
+  * Flujo:
+  * 1. Verificar el challenge token emitido por /auth/login.
+  * 2. Comprobar que el usuario siga activo, sin bloqueo y con 2FA activa.
+  * 3. Validar el código TOTP o consumir un código de recuperación;
+  *    los fallos cuentan como intentos de login (mismo bloqueo que la contraseña).
+  * 4. Completar el login (sesión + tokens).
+  */
+    static async loginTwoFactor(req, res) {
+        try {
+            const { challengeToken, code, recoveryCode } = req.body;
+
+            let decoded;
+            try {
+                decoded = jwt.verify(challengeToken, config.twoFactor.challengeSecret);
+            } catch (error) {
+                decoded = null;
+            }
+
+            // Los tokens de cambio de contraseña vencida comparten secret; no sirven aquí
+            if (!decoded || decoded.purpose !== 'two_factor') {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired challenge token'
+                });
+            }
+
+            const user = await User.findById(decoded.id);
+
+            if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired challenge token'
+                });
+            }
+
+            if (user.isLocked()) {
+                await AuditService.record(req, 'auth.login_failed', {
+                    actor: AuditService.userActor(user),
+                    targetType: 'user',
+                    targetId: user.id,
+                    metadata: { reason: 'account_locked', step: 'two_factor' }
+                });
+                await AuthController.recordLoginAttempt(req, user, user.email, 'locked', 'account_locked');
+
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            const isValidCode = code
+                ? await TwoFactorService.verifyCode(user, code)
+                : await TwoFactorService.consumeRecoveryCode(user.id, recoveryCode);
+
+            if (!isValidCode) {
+                await user.incrementLoginAttempts();
+                await AuthController.recordFailedAttempt(req, user, code ? 'invalid_2fa_code' : 'invalid_recovery_code');
+
+                let message = 'Invalid two-factor code';
+                if (user.loginAttempts >= config.security.maxLoginAttempts) {
+                    message = 'Too many failed attempts. Account has been temporarily locked.';
+                }
+
+                return res.status(401).json({
+                    success: false,
+                    message
+                });
+            }
+
+            await AuthController.completeLogin(req, res, user, decoded.device, code ? 'totp' : 'recovery_code');
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
 
-            // Generate refresh token (payload más pequeño)
-            const refreshToken = jwt.sign(
+    /**
+     * Completa un login ya autenticado (contraseña y, si aplica, segundo factor).
+     * - Resetea los intentos fallidos.
+     * - Si la contraseña superó la antigüedad máxima de la política, no emite tokens:
+     *   responde passwordChangeRequired con un changeToken para POST /auth/change-expired-password.
+     * - Crea la sesión (dispositivo, IP, user agent) y guarda el refresh token en BD.
+     * - Responde con tokens + usuario; indica twoFactorSetupRequired si su rol exige
+     *   2FA y aún no la activó (los endpoints protegidos lo rechazarán hasta entonces).
+     * @param {Request} req
+     * @param {Response} res
+     * @param {User} user
+     * @param {string} [device] - nombre del dispositivo enviado en el login
+     * @param {string} [secondFactor] - 'totp' o 'recovery_code' si se pasó por /auth/login/2fa
+     */
+    static async completeLogin(req, res, user, device, secondFactor) {
+        // Reset login attempts on successful login (si había intentos anteriores)
+        if (user.loginAttempts > 0) {
+            await user.resetLoginAttempts();
+        }
+
+        if (PasswordPolicyService.isExpired(user)) {
+            const changeToken = jwt.sign(
                 {
                     id: user.id,
-                    email: user.email
+                    device,
+                    purpose: 'password_change'
                 },
-                config.jwt.refreshSecret,
-                { expiresIn: config.jwt.refreshExpiresIn }
+                config.twoFactor.challengeSecret,
+                { expiresIn: config.passwordPolicy.changeTokenExpiresIn }
             );
 
-            // Store refresh token in database (tabla refresh_tokens)
-            await AuthController.storeRefreshToken(refreshToken, user.id);
+            await AuditService.record(req, 'auth.password_expired', {
+                actor: AuditService.userActor(user),
+                targetType: 'user',
+                targetId: user.id,
+                metadata: { passwordChangedAt: user.passwordChangedAt }
+            });
+            await AuthController.recordLoginAttempt(req, user, user.email, 'password_change_required', 'password_expired');
 
-            // Responder con datos del usuario y tokens
-            res.json({
+            return res.json({
                 success: true,
-                message: 'Login successful',
+                message: 'Password has expired and must be changed',
                 data: {
-                    user: user.toJSON(),
-                    accessToken,
-                    refreshToken,
-                    expiresIn: config.jwt.expiresIn
+                    passwordChangeRequired: true,
+                    changeToken,
+                    expiresIn: config.passwordPolicy.changeTokenExpiresIn,
+                    passwordPolicy: PasswordPolicyService.describe()
                 }
             });
-        } catch (error) {
-            console.error('Login error:', error);
-            res.status(500).json({
-                success: false,
-                message: 'Server error',
-                error: error.message
-            });
         }
+
+        // Generate refresh token (payload más pequeño)
+        const refreshToken = AuthController.signRefreshToken(user);
+
+        // Crear la sesión; su id será la familia de todos los refresh tokens rotados a partir de este
+        const sessionId = await Session.create({
+            userId: user.id,
+            device,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            expiresAt: AuthController.getTokenExpiry(refreshToken)
+        });
+
+        // Store refresh token in database (tabla refresh_tokens)
+        await AuthController.storeRefreshToken(refreshToken, user.id, sessionId);
+
+        // Generate access token (payload contiene id, email, role y la sesión)
+        const accessToken = AuthController.generateAccessToken(user, sessionId);
+
+        await AuditService.record(req, 'auth.login', {
+            actor: AuditService.userActor(user),
+            targetType: 'user',
+            targetId: user.id,
+            metadata: { sessionId, device: device || null, secondFactor: secondFactor || null }
+        });
+        await AuthController.recordLoginAttempt(req, user, user.email, 'success', secondFactor || null);
+
+        // Responder con datos del usuario y tokens
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: user.toJSON(),
+                accessToken,
+                refreshToken,
+                expiresIn: config.jwt.expiresIn,
+                twoFactorSetupRequired: await TwoFactorService.isSetupRequired(user)
+            }
+        });
     }
 
     /**
@@ -129,9 +329,12 @@ class AuthController {
    * Flujo:
    * 1. Validar que venga refreshToken.
    * 2. Verificar firma/validez del refresh token usando refreshSecret.
-   * 3. Comprobar que el token exista y no esté expirado en la BD.
+   * 3. Buscar el token en la BD:
+   *    - Si ya fue retirado (revoked_at), es un reuso: se revoca toda la familia.
+   *    - Si expiró, se rechaza.
    * 4. Obtener usuario y comprobar que esté activo.
-   * 5. Generar y devolver un nuevo access token.
+   * 5. Retirar el token presentado y emitir un nuevo par access + refresh
+   *    dentro de la misma familia, registrando el uso de la sesión.
    */
 
     static async refreshToken(req, res) {
@@ -147,16 +350,20 @@ class AuthController {
             // Verify refresh token signature & expiration (lanzará si es inválido)
             const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
 
-            // Check if refresh token exists in database y no expiró (validateRefreshToken)
-            const tokenExists = await AuthController.validateRefreshToken(refreshToken, decoded.id);
+            // Buscar el token en la BD (incluye tokens ya retirados para detectar reuso)
+            const storedToken = await AuthController.findRefreshToken(refreshToken, decoded.id);
 
-            if (!tokenExists) {
+            if (!storedToken || new Date(storedToken.expires_at) <= new Date()) {
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid refresh token'
                 });
             }
 
+            if (storedToken.revoked_at) {
+                return AuthController.handleRefreshTokenReuse(req, res, storedToken);
+            }
+
             // Get user data
             const user = await User.findById(decoded.id);
 
@@ -167,22 +374,40 @@ class AuthController {
                 });
             }
 
+            if (user.isLocked()) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            // Retirar el token actual; si otra petición lo retiró primero, también es reuso
+            const retired = await AuthController.retireRefreshToken(storedToken.id);
+            if (!retired) {
+                return AuthController.handleRefreshTokenReuse(req, res, storedToken);
+            }
+
+            // Emitir el nuevo refresh token en la misma familia y enlazarlo con el anterior
+            const newRefreshToken = AuthController.signRefreshToken(user);
+            const newTokenId = await AuthController.storeRefreshToken(newRefreshToken, user.id, storedToken.family_id);
+            await AuthController.linkReplacementToken(storedToken.id, newTokenId);
+
+            // Registrar el uso de la sesión (última IP / user agent y nueva expiración)
+            await Session.touch(storedToken.family_id, {
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                expiresAt: AuthController.getTokenExpiry(newRefreshToken)
+            });
+
             // Generate new access token
-            const accessToken = jwt.sign(
-                {
-                    id: user.id,
-                    email: user.email,
-                    role: user.role
-                },
-                config.jwt.secret,
-                { expiresIn: config.jwt.expiresIn }
-            );
+            const accessToken = AuthController.generateAccessToken(user, storedToken.family_id);
 
             res.json({
                 success: true,
                 message: 'Token refreshed successfully',
                 data: {
                     accessToken,
+                    refreshToken: newRefreshToken,
                     expiresIn: config.jwt.expiresIn
                 }
             });
@@ -196,22 +421,75 @@ class AuthController {
         }
     }
 
+    /**
+     * Responde a la presentación de un refresh token ya retirado.
+     * Revoca la sesión (todos los tokens vigentes de la familia) y deja constancia en el log,
+     * de modo que tanto el cliente legítimo como el atacante deban volver a iniciar sesión.
+     * @param {Request} req
+     * @param {Response} res
+     * @param {Object} storedToken - fila de refresh_tokens que fue reutilizada
+     */
+    static async handleRefreshTokenReuse(req, res, storedToken) {
+        const revokedCount = await Session.revoke(storedToken.family_id);
+
+        logger.warn('Refresh token reuse detected. Token family revoked.', {
+            userId: storedToken.user_id,
+            familyId: storedToken.family_id,
+            tokenId: storedToken.id,
+            revokedCount,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        await AuditService.record(req, 'auth.refresh_token_reuse', {
+            actor: { type: 'anonymous', id: null, label: null },
+            targetType: 'user',
+            targetId: storedToken.user_id,
+            metadata: { sessionId: storedToken.family_id, tokenId: storedToken.id, revokedCount }
+        });
+
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid refresh token'
+        });
+    }
+
     /**
   * User logout
   * POST /auth/logout
-  * Body: { refreshToken }
+  * Body: { refreshToken? }
   *
   * Flujo:
-  * - Si llega refreshToken, se elimina de la BD para revocar sesión.
+  * - Si llega refreshToken, se revoca la sesión a la que pertenece.
+  * - Si no, se revoca la sesión indicada en el access token (Authorization header),
+  *   de modo que el cliente puede cerrar sesión aunque haya perdido el refresh token.
   */
 
     static async logout(req, res) {
         try {
-            const { refreshToken } = req.body;
+            // El body puede no existir si el cliente solo envía el header Authorization
+            const { refreshToken } = req.body || {};
+            let sessionId = req.user ? req.user.sid : null;
+            let userId = req.user ? req.user.id : null;
 
             if (refreshToken) {
-                // Remove refresh token from database
-                await AuthController.removeRefreshToken(refreshToken);
+                const storedToken = await AuthController.findRefreshTokenByValue(refreshToken);
+                if (storedToken) {
+                    sessionId = storedToken.family_id;
+                    userId = storedToken.user_id;
+                }
+            }
+
+            if (sessionId) {
+                // Revoke session (y sus refresh tokens) en la BD
+                await Session.revoke(sessionId);
+
+                await AuditService.record(req, 'auth.logout', {
+                    actor: { type: 'user', id: userId, label: req.user ? req.user.email : null },
+                    targetType: 'user',
+                    targetId: userId,
+                    metadata: { sessionId }
+                });
             }
 
             res.json({
@@ -228,22 +506,335 @@ class AuthController {
         }
     }
 
+    /**
+  * Solicitar recuperación de contraseña
+  * POST /auth/forgot-password
+  * Body: { email }
+  *
+  * Responde siempre lo mismo (y sin esperar al envío del correo) para no revelar
+  * qué emails están registrados; los errores de envío solo se registran en logs.
+  */
+    static async forgotPassword(req, res) {
+        PasswordResetService.requestReset(req.body.email, { ip: req.ip })
+            .catch(error => logger.error('Password reset request failed:', { error: error.message }));
+
+        AuditService.record(req, 'auth.password_reset_requested', {
+            metadata: { email: req.body.email }
+        });
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent'
+        });
+    }
+
+    /**
+  * Restablecer contraseña con el token recibido por correo
+  * POST /auth/reset-password
+  * Body: { token, password }
+  *
+  * Al completarse se desbloquea la cuenta y se cierran todas sus sesiones.
+  */
+    static async resetPassword(req, res) {
+        try {
+            const { token, password } = req.body;
+
+            // La nueva contraseña no puede repetir las últimas del usuario
+            const resetUser = await PasswordResetService.findUserByToken(token);
+            if (resetUser) {
+                const policyErrors = await PasswordPolicyService.validateForUser(resetUser, password);
+                if (policyErrors.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Password does not meet the password policy',
+                        errors: policyErrors
+                    });
+                }
+            }
+
+            const user = await PasswordResetService.resetPassword(token, password);
+
+            if (!user) {
+                await AuditService.record(req, 'auth.password_reset_failed', {
+                    metadata: { reason: 'invalid_token' }
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired reset token'
+                });
+            }
+
+            await AuditService.record(req, 'auth.password_reset', {
+                actor: AuditService.userActor(user),
+                targetType: 'user',
+                targetId: user.id,
+                metadata: { passwordChanged: true, sessionsRevoked: true }
+            });
+
+            res.json({
+                success: true,
+                message: 'Password has been reset successfully. Please login with your new password.'
+            });
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+  * Cambiar una contraseña vencida y completar el login
+  * POST /auth/change-expired-password
+  * Body: { changeToken, password }
+  *
+  * El changeToken lo emite el login (tras contraseña y 2FA) cuando la contraseña superó
+  * la antigüedad máxima. La nueva debe cumplir la política, incluido el historial.
+  */
+    static async changeExpiredPassword(req, res) {
+        try {
+            const { changeToken, password } = req.body;
+
+            let decoded;
+            try {
+                decoded = jwt.verify(changeToken, config.twoFactor.challengeSecret);
+            } catch (error) {
+                decoded = null;
+            }
+
+            if (!decoded || decoded.purpose !== 'password_change') {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired change token'
+                });
+            }
+
+            const user = await User.findById(decoded.id);
+
+            if (!user || user.status !== 'active' || user.isLocked() || !PasswordPolicyService.isExpired(user)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired change token'
+                });
+            }
+
+            const policyErrors = await PasswordPolicyService.validateForUser(user, password);
+            if (policyErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password does not meet the password policy',
+                    errors: policyErrors
+                });
+            }
+
+            // El espejo en Excel toma el nuevo hash
+            await database.transaction(async () => {
+                await user.update({ password });
+                await ExcelOutboxService.enqueueUpsert(user.id, user.email);
+            });
+            const updatedUser = await User.findById(user.id);
+
+            await AuditService.record(req, 'auth.password_change', {
+                actor: AuditService.userActor(updatedUser),
+                targetType: 'user',
+                targetId: updatedUser.id,
+                metadata: { passwordChanged: true, reason: 'expired' }
+            });
+
+            await AuthController.completeLogin(req, res, updatedUser, decoded.device);
+        } catch (error) {
+            console.error('Change expired password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+  * Requisitos de la política de contraseñas
+  * GET /auth/password-policy
+  *
+  * Público: los formularios de registro, reset e invitación lo usan para mostrar las reglas.
+  */
+    static getPasswordPolicy(req, res) {
+        res.json({
+            success: true,
+            message: 'Password policy retrieved successfully',
+            data: PasswordPolicyService.describe()
+        });
+    }
+
+    /**
+  * Aceptar una invitación y elegir contraseña
+  * POST /auth/accept-invite
+  * Body: { token, password }
+  *
+  * Activa la cuenta 'pending' creada por un admin; después el usuario inicia sesión normalmente.
+  */
+    static async acceptInvite(req, res) {
+        try {
+            const { token, password } = req.body;
+
+            const user = await InvitationService.accept(token, password);
+
+            if (!user) {
+                await AuditService.record(req, 'auth.invitation_accept_failed', {
+                    metadata: { reason: 'invalid_token' }
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid or expired invitation token'
+                });
+            }
+
+            await AuditService.record(req, 'auth.invitation_accepted', {
+                actor: AuditService.userActor(user),
+                targetType: 'user',
+                targetId: user.id,
+                before: { status: 'pending' },
+                after: { status: user.status },
+                metadata: { passwordChanged: true }
+            });
+
+            res.json({
+                success: true,
+                message: 'Invitation accepted. You can now login with your new password.',
+                data: { email: user.email }
+            });
+        } catch (error) {
+            console.error('Accept invite error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Registra un intento de login fallido y, si con él se alcanzó el máximo,
+     * también el bloqueo de la cuenta.
+     * @param {Request} req
+     * @param {User} user - con loginAttempts ya incrementado
+     * @param {string} reason - ej. 'invalid_password', 'invalid_2fa_code'
+     * @returns {Promise<void>}
+     */
+    static async recordFailedAttempt(req, user, reason) {
+        const details = {
+            actor: AuditService.userActor(user),
+            targetType: 'user',
+            targetId: user.id
+        };
+
+        await AuditService.record(req, 'auth.login_failed', {
+            ...details,
+            metadata: { reason, loginAttempts: user.loginAttempts }
+        });
+        await AuthController.recordLoginAttempt(req, user, user.email, 'failure', reason);
+
+        if (user.loginAttempts >= config.security.maxLoginAttempts) {
+            await AuditService.record(req, 'auth.account_locked', {
+                ...details,
+                metadata: { loginAttempts: user.loginAttempts, lockedUntil: user.lockedUntil }
+            });
+        }
+    }
+
+    /**
+     * Guarda un intento de login en login_history (GET /api/users/:id/login-history).
+     * Igual que la auditoría, un error al guardarlo nunca hace fallar el login.
+     * @param {Request} req
+     * @param {User|null} user - null si el email no corresponde a ningún usuario
+     * @param {string} email - email con el que se intentó entrar
+     * @param {string} outcome - 'success', 'failure', 'locked', 'two_factor_required' o 'password_change_required'
+     * @param {string|null} reason - ej. 'invalid_password'; en los éxitos, el segundo factor usado
+     * @returns {Promise<void>}
+     */
+    static async recordLoginAttempt(req, user, email, outcome, reason) {
+        try {
+            await LoginHistory.record({
+                userId: user ? user.id : null,
+                email,
+                outcome,
+                reason,
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+        } catch (error) {
+            logger.error('Failed to record login attempt:', { email, outcome, error: error.message });
+        }
+    }
+
+    /**
+     * Genera un access token para el usuario
+     * @param {User} user
+     * @param {string} [sessionId] - sesión a la que pertenece (claim sid)
+     * @returns {string} - JWT firmado con config.jwt.secret
+     */
+    static generateAccessToken(user, sessionId) {
+        return jwt.sign(
+            {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                sid: sessionId
+            },
+            config.jwt.secret,
+            { expiresIn: config.jwt.expiresIn }
+        );
+    }
+
+    /**
+     * Firma un nuevo refresh token.
+     * El jti aleatorio garantiza que dos tokens emitidos en el mismo segundo sean distintos.
+     * @param {User} user
+     * @returns {string} - refresh token JWT firmado con config.jwt.refreshSecret
+     */
+    static signRefreshToken(user) {
+        return jwt.sign(
+            {
+                id: user.id,
+                email: user.email
+            },
+            config.jwt.refreshSecret,
+            { expiresIn: config.jwt.refreshExpiresIn, jwtid: crypto.randomUUID() }
+        );
+    }
+
+    /**
+     * Obtiene la fecha de expiración de un JWT a partir de su claim exp.
+     * @param {string} token
+     * @returns {string} - fecha ISO
+     */
+    static getTokenExpiry(token) {
+        // exp viene en segundos desde epoch
+        const { exp } = jwt.decode(token);
+        return new Date(exp * 1000).toISOString();
+    }
+
     /**
   * Store refresh token in database
+  * La expiración se toma del claim exp del propio JWT, de modo que respeta config.jwt.refreshExpiresIn.
   * @param {string} token - refresh token JWT
   * @param {number} userId - id del usuario
+  * @param {string} familyId - sesión (sessions.id) a la que pertenece el token
   * @returns {Promise<number>} - id de la fila insertada en la tabla refresh_tokens
   */
-    static async storeRefreshToken(token, userId) {
+    static async storeRefreshToken(token, userId, familyId) {
         return new Promise((resolve, reject) => {
             const db = database.getDb();
-            // Calculamos expiresAt: ahora + 7 días (ISO string)
-            const expiresAt = new Date(Date.now() + (7 * 24 * 60 * 60 * 1000)).toISOString(); // 7 days
+            const expiresAt = AuthController.getTokenExpiry(token);
 
-            const query = 'INSERT INTO refresh_tokens (token, user_id, expires_at) VALUES (?, ?, ?)';
+            const query = 'INSERT INTO refresh_tokens (token, user_id, family_id, expires_at) VALUES (?, ?, ?, ?)';
 
             // Parámetros parametrizados evitan inyección SQL
-            db.run(query, [token, userId, expiresAt], function (err) {
+            db.run(query, [token, userId, familyId, expiresAt], function (err) {
                 if (err) {
                     reject(err);
                     return;
@@ -254,39 +845,59 @@ class AuthController {
     }
 
     /**
- * Validate refresh token exists and no está expirado
+ * Buscar un refresh token en la BD (vigente o retirado)
  * @param {string} token
  * @param {number} userId
- * @returns {Promise<boolean>}
+ * @returns {Promise<Object|null>} - fila de refresh_tokens o null
  */
-    static async validateRefreshToken(token, userId) {
+    static async findRefreshToken(token, userId) {
         return new Promise((resolve, reject) => {
             const db = database.getDb();
-            // Consulta busca token activo (expires_at > datetime("now") en SQLite)
-            const query = 'SELECT * FROM refresh_tokens WHERE token = ? AND user_id = ? AND expires_at > datetime("now")';
+            const query = 'SELECT * FROM refresh_tokens WHERE token = ? AND user_id = ?';
 
             db.get(query, [token, userId], (err, row) => {
                 if (err) {
                     reject(err);
                     return;
                 }
-                // resolve true si row existe, false en caso contrario
-                resolve(!!row);
+                resolve(row || null);
             });
         });
     }
 
     /**
-  * Remove refresh token (logout / revocación manual)
-  * @param {string} token
-  * @returns {Promise<boolean>} - true si borró alguna fila
-  */
-    static async removeRefreshToken(token) {
+     * Buscar un refresh token solo por su valor (sin verificar firma ni usuario)
+     * @param {string} token
+     * @returns {Promise<Object|null>} - fila de refresh_tokens o null
+     */
+    static async findRefreshTokenByValue(token) {
         return new Promise((resolve, reject) => {
             const db = database.getDb();
-            const query = 'DELETE FROM refresh_tokens WHERE token = ?';
+            const query = 'SELECT * FROM refresh_tokens WHERE token = ?';
 
-            db.run(query, [token], function (err) {
+            db.get(query, [token], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Marca un refresh token como retirado (rotado).
+     * Solo afecta tokens aún vigentes, por lo que dos peticiones concurrentes
+     * con el mismo token no pueden retirarlo ambas.
+     * @param {number} tokenId
+     * @returns {Promise<boolean>} - true si el token estaba vigente y se retiró
+     */
+    static async retireRefreshToken(tokenId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL";
+
+            db.run(query, [tokenId], function (err) {
                 if (err) {
                     reject(err);
                     return;
@@ -296,6 +907,27 @@ class AuthController {
         });
     }
 
+    /**
+     * Enlaza un token retirado con el token que lo reemplazó (trazabilidad de la familia)
+     * @param {number} tokenId
+     * @param {number} replacementId
+     * @returns {Promise<void>}
+     */
+    static async linkReplacementToken(tokenId, replacementId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?';
+
+            db.run(query, [replacementId, tokenId], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
 }
 
 module.exports = AuthController;
\ No newline at end of file
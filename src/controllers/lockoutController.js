@@ -0,0 +1,132 @@
+const User = require('../models/user');
+const LoginHistory = require('../models/loginHistory');
+const logger = require('../utils/logger');
+const AuditService = require('../services/auditService');
+
+/**
+ * LockoutController
+ * Controlador para el historial de login y los bloqueos por intentos fallidos.
+ *
+ * - El bloqueo lo aplica User.incrementLoginAttempts (config.security.maxLoginAttempts / lockoutTime).
+ * - Un admin puede ver las cuentas bloqueadas y levantar un bloqueo antes de que expire.
+ * - Cada usuario puede consultar su propio historial de login.
+ */
+class LockoutController {
+    /**
+     * Historial de intentos de login de un usuario (más recientes primero)
+     * Método: GET /users/:id/login-history
+     * Query: page (1), limit (50, máx. 200)
+     */
+    static async getLoginHistory(req, res) {
+        try {
+            const userId = parseInt(req.params.id);
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const user = await User.findById(userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const { attempts, total } = await LoginHistory.findByUser(userId, { page, limit });
+
+            res.json({
+                success: true,
+                message: 'Login history retrieved successfully',
+                data: attempts,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Get login history error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Listar las cuentas bloqueadas ahora mismo
+     * Método: GET /users/locked
+     */
+    static async getLockedUsers(req, res) {
+        try {
+            const users = await User.findLocked();
+
+            res.json({
+                success: true,
+                message: 'Locked users retrieved successfully',
+                data: users.map(user => user.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Get locked users error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Levantar el bloqueo de una cuenta y poner a cero sus intentos fallidos
+     * Método: POST /users/:id/unlock
+     */
+    static async unlockUser(req, res) {
+        try {
+            const user = await User.findById(parseInt(req.params.id));
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (!user.isLocked() && user.loginAttempts === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User is not locked'
+                });
+            }
+
+            const previous = { loginAttempts: user.loginAttempts, lockedUntil: user.lockedUntil };
+            await user.resetLoginAttempts();
+
+            logger.info('User unlocked', { userId: user.id, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'user.unlock', {
+                targetType: 'user',
+                targetId: user.id,
+                metadata: previous
+            });
+
+            res.json({
+                success: true,
+                message: 'User unlocked successfully',
+                data: user.toJSON()
+            });
+
+        } catch (error) {
+            console.error('Unlock user error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = LockoutController;
@@ -0,0 +1,277 @@
+const Role = require('../models/role');
+const logger = require('../utils/logger');
+const AuditService = require('../services/auditService');
+
+/**
+ * RoleController
+ * Controlador para administrar roles y sus permisos.
+ *
+ * - Los roles de sistema (sembrados desde src/config/rbac.js) no se pueden eliminar.
+ * - El rol 'admin' conserva siempre todos los permisos.
+ * - El nombre de un rol no se puede cambiar porque users.role lo referencia.
+ */
+class RoleController {
+    /**
+     * Listar roles con sus permisos
+     * Método: GET /roles
+     */
+    static async getAllRoles(req, res) {
+        try {
+            const roles = await Role.findAll();
+
+            res.json({
+                success: true,
+                message: 'Roles retrieved successfully',
+                data: roles
+            });
+
+        } catch (error) {
+            console.error('Get roles error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Listar el catálogo de permisos disponibles
+     * Método: GET /roles/permissions
+     */
+    static async getPermissions(req, res) {
+        try {
+            const permissions = await Role.listPermissions();
+
+            res.json({
+                success: true,
+                message: 'Permissions retrieved successfully',
+                data: permissions
+            });
+
+        } catch (error) {
+            console.error('Get permissions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Obtener un rol por id
+     * Método: GET /roles/:id
+     */
+    static async getRoleById(req, res) {
+        try {
+            const role = await Role.findById(parseInt(req.params.id));
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Role retrieved successfully',
+                data: role
+            });
+
+        } catch (error) {
+            console.error('Get role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Crear un rol
+     * Método: POST /roles
+     * Body: { name, description?, permissions? }
+     */
+    static async createRole(req, res) {
+        try {
+            const { name, description, permissions = [] } = req.body;
+
+            if (await Role.findByName(name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Role with this name already exists'
+                });
+            }
+
+            const unknown = await RoleController.findUnknownPermissions(permissions);
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unknown permissions',
+                    unknownPermissions: unknown
+                });
+            }
+
+            const roleId = await Role.create({ name, description, permissions });
+            const role = await Role.findById(roleId);
+
+            logger.info('Role created', { role: name, permissions, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'role.create', {
+                targetType: 'role',
+                targetId: role.id,
+                before: null,
+                after: role
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Role created successfully',
+                data: role
+            });
+
+        } catch (error) {
+            console.error('Create role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Actualizar descripción y/o permisos de un rol
+     * Método: PUT /roles/:id
+     * Body: { description?, permissions? }
+     */
+    static async updateRole(req, res) {
+        try {
+            const role = await Role.findById(parseInt(req.params.id));
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            const { description, permissions } = req.body;
+
+            if (permissions !== undefined) {
+                if (role.name === 'admin') {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'The admin role always has every permission'
+                    });
+                }
+
+                const unknown = await RoleController.findUnknownPermissions(permissions);
+                if (unknown.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Unknown permissions',
+                        unknownPermissions: unknown
+                    });
+                }
+            }
+
+            await role.update({ description, permissions });
+            const updatedRole = await Role.findById(role.id);
+
+            logger.info('Role updated', { role: role.name, permissions, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'role.update', {
+                targetType: 'role',
+                targetId: role.id,
+                before: role,
+                after: updatedRole
+            });
+
+            res.json({
+                success: true,
+                message: 'Role updated successfully',
+                data: updatedRole
+            });
+
+        } catch (error) {
+            console.error('Update role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Eliminar un rol (no de sistema y sin usuarios asignados)
+     * Método: DELETE /roles/:id
+     */
+    static async deleteRole(req, res) {
+        try {
+            const role = await Role.findById(parseInt(req.params.id));
+
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            if (role.isSystem) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'System roles cannot be deleted'
+                });
+            }
+
+            const userCount = await Role.countUsers(role.name);
+            if (userCount > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Role is assigned to ${userCount} users. Reassign them before deleting it.`
+                });
+            }
+
+            await role.delete();
+
+            logger.info('Role deleted', { role: role.name, adminId: req.currentUser.id });
+
+            await AuditService.record(req, 'role.delete', {
+                targetType: 'role',
+                targetId: role.id,
+                before: role,
+                after: null
+            });
+
+            res.json({
+                success: true,
+                message: 'Role deleted successfully'
+            });
+
+        } catch (error) {
+            console.error('Delete role error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Devuelve los permisos de la lista que no existen en el catálogo.
+     * @param {string[]} permissions
+     * @returns {Promise<string[]>}
+     */
+    static async findUnknownPermissions(permissions) {
+        const known = (await Role.listPermissions()).map(permission => permission.name);
+        return permissions.filter(permission => !known.includes(permission));
+    }
+}
+
+module.exports = RoleController;
@@ -0,0 +1,221 @@
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditService = require('../services/auditService');
+
+/**
+ * SessionController
+ * Controlador para consultar y revocar sesiones (dispositivos con sesión iniciada).
+ *
+ * - El usuario autenticado gestiona sus propias sesiones (/users/profile/sessions).
+ * - Un admin gestiona las sesiones de cualquier usuario (/users/:id/sessions).
+ * - req.user.sid identifica la sesión desde la que se hace la petición.
+ */
+class SessionController {
+    /**
+     * Listar las sesiones activas del usuario autenticado
+     * Método: GET /users/profile/sessions
+     */
+    static async getMySessions(req, res) {
+        try {
+            const sessions = await Session.findActiveByUser(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: sessions.map(session => session.toJSON(req.user.sid))
+            });
+
+        } catch (error) {
+            console.error('Get sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revocar una sesión propia
+     * Método: DELETE /users/profile/sessions/:sessionId
+     *
+     * Responde 404 si la sesión no existe o pertenece a otro usuario,
+     * para no revelar ids de sesiones ajenas.
+     */
+    static async revokeMySession(req, res) {
+        try {
+            const session = await Session.findById(req.params.sessionId);
+
+            if (!session || session.userId !== req.user.id || !session.isActive()) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            await Session.revoke(session.id);
+
+            await AuditService.record(req, 'session.revoke', {
+                targetType: 'user',
+                targetId: session.userId,
+                metadata: { sessionId: session.id }
+            });
+
+            res.json({
+                success: true,
+                message: 'Session revoked successfully'
+            });
+
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revocar todas las sesiones propias excepto la actual
+     * Método: DELETE /users/profile/sessions
+     */
+    static async revokeMyOtherSessions(req, res) {
+        try {
+            const revokedCount = await Session.revokeAllForUser(req.user.id, req.user.sid);
+
+            await AuditService.record(req, 'session.revoke_all', {
+                targetType: 'user',
+                targetId: req.user.id,
+                metadata: { revokedCount, keptSessionId: req.user.sid }
+            });
+
+            res.json({
+                success: true,
+                message: `${revokedCount} sessions revoked`,
+                data: { revokedCount }
+            });
+
+        } catch (error) {
+            console.error('Revoke sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Listar las sesiones activas de un usuario (solo Admin)
+     * Método: GET /users/:id/sessions
+     */
+    static async getUserSessions(req, res) {
+        try {
+            const user = await User.findById(parseInt(req.params.id));
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const sessions = await Session.findActiveByUser(user.id);
+
+            res.json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: sessions.map(session => session.toJSON(req.user.sid))
+            });
+
+        } catch (error) {
+            console.error('Get user sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revocar una sesión de un usuario (solo Admin)
+     * Método: DELETE /users/:id/sessions/:sessionId
+     */
+    static async revokeUserSession(req, res) {
+        try {
+            const userId = parseInt(req.params.id);
+            const session = await Session.findById(req.params.sessionId);
+
+            if (!session || session.userId !== userId || !session.isActive()) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            await Session.revoke(session.id);
+
+            await AuditService.record(req, 'session.revoke', {
+                targetType: 'user',
+                targetId: userId,
+                metadata: { sessionId: session.id }
+            });
+
+            res.json({
+                success: true,
+                message: 'Session revoked successfully'
+            });
+
+        } catch (error) {
+            console.error('Revoke user session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Cerrar todas las sesiones de un usuario ("log out everywhere", solo Admin)
+     * Método: DELETE /users/:id/sessions
+     */
+    static async revokeAllUserSessions(req, res) {
+        try {
+            const user = await User.findById(parseInt(req.params.id));
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const revokedCount = await Session.revokeAllForUser(user.id);
+
+            await AuditService.record(req, 'session.revoke_all', {
+                targetType: 'user',
+                targetId: user.id,
+                metadata: { revokedCount }
+            });
+
+            res.json({
+                success: true,
+                message: `${revokedCount} sessions revoked`,
+                data: { revokedCount }
+            });
+
+        } catch (error) {
+            console.error('Revoke user sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = SessionController;
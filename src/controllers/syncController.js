@@ -0,0 +1,206 @@
+const SyncRun = require('../models/syncRun');
+const ExcelSyncService = require('../services/excelSyncService');
+const ExcelOutboxService = require('../services/excelOutboxService');
+const excelService = require('../services/excelService');
+const AuditService = require('../services/auditService');
+
+/**
+ * SyncController
+ * Controlador para la sincronización entre la BD y el Excel espejo y su historial.
+ *
+ * - La lógica (cola, comparación, políticas de conflicto, aplicación) está en ExcelSyncService.
+ * - Cada sincronización es un job en sync_runs con su estado, resumen e informe de cambios.
+ * - La reconciliación (ExcelOutboxService.reconcile) solo mira la BD -> Excel: la BD manda.
+ * - Las copias de seguridad del Excel las guarda excelService antes de cada escritura.
+ */
+class SyncController {
+    /**
+     * Encolar una sincronización; responde enseguida con el id del job (202)
+     * Método: POST /users/sync
+     * Body: policy opcional ('db', 'sheet', 'newest' o 'report'); por defecto config.excel.syncConflictPolicy
+     * El resultado se consulta en GET /users/sync/jobs/:id
+     */
+    static async syncUsers(req, res) {
+        try {
+            const { jobId, coalesced } = await ExcelSyncService.enqueue({
+                source: 'manual',
+                policy: req.body?.policy,
+                triggeredBy: req.currentUser ? req.currentUser.id : null,
+                req
+            });
+
+            res.status(202)
+                .location(`/api/users/sync/jobs/${jobId}`)
+                .json({
+                    success: true,
+                    message: coalesced ? 'A sync with the same policy is already queued' : 'Sync queued',
+                    data: { jobId, coalesced }
+                });
+
+        } catch (error) {
+            console.error('Sync users error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Historial de sincronizaciones (más recientes primero): estado, duración y error, sin el informe de cambios
+     * Método: GET /users/sync/jobs
+     * Query: page (1), limit (50, máx. 200), status
+     */
+    static async getJobs(req, res) {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const { runs, total } = await SyncRun.findAll({ page, limit, status: req.query.status });
+
+            res.json({
+                success: true,
+                message: 'Sync jobs retrieved successfully',
+                data: runs,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            console.error('Get sync jobs error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Una sincronización con su informe de cambios completo
+     * Método: GET /users/sync/jobs/:id
+     */
+    static async getJob(req, res) {
+        try {
+            const run = await SyncRun.findById(parseInt(req.params.id));
+
+            if (!run) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sync job not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Sync job retrieved successfully',
+                data: run
+            });
+
+        } catch (error) {
+            console.error('Get sync job error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Comparar la BD con el Excel espejo; con repair encola las escrituras que faltan
+     * Método: POST /users/sync/reconcile
+     * Body: repair opcional (boolean)
+     */
+    static async reconcile(req, res) {
+        try {
+            const repair = req.body?.repair === true;
+            const report = await ExcelOutboxService.reconcile({ repair });
+
+            if (repair) {
+                await AuditService.record(req, 'users.reconcile', {
+                    metadata: { summary: report.summary, repair: report.repair }
+                });
+            }
+
+            res.json({
+                success: true,
+                message: repair ? 'Reconciliation completed, repairs queued' : 'Reconciliation completed',
+                data: report
+            });
+
+        } catch (error) {
+            console.error('Reconcile users error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Copias de seguridad del Excel (más recientes primero)
+     * Método: GET /users/sync/backups
+     */
+    static async getBackups(req, res) {
+        try {
+            res.json({
+                success: true,
+                message: 'Excel backups retrieved successfully',
+                data: excelService.listBackups()
+            });
+
+        } catch (error) {
+            console.error('Get Excel backups error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Volver el Excel a una copia de seguridad (el archivo actual se guarda antes como otra copia)
+     * Método: POST /users/sync/backups/:name/restore
+     * No sincroniza: para llevar a la BD lo recuperado, lanzar después POST /users/sync
+     */
+    static async restoreBackup(req, res) {
+        try {
+            const result = await excelService.restoreBackup(req.params.name);
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Backup not found'
+                });
+            }
+
+            await AuditService.record(req, 'excel.restore', {
+                metadata: result
+            });
+
+            res.json({
+                success: true,
+                message: 'Excel file restored from backup',
+                data: result
+            });
+
+        } catch (error) {
+            console.error('Restore Excel backup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = SyncController;
@@ -0,0 +1,377 @@
+const User = require('../models/user');
+const TwoFactorService = require('../services/twoFactorService');
+const AuditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * TwoFactorController
+ * Controlador para el enrolamiento TOTP del usuario autenticado y la administración de 2FA.
+ *
+ * Flujo de enrolamiento:
+ * 1) POST /users/profile/2fa/setup  -> secreto + URI otpauth:// (para generar el QR).
+ * 2) POST /users/profile/2fa/verify -> confirma con un código y devuelve los códigos de recuperación.
+ */
+class TwoFactorController {
+    /**
+     * Estado de la 2FA del usuario autenticado
+     * Método: GET /users/profile/2fa
+     */
+    static async getStatus(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Two-factor status retrieved successfully',
+                data: {
+                    enabled: user.twoFactorEnabled,
+                    required: await TwoFactorService.isRequiredForRole(user.role),
+                    remainingRecoveryCodes: user.twoFactorEnabled
+                        ? await TwoFactorService.countRemainingRecoveryCodes(user.id)
+                        : 0
+                }
+            });
+
+        } catch (error) {
+            console.error('Get two-factor status error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Iniciar el enrolamiento TOTP
+     * Método: POST /users/profile/2fa/setup
+     *
+     * Genera un secreto pendiente; llamar de nuevo antes de verificar lo reemplaza.
+     */
+    static async setup(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
+
+            const { secret, otpauthUrl } = await TwoFactorService.startEnrollment(user);
+
+            res.json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app and verify a code to finish',
+                data: {
+                    secret,
+                    otpauthUrl
+                }
+            });
+
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Confirmar el enrolamiento con un código de la app
+     * Método: POST /users/profile/2fa/verify
+     * Body: { code }
+     */
+    static async verify(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (user.twoFactorEnabled || !user.twoFactorSecret) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No pending two-factor enrollment. Call setup first.'
+                });
+            }
+
+            if (!(await TwoFactorService.verifyCode(user, req.body.code))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid two-factor code'
+                });
+            }
+
+            const recoveryCodes = await TwoFactorService.activate(user);
+
+            logger.info('Two-factor authentication enabled', { userId: user.id });
+
+            await AuditService.record(req, 'two_factor.enable', {
+                targetType: 'user',
+                targetId: user.id,
+                before: { twoFactorEnabled: false },
+                after: { twoFactorEnabled: true }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store the recovery codes in a safe place.',
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            console.error('Two-factor verify error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Desactivar la 2FA propia
+     * Método: POST /users/profile/2fa/disable
+     * Body: { password, code }
+     *
+     * No se permite si el rol del usuario exige 2FA.
+     */
+    static async disable(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (!user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            if (await TwoFactorService.isRequiredForRole(user.role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is required for your role'
+                });
+            }
+
+            const isValidPassword = await user.verifyPassword(req.body.password);
+            if (!isValidPassword || !(await TwoFactorService.verifyCode(user, req.body.code))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid password or two-factor code'
+                });
+            }
+
+            await TwoFactorService.disable(user);
+
+            logger.info('Two-factor authentication disabled', { userId: user.id });
+
+            await AuditService.record(req, 'two_factor.disable', {
+                targetType: 'user',
+                targetId: user.id,
+                before: { twoFactorEnabled: true },
+                after: { twoFactorEnabled: false }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+
+        } catch (error) {
+            console.error('Two-factor disable error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Regenerar los códigos de recuperación (invalida los anteriores)
+     * Método: POST /users/profile/2fa/recovery-codes
+     * Body: { code }
+     */
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+
+            if (!user || !user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            if (!(await TwoFactorService.verifyCode(user, req.body.code))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid two-factor code'
+                });
+            }
+
+            const recoveryCodes = await TwoFactorService.generateRecoveryCodes(user.id);
+
+            await AuditService.record(req, 'two_factor.recovery_codes_regenerated', {
+                targetType: 'user',
+                targetId: user.id
+            });
+
+            res.json({
+                success: true,
+                message: 'Recovery codes regenerated',
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Resetear el enrolamiento 2FA de un usuario (solo Admin)
+     * Método: DELETE /users/:id/2fa
+     *
+     * Útil cuando el usuario perdió su dispositivo y sus códigos de recuperación.
+     */
+    static async resetUser(req, res) {
+        try {
+            const user = await User.findById(parseInt(req.params.id));
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const wasEnabled = user.twoFactorEnabled;
+            await TwoFactorService.disable(user);
+
+            logger.warn('Two-factor enrollment reset by admin', {
+                userId: user.id,
+                adminId: req.currentUser.id
+            });
+
+            await AuditService.record(req, 'two_factor.reset', {
+                targetType: 'user',
+                targetId: user.id,
+                before: { twoFactorEnabled: wasEnabled },
+                after: { twoFactorEnabled: false }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor enrollment reset successfully'
+            });
+
+        } catch (error) {
+            console.error('Reset two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Listar las políticas 2FA por rol (solo Admin)
+     * Método: GET /users/2fa/policies
+     */
+    static async getPolicies(req, res) {
+        try {
+            const policies = await TwoFactorService.getPolicies();
+
+            res.json({
+                success: true,
+                message: 'Two-factor policies retrieved successfully',
+                data: policies
+            });
+
+        } catch (error) {
+            console.error('Get two-factor policies error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Exigir (o dejar de exigir) 2FA para un rol (solo Admin)
+     * Método: PUT /users/2fa/policies/:role
+     * Body: { required: boolean }
+     */
+    static async setPolicy(req, res) {
+        try {
+            const { role } = req.params;
+            const required = req.body.required === true || req.body.required === 'true';
+
+            await TwoFactorService.setPolicy(role, required);
+
+            logger.info('Two-factor policy updated', {
+                role,
+                required,
+                adminId: req.currentUser.id
+            });
+
+            await AuditService.record(req, 'two_factor.policy_update', {
+                targetType: 'role',
+                metadata: { role, required }
+            });
+
+            res.json({
+                success: true,
+                message: 'Two-factor policy updated successfully',
+                data: { role, required }
+            });
+
+        } catch (error) {
+            console.error('Set two-factor policy error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+}
+
+module.exports = TwoFactorController;
@@ -1,35 +1,100 @@
-const User = require('../models/User');
-const excelService = require('../services/excelService');
-const bcrypt = require('bcryptjs');
+const database = require('../config/database');
+const User = require('../models/user');
+const InvitationService = require('../services/invitationService');
+const AuditService = require('../services/auditService');
+const BulkUserService = require('../services/bulkUserService');
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const AvatarService = require('../services/avatarService');
+const ExcelOutboxService = require('../services/excelOutboxService');
+const UserExportService = require('../services/userExportService');
+const UserImportService = require('../services/userImportService');
+const Session = require('../models/session');
+const { encodeCursor, decodeCursor, buildLink } = require('../utils/pagination');
+const { formatETag, matchesIfMatch } = require('../utils/etag');
 
 /**
  * UserController
- * Controlador responsable del CRUD de usuarios y de la sincronización con un archivo Excel.
+ * Controlador responsable del CRUD de usuarios.
  * 
  * Notas importantes:
  * - Este controlador usa el modelo `User` para interactuar con la base de datos.
- * - También mantiene un "espejo" de los usuarios en un archivo Excel mediante `excelService`.
- * - La contraseña se guarda hasheada en el Excel, pero aquí se asume que el modelo `User`
- *   gestiona el hashing al crear/actualizar en la BD (si no lo hace, deberías hashear antes de crear).
+ * - También mantiene un "espejo" de los usuarios en un archivo Excel: cada cambio encola la escritura
+ *   en la misma transacción (`ExcelOutboxService`) y el worker la aplica con reintentos.
+ * - El modelo `User` hashea la contraseña. El Excel no lleva credenciales: solo incluye ese mismo hash
+ *   si se activa config.excel.includePasswordHashes (EXCEL_INCLUDE_PASSWORD_HASHES, desactivado por defecto).
  */
 class UserController {
     /**
-   * Obtener todos los usuarios (solo Admin)
+   * Listar usuarios con filtros, orden, búsqueda y paginación
    * Método: GET /users
-   * 
-   * Flujo:
-   * 1) Consulta todos los usuarios con `User.findAll()`.
-   * 2) Serializa cada usuario con `toJSON()` y responde en formato JSON.
+   * Query:
+   * - Filtros: role, status, locked (true|false), createdFrom, createdTo (ISO 8601, inclusive; una fecha sin hora abarca todo el día),
+   *   deleted (true: solo usuarios borrados, requiere users:delete)
+   * - Búsqueda: q (nombre, apellido, nombre completo o email)
+   * - Orden: sort (ver User.SORTABLE_FIELDS; por defecto createdAt), order (asc|desc; por defecto desc)
+   * - Paginación: page + limit (50, máx. 200), o cursor + limit (usar los enlaces next/prev)
+   *
+   * Responde `pagination` con el total de coincidencias y `links` con next/prev (null si no hay).
    */
 
     static async getAllUsers(req, res) {
         try {
-            const users = await User.findAll();
+            const filters = UserController.parseListFilters(req.query);
+
+            // Ver usuarios borrados es parte de poder restaurarlos
+            if (filters.deleted && !req.currentUser.hasPermission('users:delete')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing required permissions.',
+                    missingPermissions: ['users:delete']
+                });
+            }
+            const limit = parseInt(req.query.limit) || 50;
+            const sort = req.query.sort || 'createdAt';
+            const order = req.query.order || 'desc';
+            const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+            const page = cursor ? null : parseInt(req.query.page) || 1;
+
+            const { users, total, hasMore } = await User.search(filters, { sort, order, limit, page, cursor });
+
+            // Cursor = último (next) o primer (prev) elemento de la página; los campos de sort son propiedades de User
+            const toCursor = (user, direction) => encodeCursor({ value: user[sort], id: user.id, direction });
+            const first = users[0];
+            const last = users[users.length - 1];
+            const pagination = { limit, total };
+            let hasNext;
+            let hasPrev;
+
+            if (cursor) {
+                hasNext = cursor.direction === 'prev' || hasMore;
+                hasPrev = cursor.direction !== 'prev' || hasMore;
+            } else {
+                const totalPages = Math.ceil(total / limit);
+                Object.assign(pagination, { page, totalPages });
+                hasNext = page < totalPages;
+                hasPrev = page > 1;
+            }
+
+            // En modo página los enlaces siguen por página; nextCursor/prevCursor permiten pasar a keyset
+            pagination.nextCursor = hasNext && last ? toCursor(last, 'next') : null;
+            pagination.prevCursor = hasPrev && first ? toCursor(first, 'prev') : null;
+
+            const links = cursor
+                ? {
+                    next: pagination.nextCursor ? buildLink(req, { cursor: pagination.nextCursor }) : null,
+                    prev: pagination.prevCursor ? buildLink(req, { cursor: pagination.prevCursor }) : null
+                }
+                : {
+                    next: hasNext ? buildLink(req, { page: page + 1 }) : null,
+                    prev: hasPrev ? buildLink(req, { page: Math.min(page - 1, Math.max(pagination.totalPages, 1)) }) : null
+                };
 
             res.json({
                 success: true,
                 message: 'Users retrieved successfully',
-                data: users.map(user => user.toJSON())
+                data: users.map(user => user.toJSON()),
+                pagination,
+                links
             });
 
         } catch (error) {
@@ -42,6 +107,172 @@ class UserController {
         }
     }
 
+    /**
+     * Exportar usuarios como archivo adjunto
+     * Método: GET /users/export
+     * Query: format (xlsx|csv|json, por defecto xlsx), columns (lista separada por comas),
+     *        sort, order y los mismos filtros que GET /users (sin paginación: exporta todo)
+     *
+     * Nunca incluye contraseñas ni datos 2FA; CSV y JSON se envían en streaming (ver UserExportService).
+     */
+    static async exportUsers(req, res) {
+        try {
+            const filters = UserController.parseListFilters(req.query);
+
+            if (filters.deleted && !req.currentUser.hasPermission('users:delete')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing required permissions.',
+                    missingPermissions: ['users:delete']
+                });
+            }
+
+            const format = req.query.format || 'xlsx';
+            const columns = req.query.columns
+                ? [...new Set(req.query.columns.split(',').map(column => column.trim()))]
+                : UserExportService.COLUMNS;
+            const sort = req.query.sort || 'createdAt';
+            const order = req.query.order || 'desc';
+
+            // Se audita antes de enviar: una vez empezado el streaming ya no se puede responder con error
+            await AuditService.record(req, 'users.export', {
+                metadata: { format, columns, filters }
+            });
+
+            await UserExportService.send(res, { format, columns, filters, sort, order });
+
+        } catch (error) {
+            console.error('Export users error:', error);
+            if (res.headersSent) {
+                return;
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Importar usuarios desde un archivo subido (multipart: file + dryRun)
+     * Método: POST /users/import
+     *
+     * - file: XLSX, CSV o JSON con las columnas de GET /users/export (más password e invite).
+     * - passwordMode: 'plaintext' (por defecto), 'hashed' (hashes bcrypt guardados tal cual) o 'none' (altas por invitación).
+     * - Cada fila se identifica por email: alta si no existe, actualización si existe.
+     * - dryRun=true solo valida y devuelve el informe; si no, aplica las filas válidas y
+     *   devuelve el mismo informe (las filas con errores no se aplican).
+     * Ver UserImportService para las reglas de cada fila.
+     */
+    static async importUsers(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Import file is required (multipart field "file")'
+                });
+            }
+
+            const dryRun = req.body.dryRun === true;
+
+            let rows;
+            try {
+                rows = UserImportService.parse(req.file);
+            } catch (error) {
+                if (error instanceof UserImportService.ImportFileError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+                throw error;
+            }
+
+            const passwordMode = req.body.passwordMode || 'plaintext';
+            const items = await UserImportService.plan(rows, req.currentUser, { passwordMode });
+
+            if (!dryRun) {
+                await UserImportService.apply(req, items, req.currentUser);
+            }
+
+            const report = items.map(item => item.report);
+            const summary = { total: report.length, create: 0, update: 0, unchanged: 0, error: 0 };
+            for (const row of report) {
+                summary[row.action]++;
+            }
+
+            if (!dryRun) {
+                await AuditService.record(req, 'users.import', {
+                    metadata: { fileName: req.file.originalname, passwordMode, ...summary }
+                });
+            }
+
+            res.json({
+                success: true,
+                message: dryRun
+                    ? `Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.error} with errors`
+                    : `Import completed: ${summary.create} created, ${summary.update} updated, ${summary.error} with errors`,
+                data: { dryRun, summary, rows: report }
+            });
+
+        } catch (error) {
+            console.error('Import users error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Extrae los filtros del listado de usuarios de la query (ya validada por validateUserListQuery).
+     * @param {Object} query - req.query
+     * @returns {Object} filtros para User.search / User.buildSearchConditions
+     */
+    static parseListFilters(query) {
+        return {
+            role: query.role,
+            status: query.status,
+            locked: query.locked === undefined ? undefined : String(query.locked) === 'true',
+            createdFrom: query.createdFrom,
+            createdTo: query.createdTo,
+            q: query.q ? String(query.q).trim() : undefined,
+            deleted: String(query.deleted) === 'true'
+        };
+    }
+
+    /**
+     * Responde 412 Precondition Failed con la representación actual del usuario y su ETag,
+     * para que el cliente pueda reaplicar sus cambios sobre ella.
+     * @param {Response} res
+     * @param {User} user - usuario en su version actual
+     */
+    static sendPreconditionFailed(res, user) {
+        res.set('ETag', formatETag(user.version));
+        return res.status(412).json({
+            success: false,
+            message: 'Precondition failed. The user was modified by another request',
+            data: user.toJSON()
+        });
+    }
+
+    /**
+     * Extrae del body los campos de perfil presentes (User.PROFILE_FIELDS); null se conserva para borrarlos.
+     * @param {Object} [body] - req.body (ya validado)
+     * @returns {Object}
+     */
+    static pickProfileFields(body) {
+        const profile = {};
+        for (const field of Object.keys(User.PROFILE_FIELDS)) {
+            if (body && body[field] !== undefined) {
+                profile[field] = body[field];
+            }
+        }
+        return profile;
+    }
+
     /**
    * Obtener un usuario por ID
    * Método: GET /users/:id
@@ -63,6 +294,7 @@ class UserController {
                 });
             }
 
+            res.set('ETag', formatETag(user.version));
             res.json({
                 success: true,
                 message: 'User retrieved successfully',
@@ -83,58 +315,93 @@ class UserController {
    * Crear un nuevo usuario (solo Admin)
    * Método: POST /users
    * Body: { firstName, lastName, email, password, role?, status? }
+   *    o: { firstName, lastName, email, role?, invite: true }  (modo invitación)
+   * 
+   * Modo invitación: el usuario se crea con status 'pending' y sin contraseña;
+   * se le envía un enlace para elegirla (ver InvitationService). Así la contraseña
+   * nunca la conoce el admin ni pasa por el espejo en Excel.
    * 
    * Flujo:
    * 1) Verifica si ya existe un usuario con el email dado.
    * 2) Crea el usuario en la BD mediante `User.create(...)`.
    * 3) Recupera el usuario creado con `User.findById(...)`.
-   * 4) Agrega el usuario al Excel con `excelService.addUserToExcel(...)`,
-   *    hasheando la contraseña para el Excel.
+   * 4) Encola su fila del Excel en la misma transacción (ExcelOutboxService; sin la contraseña, salvo config.excel.includePasswordHashes).
    * 5) Responde 201 con el usuario creado.
    * 
    * Importante:
-   * - Aquí se pasa `password` tal cual a `User.create`. Si tu modelo `User` NO hashea internamente,
-   *   debes hashearla antes de crear. En el Excel sí se guarda hasheada.
+   * - Aquí se pasa `password` tal cual a `User.create`, que la hashea una sola vez.
    */
     static async createUser(req, res) {
         try {
-            const { firstName, lastName, email, password, role, status } = req.body;
+            const { firstName, lastName, email, password, role, status, invite } = req.body;
+            const profile = UserController.pickProfileFields(req.body);
+
+            // Asignar un rol distinto del básico requiere 'roles:assign'
+            if (role && role !== 'user' && !req.currentUser.hasPermission('roles:assign')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Assigning roles requires the roles:assign permission.'
+                });
+            }
 
-            // Verificar si el email ya está en uso
-            const existingUser = await User.findByEmail(email);
+            // Verificar si el email ya está en uso (también por un usuario borrado, que se puede restaurar)
+            const existingUser = await User.findByEmail(email, { includeDeleted: true });
             if (existingUser) {
                 return res.status(400).json({
                     success: false,
-                    message: 'User with this email already exists'
+                    message: existingUser.deletedAt
+                        ? 'User with this email was deleted. Restore it instead of creating a new one'
+                        : 'User with this email already exists'
+                });
+            }
+
+            // El código de empleado es único (también frente a usuarios borrados)
+            if (profile.employeeCode && await User.findByEmployeeCode(profile.employeeCode)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User with this employee code already exists'
                 });
             }
 
-            // Crear usuario en la BD (se asume hashing en el modelo; si no, hashear aquí)
-            const userId = await User.create({
-                firstName,
-                lastName,
-                email,
-                password,
-                role: role || 'user',
-                status: status || 'active'
+            // En modo invitación el usuario queda pendiente y sin contraseña
+            const userStatus = invite ? 'pending' : (status || 'active');
+
+            // Crear usuario en la BD (el modelo hashea la contraseña) y encolar su fila del Excel en la misma transacción
+            const userId = await database.transaction(async () => {
+                const createdId = await User.create({
+                    firstName,
+                    lastName,
+                    email,
+                    password: invite ? undefined : password,
+                    role: role || 'user',
+                    status: userStatus,
+                    ...profile
+                });
+                await ExcelOutboxService.enqueueUpsert(createdId, email);
+                return createdId;
             });
 
             // Obtener el usuario recién creado
             const newUser = await User.findById(userId);
 
-            // Agregar usuario al archivo de Excel (contraseña hasheada para el Excel)
-            const excelSuccess = await excelService.addUserToExcel({
-                firstName,
-                lastName,
-                email,
-                password: await bcrypt.hash(password, 12), // Guardar la contraseña hasheada en Excel
-                role: role || 'user',
-                status: status || 'active'
+            await AuditService.record(req, invite ? 'user.invite' : 'user.create', {
+                targetType: 'user',
+                targetId: newUser.id,
+                before: null,
+                after: newUser
             });
 
-            if (!excelSuccess) {
-                // No detiene la respuesta; solo avisa en logs que falló la escritura en Excel
-                console.warn('Failed to add user to Excel file');
+            if (invite) {
+                const invitation = await InvitationService.invite(newUser, req.currentUser.id);
+
+                return res.status(201).json({
+                    success: true,
+                    message: 'User invited successfully',
+                    data: {
+                        ...newUser.toJSON(),
+                        invitation
+                    }
+                });
             }
 
             res.status(201).json({
@@ -155,19 +422,34 @@ class UserController {
 
     /**
   * Actualizar usuario por ID
-  * Método: PUT /users/:id
-  * Body: campos a actualizar (firstName, lastName, email, password, role, status, ...)
+  * Método: PUT /users/:id y PATCH /users/:id (JSON Merge Patch, ver validateMergePatch)
+  * Body: campos a actualizar (firstName, lastName, email, password, role, status y campos de perfil;
+  *       null en un campo de perfil lo borra)
+  * Cabecera If-Match obligatoria con el ETag de GET /users/:id (concurrencia optimista):
+  * sin ella responde 428; si el usuario cambió desde entonces, 412 con la representación actual.
   * 
   * Reglas:
-  * - Si cambia `email`, validar que el nuevo no exista en otro usuario.
-  * - Solo un admin puede cambiar `role` y `status`.
-  * - Si se cambia `password`, también se actualiza en el Excel pero hasheada.
+  * - Solo se aceptan campos de perfil; contadores de login y datos 2FA nunca vienen del body.
+  * - Si cambia `email` o `employeeCode`, validar que el nuevo no exista en otro usuario.
+  * - Sobre otro usuario, no se puede modificar a alguien con permisos que uno no tiene.
+  * - Cambiar `role` requiere 'roles:assign'; cambiar `status` requiere 'users:update'.
+  * - Fijar `password` requiere 'users:password' (admin); el resto cambia la suya con
+  *   POST /users/profile/password, que exige la contraseña actual.
+  * - Una nueva `password` pasa por la política de contraseñas, incluido el historial.
+  * - El Excel espejo no lleva la contraseña (salvo config.excel.includePasswordHashes).
   */
     static async updateUser(req, res) {
         try {
             const { id } = req.params;
-            const updateData = req.body;
             const currentUser = req.currentUser; // Usuario autenticado que hace la petición
+            const ifMatch = req.get('If-Match');
+
+            if (!ifMatch) {
+                return res.status(428).json({
+                    success: false,
+                    message: 'Precondition required. Send the If-Match header with the ETag from GET /api/users/:id'
+                });
+            }
 
             // Buscar el usuario objetivo
             const targetUser = await User.findById(parseInt(id));
@@ -178,9 +460,36 @@ class UserController {
                 });
             }
 
+            // Otro cliente modificó el usuario después de que este lo leyera
+            if (!matchesIfMatch(ifMatch, targetUser.version)) {
+                return UserController.sendPreconditionFailed(res, targetUser);
+            }
+
+            // Estado previo para el registro de auditoría
+            const before = targetUser.toJSON();
+
+            // Solo campos editables (evita que el body toque loginAttempts, lockedUntil, 2FA, etc.)
+            const updateData = {};
+            for (const field of User.EDITABLE_FIELDS) {
+                if (req.body[field] !== undefined) {
+                    updateData[field] = req.body[field];
+                }
+            }
+
+            // No se puede modificar a un usuario con permisos que el actual no tiene (ej. un admin)
+            if (targetUser.id !== currentUser.id) {
+                const targetPermissions = await targetUser.loadPermissions();
+                if (targetPermissions.some(permission => !currentUser.hasPermission(permission))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Access denied. Cannot modify a user with more privileges than yours.'
+                    });
+                }
+            }
+
             // Si se intenta cambiar el email, validar duplicidad
             if (updateData.email && updateData.email !== targetUser.email) {
-                const existingUser = await User.findByEmail(updateData.email);
+                const existingUser = await User.findByEmail(updateData.email, { includeDeleted: true });
                 if (existingUser) {
                     return res.status(400).json({
                         success: false,
@@ -189,42 +498,85 @@ class UserController {
                 }
             }
 
-            // Si NO es admin y quiere cambiar el role, se ignora ese cambio
-            if (updateData.role && currentUser.role !== 'admin') {
-                delete updateData.role;
+            if (updateData.employeeCode && updateData.employeeCode !== targetUser.employeeCode) {
+                if (await User.findByEmployeeCode(updateData.employeeCode)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'User with this employee code already exists'
+                    });
+                }
             }
 
-            // Si NO es admin y quiere cambiar el status, se ignora ese cambio
-            if (updateData.status && currentUser.role !== 'admin') {
-                delete updateData.status;
+            // Sin 'roles:assign' no se puede cambiar el role (enviar el mismo que ya tiene está permitido)
+            if (updateData.role && updateData.role !== targetUser.role && !currentUser.hasPermission('roles:assign')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Changing the role requires the roles:assign permission.'
+                });
             }
 
-            // Actualizar en BD (se asume que el modelo maneja hashing si viene password)
-            const success = await targetUser.update(updateData);
+            // Sin 'users:password' no se puede fijar una contraseña sin conocer la actual
+            if (updateData.password !== undefined && !currentUser.hasPermission('users:password')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Use POST /api/users/profile/password to change your password.'
+                });
+            }
 
-            if (!success) {
-                return res.status(400).json({
+            // Sin 'users:update' no se puede cambiar el status (enviar el mismo que ya tiene está permitido)
+            if (updateData.status && updateData.status !== targetUser.status && !currentUser.hasPermission('users:update')) {
+                return res.status(403).json({
                     success: false,
-                    message: 'Failed to update user'
+                    message: 'Access denied. Changing the status requires the users:update permission.'
                 });
             }
 
-            // Actualizar en el Excel
-            const excelData = { ...updateData };
+            // La nueva contraseña no puede repetir las últimas del usuario (el formato ya lo validó la ruta)
             if (updateData.password) {
-                // En el Excel siempre se guarda hasheada
-                excelData.password = await bcrypt.hash(updateData.password, 12);
+                const policyErrors = await PasswordPolicyService.validateForUser(targetUser, updateData.password);
+                if (policyErrors.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Password does not meet the password policy',
+                        errors: policyErrors
+                    });
+                }
             }
 
-            const excelSuccess = await excelService.updateUserInExcel(targetUser.email, excelData);
+            // Actualizar en BD (el modelo hashea la password) y encolar su fila del Excel en la misma transacción
+            // Solo se escribe si nadie cambió la fila mientras tanto (misma version que la comprobada)
+            const success = await database.transaction(async () => {
+                const updated = await targetUser.update(updateData, { expectedVersion: targetUser.version });
+                if (updated) {
+                    await ExcelOutboxService.enqueueUpsert(targetUser.id, targetUser.email);
+                }
+                return updated;
+            });
 
-            if (!excelSuccess) {
-                console.warn('Failed to update user in Excel file');
+            if (!success) {
+                const latestUser = await User.findById(targetUser.id);
+                if (latestUser && latestUser.version !== targetUser.version) {
+                    return UserController.sendPreconditionFailed(res, latestUser);
+                }
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Failed to update user'
+                });
             }
 
             // Recuperar el usuario actualizado de la BD y responder
             const updatedUser = await User.findById(parseInt(id));
 
+            await AuditService.record(req, 'user.update', {
+                targetType: 'user',
+                targetId: updatedUser.id,
+                before,
+                after: updatedUser,
+                metadata: updateData.password ? { passwordChanged: true } : undefined
+            });
+
+            res.set('ETag', formatETag(updatedUser.version));
             res.json({
                 success: true,
                 message: 'User updated successfully',
@@ -260,6 +612,7 @@ class UserController {
                 });
             }
 
+            res.set('ETag', formatETag(user.version));
             res.json({
                 success: true,
                 message: 'Profile retrieved successfully',
@@ -277,60 +630,566 @@ class UserController {
     }
 
     /**
-     * Sincronizar usuarios desde el archivo Excel hacia la BD
-     * Método: POST /users/sync-excel
-     * 
-     * Flujo:
-     * 1) Lee el listado de usuarios desde Excel (`excelService.readUsersFromExcel()`).
-     * 2) Para cada usuario del Excel:
-     *    - Si no existe en la BD y tiene `email` y `password`, lo crea en la BD.
-     *    - Se asume que la `password` proveniente del Excel ya está hasheada.
-     * 3) Devuelve el número de usuarios agregados y, si hubo, los errores individuales.
+     * Cambiar la contraseña propia
+     * Método: POST /users/profile/password
+     * Body: { currentPassword, newPassword }
+     *
+     * - Exige la contraseña actual: un access token robado no basta para tomar la cuenta.
+     *   Una contraseña actual incorrecta cuenta como intento fallido de login (bloqueo).
+     * - La nueva pasa por la política de contraseñas, incluido el historial.
+     * - Se cierran las demás sesiones (y sus refresh tokens); la actual se conserva.
      */
-    static async syncUsersFromExcel(req, res) {
+    static async changeOwnPassword(req, res) {
         try {
-            const excelUsers = excelService.readUsersFromExcel();
-            let addedCount = 0;
-            let errors = [];
-
-            for (const excelUser of excelUsers) {
-                try {
-                    // Verificar si ya existe ese email en la BD
-                    const existingUser = await User.findByEmail(excelUser.email);
-
-                    if (!existingUser && excelUser.email && excelUser.password) {
-                        // Crear usuario en BD (se asume que la password del Excel ya está hasheada)
-                        await User.create({
-                            firstName: excelUser.firstName,
-                            lastName: excelUser.lastName,
-                            email: excelUser.email,
-                            password: excelUser.password, // Already hashed
-                            role: excelUser.role || 'user',
-                            status: excelUser.status || 'active'
-                        });
-
-                        addedCount++;
-                    }
-                } catch (userError) {
-                    // Si falló la creación de este usuario, se acumula el error para reportarlo
-                    errors.push({
-                        email: excelUser.email,
-                        error: userError.message
-                    });
-                }
+            const { currentPassword, newPassword } = req.body;
+            const user = await User.findById(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
             }
 
+            if (user.isLocked()) {
+                return res.status(423).json({
+                    success: false,
+                    message: 'Account is temporarily locked due to too many failed login attempts'
+                });
+            }
+
+            if (!(await user.verifyPassword(currentPassword))) {
+                await user.incrementLoginAttempts();
+
+                await AuditService.record(req, 'auth.password_change_failed', {
+                    targetType: 'user',
+                    targetId: user.id,
+                    metadata: { reason: 'invalid_current_password', locked: !!user.isLocked() }
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'Current password is incorrect'
+                });
+            }
+
+            const policyErrors = await PasswordPolicyService.validateForUser(user, newPassword);
+            if (policyErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Password does not meet the password policy',
+                    errors: policyErrors
+                });
+            }
+
+            // El espejo en Excel toma el nuevo hash
+            await database.transaction(async () => {
+                await user.update({ password: newPassword });
+                await ExcelOutboxService.enqueueUpsert(user.id, user.email);
+            });
+            if (user.loginAttempts > 0) {
+                await user.resetLoginAttempts();
+            }
+
+            const revokedSessions = await Session.revokeAllForUser(user.id, req.user.sid);
+            const updatedUser = await User.findById(user.id);
+
+            await AuditService.record(req, 'auth.password_change', {
+                targetType: 'user',
+                targetId: updatedUser.id,
+                metadata: { passwordChanged: true, reason: 'self_service', revokedSessions }
+            });
+
             res.json({
                 success: true,
-                message: `Sync completed. ${addedCount} users added.`,
-                data: {
-                    addedCount,
-                    errors: errors.length > 0 ? errors : undefined
-                }
+                message: 'Password changed successfully',
+                data: { revokedSessions }
+            });
+
+        } catch (error) {
+            console.error('Change password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Listar invitaciones pendientes (solo Admin)
+     * Método: GET /users/invitations
+     *
+     * Incluye las expiradas (expired: true) para poder reenviarlas.
+     */
+    static async getPendingInvitations(req, res) {
+        try {
+            const invitations = await InvitationService.listPending();
+
+            res.json({
+                success: true,
+                message: 'Invitations retrieved successfully',
+                data: invitations
+            });
+
+        } catch (error) {
+            console.error('Get invitations error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Reenviar la invitación de un usuario pendiente (solo Admin)
+     * Método: POST /users/:id/invitation/resend
+     *
+     * Emite un token nuevo (el anterior deja de servir) y reinicia la expiración.
+     */
+    static async resendInvitation(req, res) {
+        try {
+            const user = await User.findById(parseInt(req.params.id));
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (user.status !== 'pending') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User has no pending invitation'
+                });
+            }
+
+            const invitation = await InvitationService.invite(user, req.currentUser.id);
+
+            await AuditService.record(req, 'user.invitation_resent', {
+                targetType: 'user',
+                targetId: user.id,
+                metadata: { expiresAt: invitation.expiresAt, sent: invitation.sent }
+            });
+
+            res.json({
+                success: true,
+                message: 'Invitation resent successfully',
+                data: invitation
+            });
+
+        } catch (error) {
+            console.error('Resend invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Revocar la invitación pendiente de un usuario (solo Admin)
+     * Método: DELETE /users/:id/invitation
+     *
+     * El usuario sigue 'pending'; se le puede volver a invitar con resend.
+     */
+    static async revokeInvitation(req, res) {
+        try {
+            const revokedCount = await InvitationService.revokeForUser(parseInt(req.params.id));
+
+            if (revokedCount === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No pending invitation found for this user'
+                });
+            }
+
+            await AuditService.record(req, 'user.invitation_revoked', {
+                targetType: 'user',
+                targetId: parseInt(req.params.id)
+            });
+
+            res.json({
+                success: true,
+                message: 'Invitation revoked successfully'
+            });
+
+        } catch (error) {
+            console.error('Revoke invitation error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Borrar un usuario (borrado lógico)
+     * Método: DELETE /users/:id
+     *
+     * - El usuario deja de aparecer en los listados y no puede autenticarse; sus sesiones se cierran.
+     * - Sus datos se conservan: se puede restaurar (POST /users/:id/restore) o purgar (DELETE /users/:id/purge).
+     * - Nunca se borra al último admin activo ni a alguien con permisos que el actual no tiene.
+     */
+    static async deleteUser(req, res) {
+        try {
+            const targetUser = await User.findById(parseInt(req.params.id));
+
+            if (!targetUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (await targetUser.exceedsPermissionsOf(req.currentUser)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Cannot delete a user with more privileges than yours.'
+                });
+            }
+
+            if (await targetUser.isLastActiveAdmin()) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The last active admin cannot be deleted'
+                });
+            }
+
+            // El borrado encola el de su fila del Excel en su transacción
+            await targetUser.softDelete();
+            ExcelOutboxService.nudge();
+
+            await AuditService.record(req, 'user.delete', {
+                targetType: 'user',
+                targetId: targetUser.id,
+                metadata: { email: targetUser.email, deletedAt: targetUser.deletedAt }
+            });
+
+            res.json({
+                success: true,
+                message: 'User deleted successfully',
+                data: targetUser.toJSON()
+            });
+
+        } catch (error) {
+            console.error('Delete user error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Subir o reemplazar el avatar de un usuario (campo multipart 'avatar')
+     * Método: POST /users/:id/avatar
+     *
+     * - Solo JPEG, PNG o WebP, detectado por el contenido; el tamaño lo limita el middleware (413).
+     * - El archivo anterior se elimina una vez guardado el nuevo.
+     */
+    static async uploadAvatar(req, res) {
+        try {
+            const targetUser = await User.findById(parseInt(req.params.id));
+
+            if (!targetUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (await targetUser.exceedsPermissionsOf(req.currentUser)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Cannot modify a user with more privileges than yours.'
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Avatar file is required (multipart field "avatar")'
+                });
+            }
+
+            const imageType = AvatarService.detectImageType(req.file.buffer);
+            if (!imageType) {
+                return res.status(415).json({
+                    success: false,
+                    message: 'Unsupported image type. Allowed types: JPEG, PNG, WebP'
+                });
+            }
+
+            const previousPath = targetUser.avatarPath;
+            const avatarPath = await AvatarService.save(targetUser.id, req.file.buffer, imageType.extension);
+
+            try {
+                await targetUser.update({ avatarPath });
+            } catch (error) {
+                // Sin fila actualizada el archivo nuevo quedaría huérfano
+                await AvatarService.remove(avatarPath);
+                throw error;
+            }
+
+            await AvatarService.remove(previousPath);
+
+            const updatedUser = await User.findById(targetUser.id);
+
+            await AuditService.record(req, 'user.avatar_update', {
+                targetType: 'user',
+                targetId: targetUser.id,
+                metadata: { mimeType: imageType.mimeType, size: req.file.size, replaced: !!previousPath }
+            });
+
+            res.json({
+                success: true,
+                message: 'Avatar updated successfully',
+                data: updatedUser.toJSON()
+            });
+
+        } catch (error) {
+            console.error('Upload avatar error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Eliminar el avatar de un usuario
+     * Método: DELETE /users/:id/avatar
+     */
+    static async deleteAvatar(req, res) {
+        try {
+            const targetUser = await User.findById(parseInt(req.params.id));
+
+            if (!targetUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (await targetUser.exceedsPermissionsOf(req.currentUser)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Cannot modify a user with more privileges than yours.'
+                });
+            }
+
+            if (!targetUser.avatarPath) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User has no avatar'
+                });
+            }
+
+            await targetUser.update({ avatarPath: null });
+            await AvatarService.remove(targetUser.avatarPath);
+            targetUser.avatarPath = null;
+
+            await AuditService.record(req, 'user.avatar_delete', {
+                targetType: 'user',
+                targetId: targetUser.id
+            });
+
+            res.json({
+                success: true,
+                message: 'Avatar deleted successfully',
+                data: targetUser.toJSON()
+            });
+
+        } catch (error) {
+            console.error('Delete avatar error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Restaurar un usuario borrado (vuelve con el status y rol que tenía)
+     * Método: POST /users/:id/restore
+     */
+    static async restoreUser(req, res) {
+        try {
+            const targetUser = await User.findById(parseInt(req.params.id), { includeDeleted: true });
+
+            if (!targetUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (!targetUser.deletedAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User is not deleted'
+                });
+            }
+
+            if (await targetUser.exceedsPermissionsOf(req.currentUser)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Cannot restore a user with more privileges than yours.'
+                });
+            }
+
+            await targetUser.restore();
+            ExcelOutboxService.nudge();
+
+            await AuditService.record(req, 'user.restore', {
+                targetType: 'user',
+                targetId: targetUser.id,
+                metadata: { email: targetUser.email }
+            });
+
+            res.json({
+                success: true,
+                message: 'User restored successfully',
+                data: targetUser.toJSON()
+            });
+
+        } catch (error) {
+            console.error('Restore user error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Purgar un usuario borrado: elimina definitivamente la fila, sus tokens y datos asociados
+     * y su entrada en el Excel.
+     * Método: DELETE /users/:id/purge
+     *
+     * Solo se purgan usuarios ya borrados (DELETE /users/:id), así el último admin activo
+     * nunca llega a purgarse. El registro de auditoría se conserva.
+     */
+    static async purgeUser(req, res) {
+        try {
+            const targetUser = await User.findById(parseInt(req.params.id), { includeDeleted: true });
+
+            if (!targetUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (!targetUser.deletedAt) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Only deleted users can be purged. Delete the user first'
+                });
+            }
+
+            // La purga encola el borrado de su fila del Excel en su transacción
+            await targetUser.purge();
+            ExcelOutboxService.nudge();
+            await AvatarService.remove(targetUser.avatarPath);
+
+            await AuditService.record(req, 'user.purge', {
+                targetType: 'user',
+                targetId: targetUser.id,
+                before: targetUser,
+                after: null
+            });
+
+            res.json({
+                success: true,
+                message: 'User purged successfully'
+            });
+
+        } catch (error) {
+            console.error('Purge user error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Operaciones masivas sobre usuarios
+     * Método: POST /users/bulk
+     * Body: {
+     *   atomic?: boolean,   // true: all-or-nothing
+     *   operations: [
+     *     { action: 'set_status', ids: [..], status: 'active'|'inactive' },
+     *     { action: 'set_role', ids: [..], role },
+     *     { action: 'reset_password', ids: [..] },   // envía el correo de reset
+     *     { action: 'delete', ids: [..] }            // borrado lógico
+     *   ]
+     * }
+     *
+     * Responde un resultado por (acción, id). Sin atomic, los elementos válidos se aplican
+     * aunque otros fallen; con atomic, un solo fallo deshace todo (409).
+     * Ver BulkUserService para la transacción y los efectos posteriores (Excel, correos).
+     */
+    static async bulkUpdateUsers(req, res) {
+        try {
+            const { operations, atomic = false } = req.body;
+
+            const missing = BulkUserService.missingPermissions(operations, req.currentUser);
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Missing required permissions.',
+                    missingPermissions: missing
+                });
+            }
+
+            const { committed, results } = await BulkUserService.run(req, operations, {
+                atomic,
+                currentUser: req.currentUser
+            });
+
+            const rolledBack = results.filter(result => result.rolledBack).length;
+            const failed = results.filter(result => !result.success).length - rolledBack;
+            const summary = {
+                total: results.length,
+                succeeded: results.length - failed - rolledBack,
+                failed,
+                rolledBack
+            };
+
+            await AuditService.record(req, 'users.bulk', {
+                metadata: { atomic, committed, ...summary }
+            });
+
+            if (!committed) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Bulk operation rolled back: ${failed} of ${results.length} items failed`,
+                    data: { atomic, committed, summary, results }
+                });
+            }
+
+            res.json({
+                success: true,
+                message: failed > 0
+                    ? `Bulk operation completed with ${failed} failed items`
+                    : 'Bulk operation completed successfully',
+                data: { atomic, committed, summary, results }
             });
 
         } catch (error) {
-            console.error('Sync users error:', error);
+            console.error('Bulk users error:', error);
             res.status(500).json({
                 success: false,
                 message: 'Server error',
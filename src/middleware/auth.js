@@ -1,18 +1,25 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const User = require('../models/user');
+const ApiKey = require('../models/apiKey');
+const Session = require('../models/session');
 const config = require('../config/config');
+const TwoFactorService = require('../services/twoFactorService');
+const AuditService = require('../services/auditService');
+const { apiKeyLimiter } = require('./rateLimiter');
 
 /**
  * Middleware: verifica el token JWT enviado en Authorization header.
  * - Extrae el token (espera "Authorization: Bearer <token>")
  * - Lo valida con jwt.verify usando el secret configurado
+ * - Comprueba que la sesión del token (claim sid) siga activa: revocar la sesión
+ *   (logout, cerrar sesiones, cambio de contraseña) invalida también sus access tokens
  * - Si es válido, pone el payload en req.user y llama next()
- * - Si falta o es inválido, responde 401
+ * - Si falta, es inválido o su sesión fue revocada, responde 401
  */
 
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
     //Extraer token del header Authorization (case-insensitive)
-    const token = req.header('Authorization')?.replace('Bearer', '');
+    const token = req.header('Authorization')?.replace('Bearer', '').trim();
 
     if (!token) {
         return res.status(401).json({
@@ -26,7 +33,6 @@ const verifyToken = (req, res, next) => {
         const decoded = jwt.verify(token, config.jwt.secret);
         // Guardamos el payload decodificado para uso posterior en la request
         req.user = decoded;
-        next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({
@@ -40,39 +46,182 @@ const verifyToken = (req, res, next) => {
             error: error.message
         });
     }
+
+    try {
+        const session = req.user.sid ? await Session.findById(req.user.sid) : null;
+        if (!session || session.userId !== req.user.id || !session.isActive()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please login again.'
+            });
+        }
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+
+    next();
 };
 
 /**
- * Middleware: requiere que el usuario sea admin.
- * - Lee el id del usuario desde req.user (que debe haber puesto verifyToken)
- * - Recupera el usuario real desde la DB y verifica su rol
- * - Responde 404 si no existe, 403 si no es admin, 500 en errores del servidor
+ * Middleware: acepta un access token JWT o una API key de integración.
+ * - Con header "X-API-Key: <key>" autentica la clave: debe existir, no estar revocada
+ *   ni expirada y la IP debe estar permitida. Pone la clave en req.apiKey, registra
+ *   el uso y aplica el rate limit propio de la clave.
+ * - Sin ese header se comporta exactamente como verifyToken.
+ * Los permisos de la clave se comprueban luego con requirePermission/canAccessUser.
  */
 
-const requireAdmin = async (req, res, next) => {
+const verifyTokenOrApiKey = async (req, res, next) => {
+    const key = req.header('X-API-Key')?.trim();
+
+    if (!key) {
+        return verifyToken(req, res, next);
+    }
+
     try {
-        const user = await User.findById(req.user.id);
-        if (!user) {
-            return res.status(404).json({
+        const apiKey = await ApiKey.findByKey(key);
+
+        if (!apiKey || !apiKey.isActive()) {
+            await AuditService.record(req, 'auth.api_key_rejected', {
+                actor: apiKey
+                    ? { type: 'api_key', id: apiKey.id, label: apiKey.name }
+                    : { type: 'anonymous', id: null, label: null },
+                metadata: { reason: apiKey ? 'inactive' : 'unknown_key', keyPrefix: key.slice(0, 12) }
+            });
+
+            return res.status(401).json({
                 success: false,
-                message: 'User not found.'
+                message: 'Invalid, revoked or expired API key.'
             });
         }
 
-        if (user.status !== 'active') {
+        if (!apiKey.isIpAllowed(req.ip)) {
+            await AuditService.record(req, 'auth.api_key_rejected', {
+                actor: { type: 'api_key', id: apiKey.id, label: apiKey.name },
+                metadata: { reason: 'ip_not_allowed' }
+            });
+
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. User is inactive.'
+                message: 'Access denied. API key is not allowed from this IP address.'
             });
         }
 
-        if (user.role !== 'admin') {
+        await apiKey.touch(req.ip);
+
+        req.apiKey = apiKey;
+        apiKeyLimiter(req, res, next);
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Middleware: igual que verifyToken pero opcional.
+ * - Si llega un access token válido, pone el payload en req.user.
+ * - Si no llega o es inválido, continúa sin req.user (no responde 401).
+ * Útil para endpoints públicos que se comportan distinto con sesión (ej. logout).
+ */
+
+const optionalToken = (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer', '').trim();
+
+    if (token) {
+        try {
+            req.user = jwt.verify(token, config.jwt.secret);
+        } catch (error) {
+            // Token inválido o expirado: se trata como petición anónima
+        }
+    }
+
+    next();
+};
+
+/**
+ * Carga el usuario autenticado desde la DB y comprueba que pueda operar.
+ * - Responde 404 si no existe, 403 si está inactivo o si su rol exige 2FA y no la activó,
+ *   423 si la cuenta está bloqueada por intentos fallidos (mismo bloqueo que el login).
+ * - Carga sus permisos (user.permissions) para las comprobaciones posteriores.
+ * - Si la petición viene con API key (req.apiKey) devuelve la identidad de la clave.
+ * @returns {Promise<User|Object|null>} el usuario, o null si ya se envió una respuesta de error
+ */
+const loadCurrentUser = async (req, res) => {
+    if (req.apiKey) {
+        return req.apiKey.toPrincipal();
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found.'
+        });
+        return null;
+    }
+
+    if (user.status !== 'active') {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. User is inactive.'
+        });
+        return null;
+    }
+
+    if (user.isLocked()) {
+        res.status(423).json({
+            success: false,
+            message: 'Access denied. Account is temporarily locked.'
+        });
+        return null;
+    }
+
+    if (await TwoFactorService.isSetupRequired(user)) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Two-factor authentication setup required.'
+        });
+        return null;
+    }
+
+    await user.loadPermissions();
+    return user;
+};
+
+/**
+ * Middleware (factory): requiere que el usuario tenga todos los permisos indicados.
+ * - Lee el id del usuario desde req.user (que debe haber puesto verifyToken)
+ * - Recupera el usuario real desde la DB y los permisos de su rol
+ * - Responde 404 si no existe, 403 si le falta algún permiso (o ver loadCurrentUser),
+ *   500 en errores del servidor
+ *
+ * Uso: router.get('/', verifyToken, requirePermission('users:read'), handler)
+ * @param {...string} permissions - ej. 'users:update'
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+    try {
+        const user = await loadCurrentUser(req, res);
+        if (!user) {
+            return;
+        }
+
+        const missing = permissions.filter(permission => !user.hasPermission(permission));
+        if (missing.length > 0) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Admin privileges required.'
+                message: 'Access denied. Missing required permissions.',
+                missingPermissions: missing
             });
         }
-        
+
         req.currentUser = user; //  Guardamos para evitar consultas adicionales
         next();
     } catch (error) {
@@ -85,42 +234,31 @@ const requireAdmin = async (req, res, next) => {
 };
 
 /**
- * Middleware: permite modificar usuario si:
- *  - el usuario actual es admin, o
- *  - el usuario actual es el mismo que el target (param id)
+ * Middleware (factory): permite acceder a un usuario (param id) si:
+ *  - el usuario actual tiene el permiso indicado, o
+ *  - el usuario actual es el mismo que el target
  *
- * - Recupera el usuario actual desde la DB para tener el rol/estado actualizado
- * - Si tiene permiso, pone req.currentUser = currentUser y llama next()
- * - Si no tiene permiso, responde 403; 404 si currentUser no existe
+ * - Recupera el usuario actual desde la DB para tener el rol/estado/permisos actualizados
+ * - Si tiene acceso, pone req.currentUser = currentUser y llama next()
+ * - Si no tiene acceso, responde 403 (ver también loadCurrentUser)
+ * @param {string} permission - permiso que da acceso a cualquier usuario
  */
-
-const canModifyUser = async (req, res, next) => {
+const canAccessUser = (permission) => async (req, res, next) => {
     try {
         const targetUserId = parseInt(req.params.id);
-        const currentUser = await User.findById(req.user.id);
-
+        const currentUser = await loadCurrentUser(req, res);
         if (!currentUser) {
-            return res.status(404).json({
-                success: false,
-                message: 'Current user not found.'
-            });
+            return;
         }
 
-        if (currentUser.status !== 'active') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. User is inactive.'
-            });
-        }
-
-        // Admin puede modificar cualquiera; usuario puede modificar solo su propio id
-        if (currentUser.role === 'admin' || currentUser.id === targetUserId) {
+        // Con el permiso se accede a cualquiera; sin él, solo al propio id
+        if (currentUser.hasPermission(permission) || currentUser.id === targetUserId) {
             req.currentUser = currentUser;
             next();
         } else {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. You can only modify your own profile or need admin privileges.'
+                message: 'Access denied. You can only access your own profile or need additional permissions.'
             });
         }
     } catch (error) {
@@ -132,8 +270,16 @@ const canModifyUser = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware: permite modificar un usuario si es el propio o si se tiene 'users:update'.
+ */
+const canModifyUser = canAccessUser('users:update');
+
 module.exports = {
     verifyToken,
-    requireAdmin,
+    verifyTokenOrApiKey,
+    optionalToken,
+    requirePermission,
+    canAccessUser,
     canModifyUser
-};
\ No newline at end of file
+};
@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const config = require('../config/config');
+const ApiKey = require('../models/apiKey');
 
 /**
  *  Rate limiter para intentos de login
@@ -32,12 +33,36 @@ const loginLimiter = rateLimit({
     skipSuccessfulRequests: true
 });
 
+/**
+ * Rate limiter para la recuperación de contraseña
+ *
+ * A diferencia del de login, cuenta todas las peticiones: forgot-password
+ * siempre responde 200, por lo que no se puede distinguir éxito de abuso.
+ * Limita el envío masivo de correos y el tanteo de tokens de reset.
+ */
+const passwordResetLimiter = rateLimit({
+    windowMs: config.security.rateLimitWindow * 60 * 1000,
+    max: config.security.rateLimitMaxRequests,
+
+    message: {
+        success: false,
+        message: 'Too many password reset requests, please try again later.',
+        retryAfter: config.security.rateLimitWindow * 60 // segundos
+    },
+
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
 /**
  * Rate limiter general para la API
  * 
  * Este middleware limita la cantidad de requests totales que 
  * un cliente puede hacer a la API en una ventana de tiempo,
  * protegiendo contra abuso o uso excesivo.
+ * Las peticiones con una API key válida no cuentan aquí: las limita
+ * apiKeyLimiter con el límite propio de cada clave. Una clave inventada
+ * o revocada sí cuenta, para que el header no sirva para saltarse el límite.
  */
 const apiLimiter = rateLimit({
     // Ventana de tiempo: 15 minutos
@@ -56,10 +81,47 @@ const apiLimiter = rateLimit({
     standardHeaders: true,
 
     //No usar headers antiguos
+    legacyHeaders: false,
+
+    //Las integraciones (API key activa) tienen su propio limitador
+    skip: async (req) => {
+        const key = req.header('X-API-Key')?.trim();
+        if (!key) {
+            return false;
+        }
+
+        const apiKey = await ApiKey.findByKey(key);
+        return Boolean(apiKey && apiKey.isActive());
+    }
+});
+
+/**
+ * Rate limiter por API key
+ *
+ * Se aplica tras autenticar la clave (req.apiKey), así cada integración
+ * tiene su propio contador independiente de la IP desde la que llame.
+ * El límite es el de la clave o, si no tiene, el por defecto de la config.
+ */
+const apiKeyLimiter = rateLimit({
+    windowMs: config.apiKeys.rateLimitWindow * 60 * 1000,
+    limit: (req) => req.apiKey.rateLimit || config.apiKeys.defaultRateLimit,
+
+    // Contador por clave, no por IP
+    keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+
+    message: {
+        success: false,
+        message: 'API key rate limit exceeded, please try again later.',
+        retryAfter: config.apiKeys.rateLimitWindow * 60 // segundos
+    },
+
+    standardHeaders: true,
     legacyHeaders: false
 });
 
 module.exports = {
     loginLimiter,
-    apiLimiter
+    passwordResetLimiter,
+    apiLimiter,
+    apiKeyLimiter
 };
@@ -0,0 +1,61 @@
+const multer = require('multer');
+const config = require('../config/config');
+
+/**
+ * Middlewares de subida de archivos (multer).
+ *
+ * - Los archivos se reciben en memoria: el tipo real se comprueba por su contenido
+ *   (ver AvatarService) antes de escribir nada en disco.
+ * - Un archivo demasiado grande responde 413; cualquier otro error de multer, 400.
+ */
+
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.uploads.avatarMaxSize,
+        files: 1
+    }
+}).single('avatar');
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.uploads.importMaxSize,
+        files: 1
+    }
+}).single('file');
+
+/**
+ * Envuelve un middleware de multer para responder con el formato JSON de la API.
+ * @param {Function} upload - middleware de multer (ej. .single('avatar'))
+ * @param {number} maxSize - límite de tamaño en bytes (para el mensaje del 413)
+ * @returns {Function} middleware de Express
+ */
+const handleUpload = (upload, maxSize) => (req, res, next) => {
+    upload(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({
+                    success: false,
+                    message: `File too large. Maximum size is ${maxSize} bytes`
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: `Invalid upload: ${err.message}`
+            });
+        }
+
+        next(err);
+    });
+};
+
+module.exports = {
+    uploadAvatar: handleUpload(avatarUpload, config.uploads.avatarMaxSize),
+    uploadImportFile: handleUpload(importUpload, config.uploads.importMaxSize)
+};
@@ -1,4 +1,16 @@
-const { body, validationResult } = require('express-validator');
+const net = require('net');
+const { body, param, query, validationResult } = require('express-validator');
+const Role = require('../models/role');
+const User = require('../models/user');
+const { decodeCursor } = require('../utils/pagination');
+const BulkUserService = require('../services/bulkUserService');
+const UserExportService = require('../services/userExportService');
+const SyncRun = require('../models/syncRun');
+
+//Máximo de elementos (acción, id) por petición de POST /api/users/bulk
+const MAX_BULK_ITEMS = 500;
+const PasswordPolicyService = require('../services/passwordPolicyService');
+const config = require('../config/config');
 
 /**
  * Middleware: maneja errores de validación generados por express-validator.
@@ -18,6 +30,108 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+/**
+ * Validador personalizado: el rol debe existir en la tabla roles.
+ * @param {string} value
+ * @returns {Promise<boolean>}
+ */
+const roleExists = async (value) => {
+    const role = await Role.findByName(value);
+    if (!role) {
+        throw new Error('Role does not exist');
+    }
+    return true;
+};
+
+/**
+ * Validador personalizado: la contraseña cumple la política configurada
+ * (longitud, clases de caracteres, contraseñas comunes). El historial se
+ * comprueba después, cuando ya se conoce al usuario.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const meetsPasswordPolicy = (value) => {
+    const errors = PasswordPolicyService.validate(value);
+    if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+    }
+    return true;
+};
+
+/**
+ * Validador personalizado: IP suelta o rango CIDR (IPv4 o IPv6).
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isIpOrCidr = (value) => {
+    if (typeof value !== 'string') {
+        return false;
+    }
+
+    const [address, prefix, ...rest] = value.split('/');
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) {
+        return false;
+    }
+    if (prefix === undefined) {
+        return true;
+    }
+
+    const bits = Number(prefix);
+    return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+};
+
+/**
+ * Validaciones de los campos de perfil (registro y actualización).
+ * - Todos son opcionales; null los deja vacíos (en una actualización, los borra).
+ */
+const profileFieldRules = [
+    // phone: dígitos con prefijo internacional opcional, espacios, guiones, puntos o paréntesis
+    body('phone')
+        .optional({ values: 'null' })
+        .trim()
+        .matches(/^\+?[0-9 ()\-.]{6,20}$/)
+        .withMessage('Phone must be 6 to 20 digits, optionally starting with +'),
+
+    body('documentNumber')
+        .optional({ values: 'null' })
+        .trim()
+        .matches(/^[A-Za-z0-9.\-]{4,20}$/)
+        .withMessage('Document number must be 4 to 20 letters, digits, dots or dashes'),
+
+    // employeeCode: único entre los usuarios (se comprueba en el controlador)
+    body('employeeCode')
+        .optional({ values: 'null' })
+        .trim()
+        .matches(/^[A-Za-z0-9_\-]{1,30}$/)
+        .withMessage('Employee code must be 1 to 30 letters, digits, dashes or underscores'),
+
+    body('licenseNumber')
+        .optional({ values: 'null' })
+        .trim()
+        .matches(/^[A-Za-z0-9.\-]{4,30}$/)
+        .withMessage('License number must be 4 to 30 letters, digits, dots or dashes'),
+
+    // licenseExpiresAt: fecha sin hora (YYYY-MM-DD)
+    body('licenseExpiresAt')
+        .optional({ values: 'null' })
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('License expiry must be a date in YYYY-MM-DD format'),
+
+    // preferredLanguage: uno de config.profiles.supportedLanguages
+    body('preferredLanguage')
+        .optional({ values: 'null' })
+        .isIn(config.profiles.supportedLanguages)
+        .withMessage(`Preferred language must be one of: ${config.profiles.supportedLanguages.join(', ')}`),
+
+    // depot: nombre del depósito o base del usuario (texto libre)
+    body('depot')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Depot must be 1 to 50 characters')
+];
+
 /**
  * Validaciones para registro de usuario.
  * - Se exporta como un array de middlewares para usar directamente en la ruta.
@@ -41,18 +155,28 @@ const validateUserRegistration = [
         .normalizeEmail()
         .withMessage('Please provide a valid email'),
 
-    // password: mínimo 8 caracteres y debe cumplir complejidad (mayúscula, minúscula, número, caracter especial)
+    // invite: opcional; si es true el usuario se crea 'pending' y elige su contraseña vía invitación
+    body('invite')
+        .optional()
+        .isBoolean()
+        .withMessage('Invite must be a boolean')
+        .toBoolean(),
+
+    // en modo invitación no se acepta contraseña (la elige el invitado)
     body('password')
-        .isLength({ min: 8 })
-        .withMessage('Password must be at least 8 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number and one special character'),
+        .if((value, { req }) => req.body.invite === true)
+        .isEmpty()
+        .withMessage('Password must not be provided when sending an invitation'),
 
-    // role: opcional, solo valores 'user' o 'admin'
+    // password: debe cumplir la política de contraseñas (config.passwordPolicy)
+    body('password')
+        .if((value, { req }) => req.body.invite !== true)
+        .custom(meetsPasswordPolicy),
+
+    // role: opcional, debe ser un rol existente (ver /api/roles)
     body('role')
         .optional()
-        .isIn(['user', 'admin'])
-        .withMessage('Role must be either user or admin'),
+        .custom(roleExists),
 
     // status: opcional, solo 'active' o 'inactive'
     body('status')
@@ -60,6 +184,8 @@ const validateUserRegistration = [
         .isIn(['active', 'inactive'])
         .withMessage('Status must be either active or inactive'),
 
+    ...profileFieldRules,
+
     // middleware final que envía errores si existen
     handleValidationErrors
 ];
@@ -79,6 +205,13 @@ const validateUserLogin = [
         .notEmpty()
         .withMessage('Password is required'),
 
+    // device: opcional, nombre del dispositivo para identificar la sesión
+    body('device')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Device name must be at most 100 characters'),
+
     handleValidationErrors
 ];
 
@@ -107,21 +240,565 @@ const validateUserUpdate = [
 
     body('password')
         .optional()
-        .isLength({ min: 8 })
-        .withMessage('Password must be at least 8 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&]).{8,}$/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number and one special character'),
+        .custom(meetsPasswordPolicy),
 
     body('role')
         .optional()
-        .isIn(['user', 'admin'])
-        .withMessage('Role must be either user or admin'),
+        .custom(roleExists),
 
     body('status')
         .optional()
         .isIn(['active', 'inactive'])
         .withMessage('Status must be either active or inactive'),
 
+    ...profileFieldRules,
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones de forma para PATCH /api/users/:id (JSON Merge Patch, RFC 7396).
+ * - Content-Type application/merge-patch+json (si no, 415).
+ * - El documento debe ser un objeto con solo campos editables (User.EDITABLE_FIELDS);
+ *   un miembro null borra el campo. Después se aplica validateUserUpdate.
+ */
+const validateMergePatch = (req, res, next) => {
+    res.set('Accept-Patch', 'application/merge-patch+json');
+
+    if (!req.is('application/merge-patch+json')) {
+        return res.status(415).json({
+            success: false,
+            message: 'Unsupported media type. Use Content-Type: application/merge-patch+json'
+        });
+    }
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Merge patch must be a JSON object'
+        });
+    }
+
+    const unknownFields = Object.keys(req.body).filter(field => !User.EDITABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `Unknown or read-only fields: ${unknownFields.join(', ')}`
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validaciones para solicitar la recuperación de contraseña.
+ */
+const validateForgotPassword = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para restablecer la contraseña (política de contraseñas; el historial
+ * se comprueba en el controlador).
+ */
+const validateResetPassword = [
+    body('token')
+        .notEmpty()
+        .withMessage('Reset token is required'),
+
+    body('password')
+        .custom(meetsPasswordPolicy),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para aceptar una invitación (política de contraseñas).
+ */
+const validateAcceptInvite = [
+    body('token')
+        .notEmpty()
+        .withMessage('Invitation token is required'),
+
+    body('password')
+        .custom(meetsPasswordPolicy),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para el segundo paso del login con 2FA.
+ * - challengeToken obligatorio.
+ * - Debe venir un código TOTP de 6 dígitos o un código de recuperación.
+ */
+const validateTwoFactorLogin = [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+
+    body('code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be a 6 digit number'),
+
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Recovery code must be a non-empty string'),
+
+    body()
+        .custom(value => value && (value.code || value.recoveryCode))
+        .withMessage('Either code or recoveryCode is required'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para operaciones 2FA que requieren un código TOTP (activar, regenerar códigos).
+ */
+const validateTwoFactorCode = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be a 6 digit number'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para desactivar la 2FA propia: contraseña actual + código TOTP.
+ */
+const validateTwoFactorDisable = [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be a 6 digit number'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para la política 2FA de un rol.
+ */
+const validateTwoFactorPolicy = [
+    param('role')
+        .custom(roleExists),
+
+    body('required')
+        .isBoolean()
+        .withMessage('Required must be a boolean'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para crear un rol.
+ * - name: minúsculas, números y guion bajo (se guarda en users.role).
+ * - permissions: array de nombres de permiso ('recurso:accion').
+ */
+const validateRoleCreate = [
+    body('name')
+        .trim()
+        .matches(/^[a-z][a-z0-9_]{1,49}$/)
+        .withMessage('Role name must be 2-50 lowercase letters, numbers or underscores and start with a letter'),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be at most 200 characters'),
+
+    body('permissions')
+        .optional()
+        .isArray()
+        .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+        .isString()
+        .withMessage('Each permission must be a string'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para actualizar un rol (el nombre no se puede cambiar).
+ */
+const validateRoleUpdate = [
+    body('name')
+        .not()
+        .exists()
+        .withMessage('Role name cannot be changed'),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description must be at most 200 characters'),
+
+    body('permissions')
+        .optional()
+        .isArray()
+        .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+        .isString()
+        .withMessage('Each permission must be a string'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para crear una API key.
+ * - expiresAt es opcional (sin él la clave no expira) y debe ser futuro.
+ */
+const validateApiKeyCreate = [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('permissions')
+        .isArray({ min: 1 })
+        .withMessage('Permissions must be a non-empty array'),
+
+    body('permissions.*')
+        .isString()
+        .withMessage('Each permission must be a string'),
+
+    body('allowedIps')
+        .optional()
+        .isArray()
+        .withMessage('Allowed IPs must be an array'),
+
+    body('allowedIps.*')
+        .custom(isIpOrCidr)
+        .withMessage('Each allowed IP must be an IP address or a CIDR range'),
+
+    body('rateLimit')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 100000 })
+        .withMessage('Rate limit must be a positive integer')
+        .toInt(),
+
+    body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Expiration must be an ISO 8601 date')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Expiration must be in the future'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones de filtros y paginación para GET /api/audit.
+ */
+const validateAuditQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt(),
+
+    query('actorType')
+        .optional()
+        .isIn(['user', 'api_key', 'system', 'anonymous'])
+        .withMessage('Actor type must be user, api_key, system or anonymous'),
+
+    query(['actorId', 'targetId'])
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Ids must be positive integers')
+        .toInt(),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones de filtros, orden y búsqueda del listado de usuarios
+ * (compartidas por GET /api/users y GET /api/users/export).
+ * - sort solo admite los campos de User.SORTABLE_FIELDS.
+ */
+const userListFilterRules = [
+    query('sort')
+        .optional()
+        .isIn(Object.keys(User.SORTABLE_FIELDS))
+        .withMessage(`Sort must be one of: ${Object.keys(User.SORTABLE_FIELDS).join(', ')}`),
+
+    query('order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Order must be asc or desc'),
+
+    query('status')
+        .optional()
+        .isIn(['active', 'inactive', 'pending'])
+        .withMessage('Status must be active, inactive or pending'),
+
+    query('role')
+        .optional()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Role must be between 1 and 50 characters'),
+
+    query('locked')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('Locked must be true or false'),
+
+    query('deleted')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('Deleted must be true or false'),
+
+    query(['createdFrom', 'createdTo'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601'),
+
+    query('q')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Search text must be between 1 and 100 characters')
+];
+
+/**
+ * Validaciones de filtros, orden, búsqueda y paginación para GET /api/users.
+ * - Paginación por página (page/limit) o por cursor (cursor/limit), no ambas.
+ */
+const validateUserListQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt(),
+
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor')
+        .custom((value, { req }) => req.query.page === undefined)
+        .withMessage('Use either page or cursor, not both'),
+
+    ...userListFilterRules,
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para POST /api/users/import (campos de texto del multipart; el archivo lo valida el servicio).
+ * - dryRun: opcional; 'true' solo genera el informe sin tocar la base de datos.
+ * - passwordMode: opcional; 'plaintext' (por defecto), 'hashed' o 'none'.
+ */
+const validateUserImport = [
+    body('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be a boolean')
+        .toBoolean(),
+
+    // passwordMode: cómo leer la columna password (ver UserImportService)
+    body('passwordMode')
+        .optional()
+        .isIn(['plaintext', 'hashed', 'none'])
+        .withMessage('passwordMode must be one of: plaintext, hashed, none'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para GET /api/users/export.
+ * - format: xlsx (por defecto), csv o json.
+ * - columns: lista separada por comas de UserExportService.COLUMNS (por defecto todas).
+ * - Mismos filtros y orden que el listado.
+ */
+const validateUserExportQuery = [
+    query('format')
+        .optional()
+        .isIn(UserExportService.FORMATS)
+        .withMessage(`Format must be one of: ${UserExportService.FORMATS.join(', ')}`),
+
+    query('columns')
+        .optional()
+        .isString()
+        .custom(value => {
+            const columns = value.split(',').map(column => column.trim());
+            const unknown = columns.filter(column => !UserExportService.COLUMNS.includes(column));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown columns: ${unknown.join(', ')}. Allowed: ${UserExportService.COLUMNS.join(', ')}`);
+            }
+            return true;
+        }),
+
+    ...userListFilterRules,
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para POST /api/users/bulk.
+ * - operations: lista de { action, ids, status? (set_status), role? (set_role) }.
+ * - Como mucho MAX_BULK_ITEMS elementos en total.
+ */
+const validateBulkOperations = [
+    body('atomic')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('Atomic must be a boolean'),
+
+    body('operations')
+        .isArray({ min: 1 })
+        .withMessage('Operations must be a non-empty array')
+        .custom(operations => operations.reduce((count, operation) => count + (Array.isArray(operation?.ids) ? operation.ids.length : 0), 0) <= MAX_BULK_ITEMS)
+        .withMessage(`A bulk request can contain at most ${MAX_BULK_ITEMS} items`),
+
+    body('operations.*.action')
+        .isIn(BulkUserService.ACTIONS)
+        .withMessage(`Action must be one of: ${BulkUserService.ACTIONS.join(', ')}`),
+
+    body('operations.*.ids')
+        .isArray({ min: 1 })
+        .withMessage('Each operation needs a non-empty ids array'),
+
+    body('operations.*.ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Ids must be positive integers')
+        .toInt(),
+
+    body('operations.*.status')
+        .if((value, { req, path }) => req.body.operations[path.match(/\[(\d+)\]/)[1]]?.action === 'set_status')
+        .isIn(['active', 'inactive'])
+        .withMessage('Status must be active or inactive'),
+
+    body('operations.*.role')
+        .if((value, { req, path }) => req.body.operations[path.match(/\[(\d+)\]/)[1]]?.action === 'set_role')
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Role must be between 1 and 50 characters'),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones de paginación para GET /api/users/:id/login-history.
+ */
+const validateLoginHistoryQuery = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para POST /api/users/sync.
+ * - policy: opcional; política ante conflictos para esta ejecución (SyncRun.POLICIES).
+ */
+const validateSyncRequest = [
+    body('policy')
+        .optional()
+        .isIn(SyncRun.POLICIES)
+        .withMessage(`Policy must be one of: ${SyncRun.POLICIES.join(', ')}`),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para GET /api/users/sync/jobs (paginación y filtro por estado).
+ */
+const validateSyncJobsQuery = [
+    query('status')
+        .optional()
+        .isIn(SyncRun.STATUSES)
+        .withMessage(`Status must be one of: ${SyncRun.STATUSES.join(', ')}`),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer')
+        .toInt(),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200')
+        .toInt(),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para POST /api/users/sync/reconcile.
+ */
+const validateReconcileRequest = [
+    // repair: opcional; si es true además encola lo necesario para que el Excel refleje la BD
+    body('repair')
+        .optional()
+        .isBoolean()
+        .withMessage('Repair must be a boolean')
+        .toBoolean(),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para elegir una nueva contraseña tras vencer la anterior.
+ */
+const validateExpiredPasswordChange = [
+    body('changeToken')
+        .notEmpty()
+        .withMessage('Change token is required'),
+
+    body('password')
+        .custom(meetsPasswordPolicy),
+
+    handleValidationErrors
+];
+
+/**
+ * Validaciones para cambiar la contraseña propia (el historial se comprueba en el controlador).
+ */
+const validatePasswordChange = [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+
+    body('newPassword')
+        .custom(meetsPasswordPolicy),
+
     handleValidationErrors
 ];
 
@@ -129,5 +806,27 @@ module.exports = {
     validateUserRegistration,
     validateUserLogin,
     validateUserUpdate,
+    validateMergePatch,
+    validateForgotPassword,
+    validateResetPassword,
+    validateAcceptInvite,
+    validateExpiredPasswordChange,
+    validatePasswordChange,
+    validateTwoFactorLogin,
+    validateTwoFactorCode,
+    validateTwoFactorDisable,
+    validateTwoFactorPolicy,
+    validateRoleCreate,
+    validateRoleUpdate,
+    validateApiKeyCreate,
+    validateAuditQuery,
+    validateLoginHistoryQuery,
+    validateUserListQuery,
+    validateUserExportQuery,
+    validateUserImport,
+    validateBulkOperations,
+    validateSyncRequest,
+    validateSyncJobsQuery,
+    validateReconcileRequest,
     handleValidationErrors
 };
\ No newline at end of file
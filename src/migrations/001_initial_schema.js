@@ -0,0 +1,365 @@
+//001_initial_schema.js
+//Esquema base: todas las tablas tal como estaban antes de existir las migraciones.
+//Usa IF NOT EXISTS y addColumnIfMissing para que una base de datos de esa epoca (sin schema_migrations)
+//quede en esta version sin perder datos; las migraciones siguientes ya pueden suponer este esquema.
+
+//Tablas del esquema base, en el orden en que se crean
+const TABLES = [
+    'users',
+    'refresh_tokens',
+    'sessions',
+    'two_factor_recovery_codes',
+    'two_factor_policies',
+    'password_reset_tokens',
+    'user_invitations',
+    'roles',
+    'permissions',
+    'role_permissions',
+    'api_keys',
+    'audit_events',
+    'password_history',
+    'login_history',
+    'sync_runs',
+    'excel_outbox'
+];
+
+module.exports = {
+    /**
+     * Crea las tablas necesarias en la base de datos
+     * - users: tabla de usuarios
+     * - sessions: una fila por inicio de sesion (dispositivo, IP, user agent, ultimo uso)
+     * - two_factor_recovery_codes: codigos de recuperacion 2FA de un solo uso (hasheados)
+     * - two_factor_policies: roles para los que la 2FA es obligatoria
+     * - password_reset_tokens: tokens de recuperacion de contraseña (hash, un solo uso)
+     * - user_invitations: invitaciones para que un usuario 'pending' elija su contraseña
+     * - roles, permissions, role_permissions: control de acceso basado en permisos
+     *   (users.role guarda el nombre del rol)
+     * - refresh_tokens tabla de tokens de actualizacion (refresh tokens)
+     *   Cada token pertenece a una familia (family_id = sessions.id) que agrupa las rotaciones
+     *   sucesivas de una misma sesion; revoked_at marca los tokens ya retirados.
+     * @param {import('../config/database')} db
+     * @returns {Promise<void>}
+     */
+    async up(db){
+        //SQL para crear la tabla de usuarios
+        const createUsersTable= `
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                first_name TEXT NOT NULL,
+                last_name TEXT NOT NULL,
+                email TEXT UNIQUE NOT NULL,
+                password TEXT NULL,
+                role TEXT NOT NULL DEFAULT 'user',
+                status TEXT NOT NULL DEFAULT 'active',
+                login_attempts INTEGER DEFAULT 0,
+                locked_until DATETIME NULL,
+                two_factor_enabled INTEGER NOT NULL DEFAULT 0,
+                two_factor_secret TEXT NULL,
+                two_factor_last_step INTEGER NULL,
+                password_changed_at DATETIME NULL,
+                deleted_at DATETIME NULL,
+                phone TEXT NULL,
+                document_number TEXT NULL,
+                employee_code TEXT NULL,
+                license_number TEXT NULL,
+                license_expires_at DATE NULL,
+                preferred_language TEXT NULL,
+                avatar_path TEXT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+         `;
+
+         //SQL para crear la tabla de sesiones (el id es el family_id de sus refresh tokens)
+         const createSessionsTable= `
+            CREATE TABLE IF NOT EXISTS sessions (
+               id TEXT PRIMARY KEY,
+               user_id INTEGER NOT NULL,
+               device TEXT NULL,
+               ip_address TEXT NULL,
+               user_agent TEXT NULL,
+               expires_at DATETIME NOT NULL,
+               revoked_at DATETIME NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear la tabla de codigos de recuperacion 2FA (solo se guarda el hash)
+         const createRecoveryCodesTable= `
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               user_id INTEGER NOT NULL,
+               code_hash TEXT NOT NULL,
+               used_at DATETIME NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear la tabla de politicas 2FA por rol
+         const createTwoFactorPoliciesTable= `
+            CREATE TABLE IF NOT EXISTS two_factor_policies (
+               role TEXT PRIMARY KEY,
+               required INTEGER NOT NULL DEFAULT 0,
+               updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+         `;
+
+         //SQL para crear la tabla de tokens de reset de contraseña (solo se guarda el hash)
+         const createPasswordResetTokensTable= `
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               user_id INTEGER NOT NULL,
+               token_hash TEXT NOT NULL UNIQUE,
+               expires_at DATETIME NOT NULL,
+               used_at DATETIME NULL,
+               requested_ip TEXT NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear la tabla de invitaciones (solo se guarda el hash del token)
+         const createUserInvitationsTable= `
+            CREATE TABLE IF NOT EXISTS user_invitations (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               user_id INTEGER NOT NULL,
+               token_hash TEXT NOT NULL UNIQUE,
+               invited_by INTEGER NULL,
+               expires_at DATETIME NOT NULL,
+               accepted_at DATETIME NULL,
+               revoked_at DATETIME NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id),
+               FOREIGN KEY (invited_by) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear las tablas de roles y permisos
+         const createRolesTable= `
+            CREATE TABLE IF NOT EXISTS roles (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               name TEXT UNIQUE NOT NULL,
+               description TEXT NULL,
+               is_system INTEGER NOT NULL DEFAULT 0,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+         `;
+
+         const createPermissionsTable= `
+            CREATE TABLE IF NOT EXISTS permissions (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               name TEXT UNIQUE NOT NULL,
+               description TEXT NULL
+            )
+         `;
+
+         const createRolePermissionsTable= `
+            CREATE TABLE IF NOT EXISTS role_permissions (
+               role_id INTEGER NOT NULL,
+               permission_id INTEGER NOT NULL,
+               PRIMARY KEY (role_id, permission_id),
+               FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE,
+               FOREIGN KEY (permission_id) REFERENCES permissions (id) ON DELETE CASCADE
+            )
+         `;
+
+         //SQL para crear la tabla de API keys (solo se guarda el hash; permissions/allowed_ips son arrays JSON)
+         const createApiKeysTable= `
+            CREATE TABLE IF NOT EXISTS api_keys (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               name TEXT NOT NULL,
+               key_prefix TEXT NOT NULL,
+               key_hash TEXT NOT NULL UNIQUE,
+               permissions TEXT NOT NULL DEFAULT '[]',
+               allowed_ips TEXT NULL,
+               rate_limit INTEGER NULL,
+               expires_at DATETIME NULL,
+               last_used_at DATETIME NULL,
+               last_used_ip TEXT NULL,
+               created_by INTEGER NULL,
+               revoked_at DATETIME NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear la tabla de auditoria (changes y metadata son objetos JSON)
+         const createAuditEventsTable= `
+            CREATE TABLE IF NOT EXISTS audit_events (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               actor_type TEXT NOT NULL,
+               actor_id INTEGER NULL,
+               actor_label TEXT NULL,
+               action TEXT NOT NULL,
+               target_type TEXT NULL,
+               target_id INTEGER NULL,
+               changes TEXT NULL,
+               metadata TEXT NULL,
+               ip_address TEXT NULL,
+               user_agent TEXT NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+         `;
+
+         //SQL para crear el historial de contraseñas (hashes bcrypt, para impedir reutilizarlas)
+         const createPasswordHistoryTable= `
+            CREATE TABLE IF NOT EXISTS password_history (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               user_id INTEGER NOT NULL,
+               password_hash TEXT NOT NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear el historial de intentos de login (user_id NULL si el email no existe)
+         const createLoginHistoryTable= `
+            CREATE TABLE IF NOT EXISTS login_history (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               user_id INTEGER NULL,
+               email TEXT NOT NULL,
+               outcome TEXT NOT NULL,
+               reason TEXT NULL,
+               ip_address TEXT NULL,
+               user_agent TEXT NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+         `;
+
+         //SQL para crear el registro de sincronizaciones con el Excel (resumen e informe de cambios en JSON)
+         const createSyncRunsTable= `
+            CREATE TABLE IF NOT EXISTS sync_runs (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               source TEXT NOT NULL,
+               policy TEXT NOT NULL,
+               status TEXT NOT NULL DEFAULT 'running',
+               summary TEXT NULL,
+               changes TEXT NULL,
+               unresolved_conflicts INTEGER NOT NULL DEFAULT 0,
+               error TEXT NULL,
+               triggered_by INTEGER NULL,
+               queued_at DATETIME NULL,
+               started_at DATETIME NOT NULL,
+               finished_at DATETIME NULL
+            )
+         `;
+
+         //SQL para crear la bandeja de salida hacia el Excel espejo: cada cambio de un usuario deja aqui, en la
+         //misma transaccion, la escritura pendiente en el Excel ('upsert' de la fila o 'remove' por email)
+         const createExcelOutboxTable= `
+            CREATE TABLE IF NOT EXISTS excel_outbox (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               operation TEXT NOT NULL,
+               user_id INTEGER NULL,
+               email TEXT NOT NULL,
+               status TEXT NOT NULL DEFAULT 'pending',
+               attempts INTEGER NOT NULL DEFAULT 0,
+               last_error TEXT NULL,
+               next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+         `;
+
+         //SQL para crear la tabla de refresh tokens
+         const createRefreshTokensTable= `
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               token TEXT NOT NULL,
+               user_id INTEGER NOT NULL,
+               family_id TEXT,
+               expires_at DATETIME NOT NULL,
+               revoked_at DATETIME NULL,
+               replaced_by INTEGER NULL,
+               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+         `;
+
+        //Ejecuta la creacion de las tablas en orden
+        await db.exec(createUsersTable);
+        await db.exec(createRefreshTokensTable);
+        await db.exec(createSessionsTable);
+        await db.exec(createRecoveryCodesTable);
+        await db.exec(createTwoFactorPoliciesTable);
+        await db.exec(createPasswordResetTokensTable);
+        await db.exec(createUserInvitationsTable);
+        await db.exec(createRolesTable);
+        await db.exec(createPermissionsTable);
+        await db.exec(createRolePermissionsTable);
+        await db.exec(createApiKeysTable);
+        await db.exec(createAuditEventsTable);
+        await db.exec(createPasswordHistoryTable);
+        await db.exec(createLoginHistoryTable);
+        await db.exec(createSyncRunsTable);
+        await db.exec(createExcelOutboxTable);
+
+        //Indices para los filtros de GET /api/audit
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events (target_type, target_id)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_type, actor_id)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events (action)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_login_history_user ON login_history (user_id, created_at)');
+        await db.exec('CREATE INDEX IF NOT EXISTS idx_excel_outbox_due ON excel_outbox (status, next_attempt_at)');
+
+        //Columnas añadidas despues de la primera version (bases de datos creadas antes de las migraciones)
+        await db.addColumnIfMissing('users', 'two_factor_enabled', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('users', 'two_factor_secret', 'TEXT NULL');
+        await db.addColumnIfMissing('users', 'two_factor_last_step', 'INTEGER NULL');
+        await db.addColumnIfMissing('refresh_tokens', 'family_id', 'TEXT');
+        await db.addColumnIfMissing('refresh_tokens', 'revoked_at', 'DATETIME NULL');
+        await db.addColumnIfMissing('refresh_tokens', 'replaced_by', 'INTEGER NULL');
+        await db.addColumnIfMissing('users', 'password_changed_at', 'DATETIME NULL');
+        await db.addColumnIfMissing('users', 'deleted_at', 'DATETIME NULL');
+        await db.addColumnIfMissing('users', 'phone', 'TEXT NULL');
+        await db.addColumnIfMissing('users', 'document_number', 'TEXT NULL');
+        await db.addColumnIfMissing('users', 'employee_code', 'TEXT NULL');
+        await db.addColumnIfMissing('users', 'license_number', 'TEXT NULL');
+        await db.addColumnIfMissing('users', 'license_expires_at', 'DATE NULL');
+        await db.addColumnIfMissing('users', 'preferred_language', 'TEXT NULL');
+        await db.addColumnIfMissing('users', 'avatar_path', 'TEXT NULL');
+        //Version para el control de concurrencia optimista (ETag / If-Match)
+        await db.addColumnIfMissing('users', 'version', 'INTEGER NOT NULL DEFAULT 1');
+        await db.addColumnIfMissing('sync_runs', 'queued_at', 'DATETIME NULL');
+
+        //Los usuarios invitados (status 'pending') aun no tienen contraseña
+        //(antes de crear indices sobre users: la tabla se reconstruye)
+        await db.makeColumnNullable('users', 'password');
+
+        //El codigo de empleado identifica a una persona: unico cuando existe
+        await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_employee_code ON users (employee_code) WHERE employee_code IS NOT NULL');
+
+        //La antiguedad maxima de contraseña se cuenta desde que existe la columna (no expulsa a todos de golpe)
+        await db.exec('UPDATE users SET password_changed_at = CURRENT_TIMESTAMP WHERE password_changed_at IS NULL AND password IS NOT NULL');
+
+        //Los tokens emitidos antes de la rotacion forman cada uno su propia familia
+        await db.exec("UPDATE refresh_tokens SET family_id = 'legacy-' || id WHERE family_id IS NULL");
+
+        //Crear la sesion correspondiente a cada familia de tokens que aun no la tenga
+        await db.exec(`
+            INSERT OR IGNORE INTO sessions (id, user_id, expires_at, revoked_at, created_at, last_used_at)
+            SELECT family_id, user_id, MAX(expires_at),
+                   CASE WHEN SUM(revoked_at IS NULL) = 0 THEN MAX(revoked_at) END,
+                   MIN(created_at), MAX(created_at)
+            FROM refresh_tokens
+            GROUP BY family_id
+        `);
+    },
+
+    /**
+     * Elimina todas las tablas del esquema base (y sus datos).
+     * @param {import('../config/database')} db
+     * @returns {Promise<void>}
+     */
+    async down(db){
+        for(const table of [...TABLES].reverse()){
+            await db.exec(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
@@ -0,0 +1,30 @@
+//002_sync_snapshots.js
+//Valores de cada usuario tal como quedaron en la ultima sincronizacion con el Excel (ver ExcelSyncService):
+//comparando cada lado con ellos se sabe cual cambio, sin depender de updated_at (una edicion a mano no lo toca).
+
+module.exports = {
+    /**
+     * Crea sync_snapshots (fields: objeto JSON campo -> valor, ver SyncSnapshot.valuesOf).
+     * @param {import('../config/database')} db
+     * @returns {Promise<void>}
+     */
+    async up(db){
+        await db.exec(`
+            CREATE TABLE sync_snapshots (
+               user_id INTEGER PRIMARY KEY,
+               fields TEXT NOT NULL,
+               synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+               FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+        `);
+    },
+
+    /**
+     * Elimina sync_snapshots (la siguiente sincronizacion trata cada diferencia como conflicto).
+     * @param {import('../config/database')} db
+     * @returns {Promise<void>}
+     */
+    async down(db){
+        await db.exec('DROP TABLE IF EXISTS sync_snapshots');
+    }
+};
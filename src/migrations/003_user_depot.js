@@ -0,0 +1,23 @@
+//003_user_depot.js
+//Deposito (base) al que pertenece cada usuario: campo de perfil, editable por la API y sincronizado con el Excel,
+//donde puede venir de los defaults de la hoja de cada deposito (ver config/excelMapping.js).
+
+module.exports = {
+    /**
+     * Agrega users.depot.
+     * @param {import('../config/database')} db
+     * @returns {Promise<void>}
+     */
+    async up(db){
+        await db.addColumnIfMissing('users', 'depot', 'TEXT NULL');
+    },
+
+    /**
+     * Quita users.depot (se pierde el deposito de cada usuario).
+     * @param {import('../config/database')} db
+     * @returns {Promise<void>}
+     */
+    async down(db){
+        await db.exec('ALTER TABLE users DROP COLUMN depot');
+    }
+};
@@ -0,0 +1,307 @@
+const net = require('net');
+const database = require('../config/database');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+/**
+ * Clase ApiKey
+ * Clave de acceso para integraciones máquina a máquina (WMS, transportistas...).
+ *
+ * - El valor en claro solo se muestra al crearla o rotarla; en la BD se guarda su hash SHA-256
+ *   y un prefijo corto para identificarla en listados.
+ * - Tiene sus propios permisos (no hereda los de quien la creó), IPs permitidas
+ *   opcionales, límite de requests propio, expiración y registro del último uso.
+ */
+
+//Prefijo de todas las claves, facilita reconocerlas (ej. en escáneres de secretos)
+const KEY_PREFIX = 'lgk_';
+
+class ApiKey {
+    /**
+     * Construye un objeto ApiKey a partir de una fila de la tabla api_keys.
+     * @param {Object} data - Fila recuperada de la tabla api_keys (snake_case)
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.keyPrefix = data.key_prefix;
+        this.permissions = JSON.parse(data.permissions || '[]');
+        this.allowedIps = data.allowed_ips ? JSON.parse(data.allowed_ips) : null;
+        this.rateLimit = data.rate_limit;
+        this.expiresAt = data.expires_at;
+        this.lastUsedAt = data.last_used_at;
+        this.lastUsedIp = data.last_used_ip;
+        this.createdBy = data.created_by;
+        this.revokedAt = data.revoked_at;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    /**
+     * Genera una clave nueva en claro.
+     * @returns {{key: string, prefix: string}}
+     */
+    static generateKey() {
+        const key = `${KEY_PREFIX}${generateToken(24)}`;
+        return { key, prefix: key.slice(0, KEY_PREFIX.length + 8) };
+    }
+
+    /**
+     * Crear una API key.
+     * @param {Object} keyData - { name, permissions, allowedIps?, rateLimit?, expiresAt?, createdBy? }
+     * @returns {Promise<{apiKey: ApiKey, key: string}>} la clave en claro solo se devuelve aquí
+     */
+    static async create(keyData) {
+        const { key, prefix } = ApiKey.generateKey();
+
+        const keyId = await new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                INSERT INTO api_keys (name, key_prefix, key_hash, permissions, allowed_ips, rate_limit, expires_at, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            db.run(query, [
+                keyData.name,
+                prefix,
+                hashToken(key),
+                JSON.stringify(keyData.permissions || []),
+                keyData.allowedIps && keyData.allowedIps.length > 0 ? JSON.stringify(keyData.allowedIps) : null,
+                keyData.rateLimit || null,
+                keyData.expiresAt || null,
+                keyData.createdBy || null
+            ], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.lastID);
+            });
+        });
+
+        return { apiKey: await ApiKey.findById(keyId), key };
+    }
+
+    /**
+     * Listar todas las API keys (incluidas revocadas y expiradas).
+     * @returns {Promise<ApiKey[]>}
+     */
+    static async findAll() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all('SELECT * FROM api_keys ORDER BY created_at DESC, id DESC', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => new ApiKey(row)));
+            });
+        });
+    }
+
+    /**
+     * Buscar API key por id.
+     * @param {number} id
+     * @returns {Promise<ApiKey|null>}
+     */
+    static async findById(id) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.get('SELECT * FROM api_keys WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row ? new ApiKey(row) : null);
+            });
+        });
+    }
+
+    /**
+     * Buscar API key por su valor en claro (se compara el hash).
+     * @param {string} key
+     * @returns {Promise<ApiKey|null>}
+     */
+    static async findByKey(key) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.get('SELECT * FROM api_keys WHERE key_hash = ?', [hashToken(key)], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row ? new ApiKey(row) : null);
+            });
+        });
+    }
+
+    /**
+     * La clave no está revocada ni expirada.
+     * @returns {boolean}
+     */
+    isActive() {
+        if (this.revokedAt) {
+            return false;
+        }
+        return !this.expiresAt || new Date(this.expiresAt) > new Date();
+    }
+
+    /**
+     * Comprueba si una IP puede usar la clave. Sin lista de IPs, cualquiera puede.
+     * La lista admite direcciones sueltas y rangos CIDR (IPv4 o IPv6).
+     * @param {string} ip
+     * @returns {boolean}
+     */
+    isIpAllowed(ip) {
+        if (!this.allowedIps) {
+            return true;
+        }
+
+        if (!ip) {
+            return false;
+        }
+
+        // Express entrega las IPv4 como IPv6 mapeadas (::ffff:1.2.3.4)
+        const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+        const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+        const blockList = new net.BlockList();
+
+        for (const entry of this.allowedIps) {
+            const [network, prefix] = entry.split('/');
+            const entryType = net.isIPv4(network) ? 'ipv4' : 'ipv6';
+
+            if (prefix !== undefined) {
+                blockList.addSubnet(network, parseInt(prefix, 10), entryType);
+            } else {
+                blockList.addAddress(network, entryType);
+            }
+        }
+
+        return blockList.check(address, type);
+    }
+
+    /**
+     * Verificar si la clave tiene un permiso.
+     * @param {string} permission
+     * @returns {boolean}
+     */
+    hasPermission(permission) {
+        return this.permissions.includes(permission);
+    }
+
+    /**
+     * Identidad con la que la clave pasa por los middlewares de permisos (req.currentUser).
+     * id es null: una clave no es un usuario y nunca cuenta como "el propio usuario".
+     * @returns {Object}
+     */
+    toPrincipal() {
+        return {
+            id: null,
+            apiKeyId: this.id,
+            name: this.name,
+            permissions: this.permissions,
+            hasPermission: (permission) => this.hasPermission(permission)
+        };
+    }
+
+    /**
+     * Registrar el uso de la clave.
+     * @param {string} ip
+     * @returns {Promise<void>}
+     */
+    async touch(ip) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = "UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = ? WHERE id = ?";
+
+            db.run(query, [ip || null, this.id], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Rotar la clave: genera un valor nuevo y el anterior deja de funcionar de inmediato.
+     * Conserva nombre, permisos, IPs, límite y expiración.
+     * @returns {Promise<string>} la nueva clave en claro
+     */
+    async rotate() {
+        const { key, prefix } = ApiKey.generateKey();
+
+        await new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                UPDATE api_keys SET key_prefix = ?, key_hash = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND revoked_at IS NULL
+            `;
+
+            db.run(query, [prefix, hashToken(key), this.id], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                if (this.changes === 0) {
+                    reject(new Error('API key is revoked'));
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        this.keyPrefix = prefix;
+        return key;
+    }
+
+    /**
+     * Revocar la clave.
+     * @returns {Promise<boolean>} false si ya estaba revocada
+     */
+    async revoke() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                UPDATE api_keys SET revoked_at = datetime('now'), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND revoked_at IS NULL
+            `;
+
+            db.run(query, [this.id], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Serializar la clave sin su hash.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            keyPrefix: this.keyPrefix,
+            permissions: this.permissions,
+            allowedIps: this.allowedIps,
+            rateLimit: this.rateLimit,
+            expiresAt: this.expiresAt,
+            lastUsedAt: this.lastUsedAt,
+            lastUsedIp: this.lastUsedIp,
+            createdBy: this.createdBy,
+            revokedAt: this.revokedAt,
+            active: this.isActive(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,154 @@
+const database = require('../config/database');
+
+/**
+ * Clase ExcelOutbox
+ * Escrituras pendientes en el Excel espejo (tabla excel_outbox). Se agregan en la misma transaccion
+ * que el cambio del usuario y las aplica ExcelOutboxService; las aplicadas se eliminan.
+ */
+
+class ExcelOutbox {
+    /**
+     * Construye un objeto ExcelOutbox a partir de una fila de la tabla excel_outbox.
+     * @param {Object} data - Fila recuperada de la tabla excel_outbox (snake_case)
+     */
+    constructor(data) {
+        this.id = data.id;
+        //'upsert': la fila de email pasa a tener el estado actual del usuario user_id; 'remove': se borra la fila de email
+        this.operation = data.operation;
+        this.userId = data.user_id;
+        //Email con el que el usuario figura en el Excel (el anterior si lo cambio)
+        this.email = data.email;
+        //Estado: 'pending' o 'failed' (agoto los reintentos)
+        this.status = data.status;
+        this.attempts = data.attempts;
+        this.lastError = data.last_error;
+        this.nextAttemptAt = data.next_attempt_at;
+        this.createdAt = data.created_at;
+    }
+
+    /**
+     * Agregar una escritura pendiente (llamar dentro de la transaccion del cambio).
+     * @param {Object} entry - { operation: 'upsert'|'remove', userId?, email }
+     * @returns {Promise<number>} - id de la entrada
+     */
+    static async add(entry) {
+        const { lastID } = await database.run(
+            'INSERT INTO excel_outbox (operation, user_id, email) VALUES (?, ?, ?)',
+            [entry.operation, entry.userId || null, entry.email]
+        );
+        return lastID;
+    }
+
+    /**
+     * Entradas pendientes cuyo reintento ya toca, en orden de llegada.
+     * @param {number} limit
+     * @returns {Promise<ExcelOutbox[]>}
+     */
+    static async findDue(limit) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                SELECT * FROM excel_outbox
+                WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                ORDER BY id
+                LIMIT ?
+            `;
+
+            db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => new ExcelOutbox(row)));
+            });
+        });
+    }
+
+    /**
+     * Entradas que agotaron los reintentos.
+     * @returns {Promise<ExcelOutbox[]>}
+     */
+    static async findFailed() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all("SELECT * FROM excel_outbox WHERE status = 'failed' ORDER BY id", [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => new ExcelOutbox(row)));
+            });
+        });
+    }
+
+    /**
+     * Cantidad de entradas por estado.
+     * @returns {Promise<{pending: number, failed: number}>}
+     */
+    static async countByStatus() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all('SELECT status, COUNT(*) AS count FROM excel_outbox GROUP BY status', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                const counts = { pending: 0, failed: 0 };
+                for (const row of rows) {
+                    counts[row.status] = row.count;
+                }
+                resolve(counts);
+            });
+        });
+    }
+
+    /**
+     * Eliminar entradas ya aplicadas.
+     * @param {number[]} ids
+     * @returns {Promise<void>}
+     */
+    static async remove(ids) {
+        if (ids.length === 0) {
+            return;
+        }
+        await database.run(`DELETE FROM excel_outbox WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+    }
+
+    /**
+     * Registrar un intento fallido: se reintenta tras retryDelay segundos (duplicando la espera en
+     * cada intento) o pasa a 'failed' al llegar a maxAttempts.
+     * @param {number[]} ids
+     * @param {string} error
+     * @param {Object} options - { maxAttempts, retryDelay }
+     * @returns {Promise<void>}
+     */
+    static async markFailed(ids, error, { maxAttempts, retryDelay }) {
+        if (ids.length === 0) {
+            return;
+        }
+        await database.run(
+            `UPDATE excel_outbox
+             SET attempts = attempts + 1,
+                 last_error = ?,
+                 status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END,
+                 next_attempt_at = datetime('now', '+' || (? * (1 << MIN(attempts, 10))) || ' seconds')
+             WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            [error, maxAttempts, retryDelay, ...ids]
+        );
+    }
+
+    /**
+     * Volver a poner en cola las entradas que agotaron los reintentos.
+     * @returns {Promise<number>} - cantidad de entradas reencoladas
+     */
+    static async retryFailed() {
+        const { changes } = await database.run(
+            "UPDATE excel_outbox SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP WHERE status = 'failed'"
+        );
+        return changes;
+    }
+}
+
+module.exports = ExcelOutbox;
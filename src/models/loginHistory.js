@@ -0,0 +1,99 @@
+const database = require('../config/database');
+
+/**
+ * Clase LoginHistory
+ * Un intento de inicio de sesion (exitoso o no) con su resultado, IP y user agent.
+ * Los intentos con un email desconocido se guardan sin user_id.
+ */
+
+class LoginHistory {
+    /**
+     * Construye un objeto LoginHistory a partir de una fila de la tabla login_history.
+     * @param {Object} data - Fila recuperada de la tabla login_history (snake_case)
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.userId = data.user_id;
+        this.email = data.email;
+        //Resultado: 'success', 'failure', 'locked', 'two_factor_required' o 'password_change_required'
+        this.outcome = data.outcome;
+        this.reason = data.reason;
+        this.ipAddress = data.ip_address;
+        this.userAgent = data.user_agent;
+        this.createdAt = data.created_at;
+    }
+
+    /**
+     * Registrar un intento de login.
+     * @param {Object} attempt - { userId?, email, outcome, reason?, ipAddress?, userAgent? }
+     * @returns {Promise<number>} - id del registro creado
+     */
+    static async record(attempt) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                INSERT INTO login_history (user_id, email, outcome, reason, ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+
+            const params = [
+                attempt.userId || null,
+                attempt.email,
+                attempt.outcome,
+                attempt.reason || null,
+                attempt.ipAddress || null,
+                attempt.userAgent || null
+            ];
+
+            db.run(query, params, function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(this.lastID);
+            });
+        });
+    }
+
+    /**
+     * Historial de login de un usuario, del mas reciente al mas antiguo.
+     * @param {number} userId
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<{attempts: LoginHistory[], total: number}>}
+     */
+    static async findByUser(userId, { page, limit }) {
+        const db = database.getDb();
+
+        const total = await new Promise((resolve, reject) => {
+            db.get('SELECT COUNT(*) AS count FROM login_history WHERE user_id = ?', [userId], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row.count);
+            });
+        });
+
+        const attempts = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM login_history
+                WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            db.all(query, [userId, limit, (page - 1) * limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => new LoginHistory(row)));
+            });
+        });
+
+        return { attempts, total };
+    }
+}
+
+module.exports = LoginHistory;
@@ -0,0 +1,285 @@
+const database = require('../config/database');
+
+/**
+ * Clase Role
+ * Representa un rol y sus permisos ('recurso:accion').
+ * users.role guarda el nombre del rol, por eso el nombre no se puede cambiar.
+ */
+
+class Role {
+    /**
+     * Construye un objeto Role a partir de una fila de la tabla roles.
+     * @param {Object} data - Fila recuperada de la tabla roles (snake_case)
+     * @param {string[]} [permissions] - nombres de los permisos del rol
+     */
+    constructor(data, permissions = []) {
+        this.id = data.id;
+        this.name = data.name;
+        this.description = data.description;
+        this.isSystem = !!data.is_system;
+        this.permissions = permissions;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    /**
+     * Recuperar todos los roles con sus permisos.
+     * @returns {Promise<Role[]>}
+     */
+    static async findAll() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all('SELECT * FROM roles ORDER BY name', [], async (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                try {
+                    const roles = [];
+                    for (const row of rows) {
+                        roles.push(new Role(row, await Role.getPermissionNames(row.name)));
+                    }
+                    resolve(roles);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Buscar rol por id.
+     * @param {number} id
+     * @returns {Promise<Role|null>}
+     */
+    static async findById(id) {
+        return Role.findOne('id', id);
+    }
+
+    /**
+     * Buscar rol por nombre.
+     * @param {string} name
+     * @returns {Promise<Role|null>}
+     */
+    static async findByName(name) {
+        return Role.findOne('name', name);
+    }
+
+    /**
+     * Buscar un rol por una columna (id o name) incluyendo sus permisos.
+     * @param {string} column
+     * @param {*} value
+     * @returns {Promise<Role|null>}
+     */
+    static async findOne(column, value) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `SELECT * FROM roles WHERE ${column === 'id' ? 'id' : 'name'} = ?`;
+
+            db.get(query, [value], async (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                if (!row) {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    resolve(new Role(row, await Role.getPermissionNames(row.name)));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Nombres de los permisos de un rol.
+     * @param {string} roleName
+     * @returns {Promise<string[]>}
+     */
+    static async getPermissionNames(roleName) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                SELECT p.name FROM permissions p
+                JOIN role_permissions rp ON rp.permission_id = p.id
+                JOIN roles r ON r.id = rp.role_id
+                WHERE r.name = ?
+                ORDER BY p.name
+            `;
+
+            db.all(query, [roleName], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(rows.map(row => row.name));
+            });
+        });
+    }
+
+    /**
+     * Catálogo de permisos disponibles.
+     * @returns {Promise<Array<{name: string, description: string}>>}
+     */
+    static async listPermissions() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all('SELECT name, description FROM permissions ORDER BY name', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(rows);
+            });
+        });
+    }
+
+    /**
+     * Crear un rol nuevo.
+     * @param {Object} roleData - { name, description?, permissions? }
+     * @returns {Promise<number>} - id del rol creado
+     */
+    static async create(roleData) {
+        const roleId = await new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'INSERT INTO roles (name, description) VALUES (?, ?)';
+
+            db.run(query, [roleData.name, roleData.description || null], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(this.lastID);
+            });
+        });
+
+        await Role.setPermissions(roleId, roleData.permissions || []);
+
+        return roleId;
+    }
+
+    /**
+     * Reemplaza los permisos de un rol.
+     * @param {number} roleId
+     * @param {string[]} permissionNames
+     * @returns {Promise<void>}
+     */
+    static async setPermissions(roleId, permissionNames) {
+        const db = database.getDb();
+
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM role_permissions WHERE role_id = ?', [roleId], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        for (const permission of permissionNames) {
+            await new Promise((resolve, reject) => {
+                const query = `
+                    INSERT OR IGNORE INTO role_permissions (role_id, permission_id)
+                    SELECT ?, id FROM permissions WHERE name = ?
+                `;
+
+                db.run(query, [roleId, permission], (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        }
+    }
+
+    /**
+     * Cuenta los usuarios que tienen un rol asignado.
+     * @param {string} roleName
+     * @returns {Promise<number>}
+     */
+    static async countUsers(roleName) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [roleName], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(row.count);
+            });
+        });
+    }
+
+    /**
+     * Actualizar descripción y/o permisos del rol.
+     * @param {Object} updateData - { description?, permissions? }
+     * @returns {Promise<void>}
+     */
+    async update(updateData) {
+        const db = database.getDb();
+
+        await new Promise((resolve, reject) => {
+            const query = 'UPDATE roles SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+            const description = updateData.description !== undefined ? updateData.description : this.description;
+
+            db.run(query, [description, this.id], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        if (updateData.permissions !== undefined) {
+            await Role.setPermissions(this.id, updateData.permissions);
+        }
+    }
+
+    /**
+     * Eliminar el rol y sus asignaciones de permisos.
+     * @returns {Promise<boolean>}
+     */
+    async delete() {
+        const db = database.getDb();
+
+        await new Promise((resolve, reject) => {
+            db.run('DELETE FROM role_permissions WHERE role_id = ?', [this.id], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            db.run('DELETE FROM roles WHERE id = ?', [this.id], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(this.changes > 0);
+            });
+        });
+    }
+}
+
+module.exports = Role;
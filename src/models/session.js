@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+
+/**
+ * Clase Session
+ * Representa un inicio de sesion de un usuario en un dispositivo.
+ * Su id es el family_id que comparten todos los refresh tokens emitidos
+ * (por rotacion) a partir de ese login.
+ */
+
+class Session {
+    /**
+     * Construye un objeto Session a partir de una fila de la tabla sessions.
+     * @param {Object} data - Fila recuperada de la tabla sessions (snake_case)
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.userId = data.user_id;
+        this.device = data.device;
+        this.ipAddress = data.ip_address;
+        this.userAgent = data.user_agent;
+        this.expiresAt = data.expires_at;
+        this.revokedAt = data.revoked_at;
+        this.createdAt = data.created_at;
+        this.lastUsedAt = data.last_used_at;
+    }
+
+    /**
+     * Crear una nueva sesion.
+     * @param {Object} sessionData - { userId, device?, ipAddress?, userAgent?, expiresAt }
+     * @returns {Promise<string>} - id (uuid) de la sesion creada
+     */
+    static async create(sessionData) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const id = crypto.randomUUID();
+
+            const query = `
+                INSERT INTO sessions (id, user_id, device, ip_address, user_agent, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+
+            const params = [
+                id,
+                sessionData.userId,
+                sessionData.device || null,
+                sessionData.ipAddress || null,
+                sessionData.userAgent || null,
+                sessionData.expiresAt
+            ];
+
+            db.run(query, params, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(id);
+            });
+        });
+    }
+
+    /**
+     * Buscar sesion por id.
+     * @param {string} id
+     * @returns {Promise<Session|null>}
+     */
+    static async findById(id) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'SELECT * FROM sessions WHERE id = ?';
+
+            db.get(query, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(row ? new Session(row) : null);
+            });
+        });
+    }
+
+    /**
+     * Recuperar las sesiones activas (no revocadas ni expiradas) de un usuario,
+     * ordenadas por ultimo uso descendente.
+     * @param {number} userId
+     * @returns {Promise<Session[]>}
+     */
+    static async findActiveByUser(userId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                SELECT * FROM sessions
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+                ORDER BY last_used_at DESC
+            `;
+
+            db.all(query, [userId, new Date().toISOString()], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(rows.map(row => new Session(row)));
+            });
+        });
+    }
+
+    /**
+     * Registrar el uso de una sesion (cada rotacion de refresh token).
+     * @param {string} id
+     * @param {Object} usage - { ipAddress, userAgent, expiresAt }
+     * @returns {Promise<void>}
+     */
+    static async touch(id, usage) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                UPDATE sessions
+                SET ip_address = ?, user_agent = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            db.run(query, [usage.ipAddress || null, usage.userAgent || null, usage.expiresAt, id], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Revocar una sesion y todos sus refresh tokens vigentes.
+     * @param {string} id
+     * @returns {Promise<number>} - número de refresh tokens revocados
+     */
+    static async revoke(id) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.run("UPDATE sessions SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL", [id], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const query = "UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE family_id = ? AND revoked_at IS NULL";
+
+                db.run(query, [id], function (err) {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    resolve(this.changes);
+                });
+            });
+        });
+    }
+
+    /**
+     * Revocar todas las sesiones activas de un usuario ("cerrar sesion en todas partes").
+     * @param {number} userId
+     * @param {string} [exceptId] - sesion que se conserva (ej. la sesion actual)
+     * @returns {Promise<number>} - número de sesiones revocadas
+     */
+    static async revokeAllForUser(userId, exceptId = null) {
+        const sessions = await Session.findActiveByUser(userId);
+        const toRevoke = sessions.filter(session => session.id !== exceptId);
+
+        for (const session of toRevoke) {
+            await Session.revoke(session.id);
+        }
+
+        return toRevoke.length;
+    }
+
+    /**
+     * Indica si la sesion sigue vigente.
+     * @returns {boolean}
+     */
+    isActive() {
+        return !this.revokedAt && new Date(this.expiresAt) > new Date();
+    }
+
+    /**
+     * Convertir a JSON para respuestas API.
+     * @param {string} [currentSessionId] - id de la sesion que hace la petición
+     * @returns {Object}
+     */
+    toJSON(currentSessionId) {
+        return {
+            id: this.id,
+            device: this.device,
+            ipAddress: this.ipAddress,
+            userAgent: this.userAgent,
+            createdAt: this.createdAt,
+            lastUsedAt: this.lastUsedAt,
+            expiresAt: this.expiresAt,
+            current: currentSessionId === this.id
+        };
+    }
+}
+
+module.exports = Session;
@@ -0,0 +1,162 @@
+const database = require('../config/database');
+
+//Politicas ante conflictos: gana la BD, gana el Excel, gana el cambio mas reciente o solo informar
+const POLICIES = ['db', 'sheet', 'newest', 'report'];
+
+//Estados de una sincronizacion
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+/**
+ * Clase SyncRun
+ * Una ejecucion (job) de la sincronizacion entre la tabla users y el Excel espejo,
+ * con su resumen y el informe de cambios (ver ExcelSyncService).
+ */
+
+class SyncRun {
+    /**
+     * Construye un objeto SyncRun a partir de una fila de la tabla sync_runs.
+     * @param {Object} data - Fila recuperada de la tabla sync_runs (snake_case)
+     */
+    constructor(data) {
+        this.id = data.id;
+        //Origen: 'manual' (POST /api/users/sync), 'startup', 'watch' (cambio en el archivo) o 'schedule'
+        this.source = data.source;
+        //Politica de conflictos usada: 'db', 'sheet', 'newest' o 'report'
+        this.policy = data.policy;
+        //Estado: 'queued', 'running', 'completed' o 'failed'
+        this.status = data.status;
+        this.summary = data.summary ? JSON.parse(data.summary) : null;
+        this.changes = data.changes ? JSON.parse(data.changes) : null;
+        this.unresolvedConflicts = data.unresolved_conflicts;
+        this.error = data.error;
+        this.triggeredBy = data.triggered_by;
+        this.queuedAt = data.queued_at;
+        //Mientras esta en cola, started_at es el momento en que se encolo
+        this.startedAt = data.started_at;
+        this.finishedAt = data.finished_at;
+        this.durationMs = data.finished_at ? Date.parse(data.finished_at) - Date.parse(data.started_at) : null;
+    }
+
+    /**
+     * Registrar una sincronizacion en cola.
+     * @param {Object} run - { source, policy, triggeredBy? }
+     * @returns {Promise<number>} - id del registro creado (id del job)
+     */
+    static async enqueue(run) {
+        const now = new Date().toISOString();
+        const { lastID } = await database.run(
+            "INSERT INTO sync_runs (source, policy, status, triggered_by, queued_at, started_at) VALUES (?, ?, 'queued', ?, ?, ?)",
+            [run.source, run.policy, run.triggeredBy || null, now, now]
+        );
+        return lastID;
+    }
+
+    /**
+     * Marcar una sincronizacion en cola como iniciada.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    static async markRunning(id) {
+        await database.run("UPDATE sync_runs SET status = 'running', started_at = ? WHERE id = ?", [new Date().toISOString(), id]);
+    }
+
+    /**
+     * Marcar como fallidas las sincronizaciones que quedaron en cola o en curso (el proceso se detuvo).
+     * @returns {Promise<number>} - cantidad de registros marcados
+     */
+    static async failUnfinished() {
+        const { changes } = await database.run(
+            "UPDATE sync_runs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = ? WHERE status IN ('queued', 'running')",
+            [new Date().toISOString()]
+        );
+        return changes;
+    }
+
+    /**
+     * Registrar el final de una sincronizacion.
+     * @param {number} id
+     * @param {Object} result - { status, summary?, changes?, unresolvedConflicts?, error? }
+     * @returns {Promise<void>}
+     */
+    static async finish(id, result) {
+        await database.run(
+            `UPDATE sync_runs
+             SET status = ?, summary = ?, changes = ?, unresolved_conflicts = ?, error = ?, finished_at = ?
+             WHERE id = ?`,
+            [
+                result.status,
+                result.summary ? JSON.stringify(result.summary) : null,
+                result.changes ? JSON.stringify(result.changes) : null,
+                result.unresolvedConflicts || 0,
+                result.error || null,
+                new Date().toISOString(),
+                id
+            ]
+        );
+    }
+
+    /**
+     * Buscar una sincronizacion por id (con su informe completo).
+     * @param {number} id
+     * @returns {Promise<SyncRun|null>}
+     */
+    static async findById(id) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.get('SELECT * FROM sync_runs WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row ? new SyncRun(row) : null);
+            });
+        });
+    }
+
+    /**
+     * Sincronizaciones de la mas reciente a la mas antigua (sin el informe de cambios).
+     * @param {Object} options - { page, limit, status? }
+     * @returns {Promise<{runs: SyncRun[], total: number}>}
+     */
+    static async findAll({ page, limit, status }) {
+        const db = database.getDb();
+        const where = status ? 'WHERE status = ?' : '';
+        const params = status ? [status] : [];
+
+        const total = await new Promise((resolve, reject) => {
+            db.get(`SELECT COUNT(*) AS count FROM sync_runs ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row.count);
+            });
+        });
+
+        const runs = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT id, source, policy, status, summary, unresolved_conflicts, error, triggered_by, queued_at, started_at, finished_at
+                FROM sync_runs
+                ${where}
+                ORDER BY id DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            db.all(query, [...params, limit, (page - 1) * limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => new SyncRun(row)));
+            });
+        });
+
+        return { runs, total };
+    }
+}
+
+SyncRun.POLICIES = POLICIES;
+SyncRun.STATUSES = STATUSES;
+
+module.exports = SyncRun;
@@ -0,0 +1,72 @@
+const database = require('../config/database');
+const User = require('./user');
+
+//Campos que se sincronizan con el Excel y se guardan (el email es la clave)
+const FIELDS = ['firstName', 'lastName', 'role', 'status', ...Object.keys(User.PROFILE_FIELDS)];
+
+/**
+ * Valor de un campo para comparar: vacio -> null, el resto como texto.
+ * @param {*} value
+ * @returns {string|null}
+ */
+const toSnapshotValue = (value) => (value === undefined || value === null || value === '') ? null : String(value).trim();
+
+/**
+ * Clase SyncSnapshot
+ * Valores sincronizados de cada usuario al terminar la ultima sincronizacion con el Excel
+ * (tabla sync_snapshots). ExcelSyncService compara la BD y la fila del Excel con ellos para
+ * saber que lado cambio cada campo.
+ */
+
+class SyncSnapshot {
+    /**
+     * Campos sincronizados de un usuario o una fila del Excel, normalizados para comparar (vacio -> null).
+     * @param {Object} source
+     * @returns {Object}
+     */
+    static valuesOf(source) {
+        return Object.fromEntries(FIELDS.map(field => [field, toSnapshotValue(source[field])]));
+    }
+
+    /**
+     * Valores de todos los usuarios sincronizados alguna vez.
+     * @returns {Promise<Map<number, Object>>} user_id -> { campo: valor }
+     */
+    static async findAll() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all('SELECT user_id, fields FROM sync_snapshots', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(new Map(rows.map(row => [row.user_id, JSON.parse(row.fields)])));
+            });
+        });
+    }
+
+    /**
+     * Guarda (o reemplaza) los valores de varios usuarios en una transaccion.
+     * @param {Array<{userId: number, fields: Object}>} snapshots
+     * @returns {Promise<void>}
+     */
+    static async saveAll(snapshots) {
+        if (snapshots.length === 0) {
+            return;
+        }
+
+        await database.transaction(async () => {
+            for (const { userId, fields } of snapshots) {
+                await database.run(`
+                    INSERT INTO sync_snapshots (user_id, fields, synced_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                    ON CONFLICT(user_id) DO UPDATE SET fields = excluded.fields, synced_at = excluded.synced_at
+                `, [userId, JSON.stringify(fields)]);
+            }
+        });
+    }
+}
+
+SyncSnapshot.FIELDS = FIELDS;
+
+module.exports = SyncSnapshot;
@@ -1,6 +1,9 @@
 const bcrypt = require('bcryptjs');
 const database = require('../config/database');
 const config = require('../config/config');
+const Role = require('./role');
+const Session = require('./session');
+const ExcelOutbox = require('./excelOutbox');
 const { param } = require('express-validator');
 
 /**
@@ -8,6 +11,64 @@ const { param } = require('express-validator');
  * Representa un usuario de la aplicacion y contiene metodos estaticos y de instancia para CRUD y logica de autenticacion / bloqueo
  */
 
+//Campos por los que se puede ordenar el listado (nombre en la API -> columna)
+const SORTABLE_FIELDS = {
+    id: 'id',
+    firstName: 'first_name',
+    lastName: 'last_name',
+    email: 'email',
+    role: 'role',
+    status: 'status',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+//Campos de perfil (nombre en la API -> columna); opcionales y editables como los datos basicos
+const PROFILE_FIELDS = {
+    phone: 'phone',
+    documentNumber: 'document_number',
+    employeeCode: 'employee_code',
+    licenseNumber: 'license_number',
+    licenseExpiresAt: 'license_expires_at',
+    preferredLanguage: 'preferred_language',
+    depot: 'depot'
+};
+
+//Campos editables por la API (PUT / PATCH /users/:id)
+const EDITABLE_FIELDS = ['firstName', 'lastName', 'email', 'password', 'role', 'status', ...Object.keys(PROFILE_FIELDS)];
+
+//Formato de un hash bcrypt ($2a$, $2b$ o $2y$, coste de dos digitos, sal y hash en base64 de bcrypt)
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+//Campos de control del login que no cambian la version (un login no invalida el ETag de quien edita)
+const UNVERSIONED_FIELDS = ['loginAttempts', 'lockedUntil', 'twoFactorLastStep'];
+
+//Tablas con datos propios de un usuario que se eliminan al purgarlo (columna user_id)
+const PURGED_TABLES = [
+    'refresh_tokens',
+    'sessions',
+    'two_factor_recovery_codes',
+    'password_reset_tokens',
+    'user_invitations',
+    'password_history',
+    'login_history',
+    'sync_snapshots'
+];
+
+/**
+ * Convierte una fecha ISO al formato de CURRENT_TIMESTAMP de SQLite.
+ * @param {string} value
+ * @returns {string}
+ */
+const toDbTimestamp = (value) => new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Límite superior inclusivo: una fecha sin hora (YYYY-MM-DD) abarca todo ese día.
+ * @param {string} value
+ * @returns {string}
+ */
+const toDbEndTimestamp = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} 23:59:59` : toDbTimestamp(value);
+
 class User {
     /**
      * construye un objeto User a partir de uan fila de la base de datos.
@@ -20,12 +81,32 @@ class User {
         this.firstName = data.first_name;
         this.lastName = data.last_name;
         this.email = data.email;
-        //NOTE: this.password debe ser el hash (no una contraseña en texto plano)
+        //NOTE: this.password debe ser el hash (no una contraseña en texto plano); null en usuarios invitados (pending)
         this.password = data.password;
         this.role = data.role;
         this.status = data.status;
         this.loginAttempts = data.login_attempts || 0;
         this.lockedUntil = data.locked_until;
+        this.twoFactorEnabled = !!data.two_factor_enabled;
+        //NOTE: secreto TOTP en Base32 y último paso usado (anti-reuso); nunca se exponen en toJSON
+        this.twoFactorSecret = data.two_factor_secret;
+        this.twoFactorLastStep = data.two_factor_last_step;
+        //Fecha del ultimo cambio de contraseña (para la antiguedad maxima de la politica)
+        this.passwordChangedAt = data.password_changed_at;
+        //Borrado logico: el usuario no aparece en listados ni puede autenticarse hasta que se restaure
+        this.deletedAt = data.deleted_at;
+        //Perfil: telefono, documento de identidad, codigo de empleado, licencia de conducir (numero y vencimiento YYYY-MM-DD), idioma y deposito
+        this.phone = data.phone;
+        this.documentNumber = data.document_number;
+        this.employeeCode = data.employee_code;
+        this.licenseNumber = data.license_number;
+        this.licenseExpiresAt = data.license_expires_at;
+        this.preferredLanguage = data.preferred_language;
+        this.depot = data.depot;
+        //NOTE: ruta del avatar relativa a config.uploads.path; en toJSON se expone como avatarUrl
+        this.avatarPath = data.avatar_path;
+        //Version de la fila: sube con cada cambio de datos (se expone como ETag)
+        this.version = data.version;
         this.createdAt = data.created_at;
         this.updatedAt = data.updated_at;
 
@@ -34,12 +115,13 @@ class User {
     /**
    * Buscar usuario por email.
    * @param {string} email
+   * @param {Object} [options] - { includeDeleted: true } para incluir usuarios borrados (ej. unicidad del email)
    * @returns {Promise<User|null>}
    */
-    static async findByEmail(email) {
+    static async findByEmail(email, { includeDeleted = false } = {}) {
         return new Promise((resolve, reject) => {
             const db = database.getDb();
-            const query = 'SELECT * FROM users WHERE email = ?';
+            const query = `SELECT * FROM users WHERE email = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
 
             db.get(query, [email], (err, row) => {
                 if (err) {
@@ -55,12 +137,13 @@ class User {
     /**
     * Buscar usuario por id.
    * @param {number} id
+   * @param {Object} [options] - { includeDeleted: true } para incluir usuarios borrados (ej. restaurar, purgar)
    * @returns {Promise<User|null>}
    */
-    static async findById(id) {
+    static async findById(id, { includeDeleted = false } = {}) {
         return new Promise((resolve, reject) => {
             const db = database.getDb();
-            const query = 'SELECT * FROM users WHERE id =?';
+            const query = `SELECT * FROM users WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
 
             db.get(query, [id], (err, row) => {
                 if (err) {
@@ -73,6 +156,26 @@ class User {
         });
     }
 
+    /**
+     * Buscar usuario por codigo de empleado (incluye borrados: el codigo es unico en toda la tabla).
+     * @param {string} employeeCode
+     * @returns {Promise<User|null>}
+     */
+    static async findByEmployeeCode(employeeCode) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.get('SELECT * FROM users WHERE employee_code = ?', [employeeCode], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(row ? new User(row) : null);
+            });
+        });
+    }
+
     /**
    * Recuperar todos los usuarios (ordenados por creación descendente).
    * @returns {Promise<User[]>}
@@ -94,21 +197,180 @@ class User {
     }
 
 
+    /**
+     * Buscar usuarios con filtros, orden y paginación (por página u offset, o por cursor).
+     * @param {Object} filters - ver buildSearchConditions
+     * @param {Object} options
+     * @param {string} options.sort - campo de SORTABLE_FIELDS (ej. 'createdAt')
+     * @param {string} options.order - 'asc' o 'desc'
+     * @param {number} options.limit
+     * @param {number} [options.page] - paginación por página (se ignora si hay cursor)
+     * @param {Object} [options.cursor] - { value, id, direction: 'next'|'prev' } del elemento frontera
+     * @returns {Promise<{users: User[], total: number, hasMore: boolean}>}
+     *          hasMore indica si quedan elementos más allá de la página en la dirección pedida
+     */
+    static async search(filters, options) {
+        const db = database.getDb();
+        const { conditions, params } = User.buildSearchConditions(filters);
+        const column = SORTABLE_FIELDS[options.sort];
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const total = await new Promise((resolve, reject) => {
+            db.get(`SELECT COUNT(*) AS count FROM users ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row.count);
+            });
+        });
+
+        const pageConditions = [...conditions];
+        const pageParams = [...params];
+        let descending = options.order === 'desc';
+        let offset = 0;
+
+        if (options.cursor) {
+            // Keyset: continuar después (o antes) del elemento frontera; id desempata valores iguales
+            const backwards = options.cursor.direction === 'prev';
+            const operator = descending !== backwards ? '<' : '>';
+            pageConditions.push(`(${column} ${operator} ? OR (${column} = ? AND id ${operator} ?))`);
+            pageParams.push(options.cursor.value, options.cursor.value, options.cursor.id);
+            // Hacia atrás se lee en orden inverso y luego se da la vuelta al resultado
+            descending = descending !== backwards;
+        } else {
+            offset = (options.page - 1) * options.limit;
+        }
+
+        const direction = descending ? 'DESC' : 'ASC';
+        const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+        const rows = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM users ${pageWhere}
+                ORDER BY ${column} ${direction}, id ${direction}
+                LIMIT ? OFFSET ?
+            `;
+
+            // Se pide un elemento de más para saber si hay otra página
+            db.all(query, [...pageParams, options.limit + 1, offset], (err, result) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(result);
+            });
+        });
+
+        const hasMore = rows.length > options.limit;
+        const users = rows.slice(0, options.limit).map(row => new User(row));
+        if (options.cursor && options.cursor.direction === 'prev') {
+            users.reverse();
+        }
+
+        return { users, total, hasMore };
+    }
+
+    /**
+     * Condiciones SQL (WHERE) para los filtros del listado de usuarios.
+     * @param {Object} filters
+     * @param {string} [filters.role]
+     * @param {string} [filters.status]
+     * @param {boolean} [filters.locked] - true: bloqueados ahora mismo; false: no bloqueados
+     * @param {string} [filters.createdFrom] - fecha ISO 8601 (inclusive)
+     * @param {string} [filters.createdTo] - fecha ISO 8601 (inclusive; sin hora, todo ese día)
+     * @param {string} [filters.q] - texto libre en nombre, apellido, nombre completo o email
+     * @param {boolean} [filters.deleted] - true: solo usuarios borrados; por defecto se excluyen
+     * @returns {{conditions: string[], params: Array}}
+     */
+    static buildSearchConditions(filters) {
+        const conditions = [filters.deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+        const params = [];
+
+        if (filters.role) {
+            conditions.push('role = ?');
+            params.push(filters.role);
+        }
+
+        if (filters.status) {
+            conditions.push('status = ?');
+            params.push(filters.status);
+        }
+
+        if (filters.locked !== undefined && filters.locked !== null) {
+            // locked_until se guarda en ISO 8601 (UTC), comparable como texto
+            conditions.push(filters.locked
+                ? '(locked_until IS NOT NULL AND locked_until > ?)'
+                : '(locked_until IS NULL OR locked_until <= ?)');
+            params.push(new Date().toISOString());
+        }
+
+        // created_at se guarda como 'YYYY-MM-DD HH:MM:SS' (UTC)
+        if (filters.createdFrom) {
+            conditions.push('created_at >= ?');
+            params.push(toDbTimestamp(filters.createdFrom));
+        }
+
+        if (filters.createdTo) {
+            conditions.push('created_at <= ?');
+            params.push(toDbEndTimestamp(filters.createdTo));
+        }
+
+        if (filters.q) {
+            const pattern = `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`;
+            conditions.push(`(
+                first_name LIKE ? ESCAPE '\\' OR last_name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\'
+                OR (first_name || ' ' || last_name) LIKE ? ESCAPE '\\'
+            )`);
+            params.push(pattern, pattern, pattern, pattern);
+        }
+
+        return { conditions, params };
+    }
+
+    /**
+     * Recuperar los usuarios bloqueados ahora mismo por intentos fallidos
+     * (el bloqueo que termina antes aparece primero).
+     * @returns {Promise<User[]>}
+     */
+    static async findLocked() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            // locked_until se guarda en ISO 8601 (UTC), comparable como texto
+            const query = 'SELECT * FROM users WHERE locked_until IS NOT NULL AND locked_until > ? AND deleted_at IS NULL ORDER BY locked_until ASC';
+
+            db.all(query, [new Date().toISOString()], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                resolve(rows.map(row => new User(row)));
+            });
+        });
+    }
+
     /**
      * Crear un nuevo usuario (hash de contraseña incluido).
-     * @param {Object} userData - { firstName, lastName, email, password, role?, status? }
+     * Sin password el usuario queda sin credenciales (flujo de invitación).
+     * passwordHash es un hash bcrypt ya calculado (importaciones): se guarda tal cual en lugar de hashear password.
+     * @param {Object} userData - { firstName, lastName, email, password?, passwordHash?, role?, status?, ...campos de PROFILE_FIELDS }
      * @returns {Promise<number>} - retorna el id (lastID) del usuario creado
      */
     static async create(userData) {
         return new Promise(async (resolve, reject) => {
             try {
                 const db = database.getDb();
-                //Hashear la contraseña antes de persistirla
-                const hashedPassword = await bcrypt.hash(userData.password, 12);
+                //Hashear la contraseña antes de persistirla (una sola vez: un hash importado se guarda tal cual)
+                const hashedPassword = userData.passwordHash || (userData.password ? await bcrypt.hash(userData.password, 12) : null);
+
+                const profileColumns = Object.values(PROFILE_FIELDS);
+                //Sin idioma elegido se usa el de la aplicacion
+                const profile = { ...userData, preferredLanguage: userData.preferredLanguage || config.profiles.defaultLanguage };
 
                 const query = ` 
-                    INSERT INTO users (first_name, last_name, email, password, role, status)
-                    VALUES (?, ?, ?, ?, ?, ?)
+                    INSERT INTO users (first_name, last_name, email, password, role, status, password_changed_at, ${profileColumns.join(', ')})
+                    VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, ${profileColumns.map(() => '?').join(', ')})
                     `;
 
                 const params = [
@@ -117,7 +379,9 @@ class User {
                     userData.email,
                     hashedPassword,
                     userData.role || 'user',
-                    userData.status || 'active'
+                    userData.status || 'active',
+                    hashedPassword,
+                    ...Object.keys(PROFILE_FIELDS).map(field => profile[field] || null)
                 ];
 
                 //Nota: usar fucntion() para poder acceder a this.LastID
@@ -127,7 +391,15 @@ class User {
                         return;
                     }
 
-                    resolve(this.lastID);
+                    const userId = this.lastID;
+                    if (!hashedPassword) {
+                        resolve(userId);
+                        return;
+                    }
+
+                    //La contraseña inicial también cuenta para el historial
+                    User.addPasswordToHistory(userId, hashedPassword)
+                        .then(() => resolve(userId), reject);
                 });
             } catch (error) {
                 reject(error);
@@ -137,13 +409,22 @@ class User {
 
     /**
    * Actualizar usuario (dinámico: solo actualiza los campos provistos).
-   * @param {Object} updateData - propiedades a actualizar (firstName, lastName, email, password, role, status, loginAttempts, lockedUntil)
-   * @returns {Promise<boolean>} - true si se actualizó >=1 fila
+   * @param {Object} updateData - propiedades a actualizar (firstName, lastName, email, password, role, status, loginAttempts, lockedUntil,
+   *                              twoFactorEnabled, twoFactorSecret, twoFactorLastStep, deletedAt, avatarPath
+   *                              y los campos de PROFILE_FIELDS; null borra un campo de perfil)
+   *                              Un cambio de password renueva password_changed_at y se guarda en el historial.
+   *                              passwordHash (hash bcrypt ya calculado, importaciones) se guarda tal cual en lugar de password.
+   *                              Salvo los de UNVERSIONED_FIELDS, cualquier cambio incrementa version.
+   * @param {Object} [options]
+   * @param {number} [options.expectedVersion] - solo actualiza si la fila sigue en esa version (If-Match)
+   * @returns {Promise<boolean>} - true si se actualizó >=1 fila (false si la version ya no coincide)
    */
-    async update(updateData) {
+    async update(updateData, { expectedVersion } = {}) {
         return new Promise(async (resolve, reject) => {
             try {
                 const db = database.getDb();
+                const userId = this.id;
+                let passwordHash = null;
 
                 //construcion dinamica del set y los parametros
                 const updateFields = [];
@@ -164,9 +445,11 @@ class User {
                     params.push(updateData.email);
                 }
 
-                if (updateData.password !== undefined) {
+                if (updateData.password !== undefined || updateData.passwordHash !== undefined) {
+                    passwordHash = updateData.passwordHash !== undefined ? updateData.passwordHash : await bcrypt.hash(updateData.password, 12);
                     updateFields.push('password = ?');
-                    params.push(await bcrypt.hash(updateData.password, 12));
+                    params.push(passwordHash);
+                    updateFields.push('password_changed_at = CURRENT_TIMESTAMP');
                 }
 
                 if (updateData.role !== undefined) {
@@ -189,12 +472,52 @@ class User {
                     params.push(updateData.lockedUntil);
                 }
 
+                if (updateData.twoFactorEnabled !== undefined) {
+                    updateFields.push('two_factor_enabled = ?');
+                    params.push(updateData.twoFactorEnabled ? 1 : 0);
+                }
+
+                if (updateData.twoFactorSecret !== undefined) {
+                    updateFields.push('two_factor_secret = ?');
+                    params.push(updateData.twoFactorSecret);
+                }
+
+                if (updateData.twoFactorLastStep !== undefined) {
+                    updateFields.push('two_factor_last_step = ?');
+                    params.push(updateData.twoFactorLastStep);
+                }
+
+                if (updateData.deletedAt !== undefined) {
+                    updateFields.push('deleted_at = ?');
+                    params.push(updateData.deletedAt);
+                }
+
+                for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+                    if (updateData[field] !== undefined) {
+                        updateFields.push(`${column} = ?`);
+                        params.push(updateData[field]);
+                    }
+                }
+
+                if (updateData.avatarPath !== undefined) {
+                    updateFields.push('avatar_path = ?');
+                    params.push(updateData.avatarPath);
+                }
+
+                if (Object.keys(updateData).some(field => updateData[field] !== undefined && !UNVERSIONED_FIELDS.includes(field))) {
+                    updateFields.push('version = version + 1');
+                }
+
                 // Siempre actualizar updated_at
                 updateFields.push('updated_at = CURRENT_TIMESTAMP');
                 // El id va como último parámetro para la cláusula WHERE
                 params.push(this.id);
 
-                const query = `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`;
+                let query = `UPDATE users SET ${updateFields.join(', ')} WHERE id = ?`;
+                if (expectedVersion !== undefined) {
+                    query += ' AND version = ?';
+                    params.push(expectedVersion);
+                }
 
                 db.run(query, params, function (err) {
                     if (err) {
@@ -203,7 +526,14 @@ class User {
                     }
 
                     //this.changes es el numero de filas afectadas
-                    resolve(this.changes > 0);
+                    const updated = this.changes > 0;
+                    if (!updated || !passwordHash) {
+                        resolve(updated);
+                        return;
+                    }
+
+                    User.addPasswordToHistory(userId, passwordHash)
+                        .then(() => resolve(true), reject);
                 });
 
             } catch (error) {
@@ -212,6 +542,165 @@ class User {
         });
     }
 
+    /**
+     * Borrado logico: marca deleted_at y cierra todas las sesiones del usuario en una transacción,
+     * en la que también se encola el borrado de su fila del Excel (el espejo no muestra usuarios borrados).
+     * @returns {Promise<void>}
+     */
+    async softDelete() {
+        const deletedAt = new Date().toISOString();
+
+        await database.transaction(async () => {
+            await this.update({ deletedAt });
+            await Session.revokeAllForUser(this.id);
+            await ExcelOutbox.add({ operation: 'remove', email: this.email });
+        });
+        this.deletedAt = deletedAt;
+    }
+
+    /**
+     * Deshace un borrado logico (el usuario vuelve con el status que tenía) y encola volver a escribir su fila del Excel.
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        await database.transaction(async () => {
+            await this.update({ deletedAt: null });
+            await ExcelOutbox.add({ operation: 'upsert', userId: this.id, email: this.email });
+        });
+        this.deletedAt = null;
+    }
+
+    /**
+     * Borrado definitivo: elimina la fila y todos sus datos asociados (tokens, sesiones,
+     * códigos 2FA, invitaciones, historiales) en una transacción, en la que también se encola el borrado de su fila del Excel.
+     * Las API keys y sincronizaciones que lanzó se conservan sin autor; audit_events no se toca (es el registro de lo ocurrido).
+     * @returns {Promise<void>}
+     */
+    async purge() {
+        const userId = this.id;
+
+        await database.transaction(async () => {
+            for (const table of PURGED_TABLES) {
+                await database.run(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+            }
+
+            await database.run('UPDATE user_invitations SET invited_by = NULL WHERE invited_by = ?', [userId]);
+            await database.run('UPDATE api_keys SET created_by = NULL WHERE created_by = ?', [userId]);
+            await database.run('UPDATE sync_runs SET triggered_by = NULL WHERE triggered_by = ?', [userId]);
+            await database.run('DELETE FROM users WHERE id = ?', [userId]);
+            await ExcelOutbox.add({ operation: 'remove', email: this.email });
+        });
+    }
+
+    /**
+     * Indica si este usuario tiene algún permiso que currentUser no tiene
+     * (ej. un dispatcher intentando actuar sobre un admin). Sobre uno mismo siempre es false.
+     * @param {User|Object} currentUser - usuario o principal de API key (con hasPermission)
+     * @returns {Promise<boolean>}
+     */
+    async exceedsPermissionsOf(currentUser) {
+        if (this.id === currentUser.id) {
+            return false;
+        }
+
+        const permissions = await this.loadPermissions();
+        return permissions.some(permission => !currentUser.hasPermission(permission));
+    }
+
+    /**
+     * Indica si el usuario es el único admin activo (rol 'admin', status 'active', no borrado).
+     * Ese usuario nunca se puede borrar: el sistema se quedaría sin nadie con todos los permisos.
+     * @returns {Promise<boolean>}
+     */
+    async isLastActiveAdmin() {
+        if (this.role !== 'admin' || this.status !== 'active' || this.deletedAt) {
+            return false;
+        }
+
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND status = 'active' AND deleted_at IS NULL AND id != ?";
+
+            db.get(query, [this.id], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row.count === 0);
+            });
+        });
+    }
+
+    /**
+     * Hashes de las últimas contraseñas del usuario (la más reciente primero).
+     * @param {number} userId
+     * @param {number} limit
+     * @returns {Promise<string[]>}
+     */
+    static async getPasswordHistory(userId, limit) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?';
+
+            db.all(query, [userId, limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => row.password_hash));
+            });
+        });
+    }
+
+    /**
+     * Guarda un hash en el historial y conserva solo los últimos config.passwordPolicy.historySize.
+     * @param {number} userId
+     * @param {string} passwordHash
+     * @returns {Promise<void>}
+     */
+    static async addPasswordToHistory(userId, passwordHash) {
+        const db = database.getDb();
+        const historySize = config.passwordPolicy.historySize;
+
+        if (historySize > 0) {
+            await new Promise((resolve, reject) => {
+                db.run('INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)', [userId, passwordHash], (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const query = `
+                DELETE FROM password_history
+                WHERE user_id = ? AND id NOT IN (
+                    SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+                )
+            `;
+
+            db.run(query, [userId, userId, historySize], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Indica si un valor tiene el formato de un hash bcrypt (para importar contraseñas ya hasheadas sin volver a hashearlas).
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isPasswordHash(value) {
+        return typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+    }
+
     /**
      * Verificar contraseña: compara password en texto plano con el hash almacenado.
      * @param {string} password
@@ -219,9 +708,33 @@ class User {
      */
 
     async verifyPassword(password) {
+        // Usuarios invitados que aún no eligieron contraseña nunca validan
+        if (!this.password) {
+            return false;
+        }
+
         return await bcrypt.compare(password, this.password);
     }
 
+    /**
+     * Carga los permisos del rol del usuario (desde role_permissions).
+     * Se consultan en cada petición, así los cambios de un rol aplican de inmediato.
+     * @returns {Promise<string[]>}
+     */
+    async loadPermissions() {
+        this.permissions = await Role.getPermissionNames(this.role);
+        return this.permissions;
+    }
+
+    /**
+     * Indica si el usuario tiene un permiso (requiere loadPermissions() previo).
+     * @param {string} permission - ej. 'users:update'
+     * @returns {boolean}
+     */
+    hasPermission(permission) {
+        return Array.isArray(this.permissions) && this.permissions.includes(permission);
+    }
+
     /**
      * Indica si la cuenta está bloqueada actualmente.
      * @returns {boolean}
@@ -266,13 +779,21 @@ class User {
     }
 
     /**
-  * Convertir a JSON excluyendo la contraseña (útil para respuestas API).
+  * Convertir a JSON excluyendo la contraseña y los datos 2FA sensibles (útil para respuestas API).
+  * El avatar se expone como URL pública (/uploads/...) en lugar de la ruta interna.
   * @returns {Object}
   */
     toJSON() {
-        const { password, ...userWithoutPassword } = this;
-        return userWithoutPassword;
+        const { password, twoFactorSecret, twoFactorLastStep, avatarPath, ...userWithoutPassword } = this;
+        return {
+            ...userWithoutPassword,
+            avatarUrl: avatarPath ? `/uploads/${avatarPath}` : null
+        };
     }
 }
 
+User.SORTABLE_FIELDS = SORTABLE_FIELDS;
+User.PROFILE_FIELDS = PROFILE_FIELDS;
+User.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * routes/apiKeys.js
+ *
+ * Router para la gestión de API keys de integraciones (WMS, transportistas...).
+ * Montar típicamente en: app.use('/api/api-keys', require('./routes/apiKeys'));
+ *
+ * Responsabilidades:
+ * - Crear, listar, rotar y revocar API keys.
+ * - Exigir sesión de usuario (no API key) con el permiso apikeys:manage.
+ * - Delegar la lógica real a ApiKeyController.
+ */
+
+const express = require('express');
+const ApiKeyController = require('../controllers/apiKeyController');
+
+// Middlewares de autenticación/autorización
+const { verifyToken, requirePermission } = require('../middleware/auth');
+
+// Middlewares de validación de payloads
+const { validateApiKeyCreate } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    Listar API keys (prefijo, permisos, IPs, límite, expiración y último uso; nunca el secreto)
+ * @access  Privado (permiso apikeys:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('apikeys:manage') -> exige el permiso en el rol del usuario
+ */
+router.get('/', verifyToken, requirePermission('apikeys:manage'), ApiKeyController.getAllApiKeys);
+
+/**
+ * @route   GET /api/api-keys/:id
+ * @desc    Obtener una API key por id
+ * @access  Privado (permiso apikeys:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('apikeys:manage') -> exige el permiso en el rol del usuario
+ */
+router.get('/:id', verifyToken, requirePermission('apikeys:manage'), ApiKeyController.getApiKeyById);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Crear una API key; la clave en claro solo se devuelve en esta respuesta
+ * @access  Privado (permiso apikeys:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('apikeys:manage') -> exige el permiso en el rol del usuario
+ * @middleware validateApiKeyCreate -> valida nombre, permisos, IPs permitidas, límite y expiración
+ */
+router.post('/', verifyToken, requirePermission('apikeys:manage'), validateApiKeyCreate, ApiKeyController.createApiKey);
+
+/**
+ * @route   POST /api/api-keys/:id/rotate
+ * @desc    Rotar una API key: devuelve una clave nueva y la anterior deja de funcionar
+ * @access  Privado (permiso apikeys:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('apikeys:manage') -> exige el permiso en el rol del usuario
+ */
+router.post('/:id/rotate', verifyToken, requirePermission('apikeys:manage'), ApiKeyController.rotateApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revocar una API key
+ * @access  Privado (permiso apikeys:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('apikeys:manage') -> exige el permiso en el rol del usuario
+ */
+router.delete('/:id', verifyToken, requirePermission('apikeys:manage'), ApiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * routes/audit.js
+ *
+ * Router para consultar el registro de auditoría.
+ * Montar típicamente en: app.use('/api/audit', require('./routes/audit'));
+ *
+ * Responsabilidades:
+ * - Exponer los eventos de auditoría (logins, bloqueos, cambios de usuarios, roles, API keys...).
+ * - Exigir el permiso audit:read.
+ * - Delegar la lógica real a AuditController.
+ */
+
+const express = require('express');
+const AuditController = require('../controllers/auditController');
+
+// Middlewares de autenticación/autorización
+const { verifyToken, requirePermission } = require('../middleware/auth');
+
+// Middlewares de validación de payloads
+const { validateAuditQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/audit
+ * @desc    Listar eventos de auditoría (más recientes primero) con filtros y paginación
+ * @access  Privado (permiso audit:read)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('audit:read') -> exige el permiso en el rol del usuario
+ * @middleware validateAuditQuery -> valida filtros (actor, acción, objetivo, IP, fechas) y paginación
+ */
+router.get('/', verifyToken, requirePermission('audit:read'), validateAuditQuery, AuditController.getAuditEvents);
+
+module.exports = router;
@@ -3,7 +3,9 @@
  *
  * Router de autenticación:
  * - Montado típicamente en: /api/auth
- * - Expone endpoints para: login, refresh token y logout.
+ * - Expone endpoints para: login (con segundo paso 2FA opcional), refresh token, logout,
+ *   recuperación de contraseña, cambio de contraseña vencida, política de contraseñas
+ *   y aceptación de invitaciones.
  *
  * Responsabilidad:
  * - Definir rutas HTTP y encadenar middlewares necesarios (rate-limiter, validaciones).
@@ -16,8 +18,16 @@
 
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { validateUserLogin } = require('../middleware/validation');
-const { loginLimiter } = require('../middleware/rateLimiter');
+const {
+    validateUserLogin,
+    validateTwoFactorLogin,
+    validateForgotPassword,
+    validateResetPassword,
+    validateAcceptInvite,
+    validateExpiredPasswordChange
+} = require('../middleware/validation');
+const { loginLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const { optionalToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -25,35 +35,113 @@ const router = express.Router();
  * @route   POST /api/auth/login
  * @desc    Iniciar sesión / obtener access + refresh tokens
  * @access  Public
- * @body    { email: string, password: string }
+ * @body    { email: string, password: string, device?: string }
  * @middlewares
  *   - loginLimiter: limita la tasa de peticiones para proteger contra fuerza bruta.
- *   - validateUserLogin: valida el formato y campos necesarios del body (email, password).
+ *   - validateUserLogin: valida el formato y campos necesarios del body (email, password, device).
  * @response (éxito) JSON con { success, message, data: { user, accessToken, refreshToken, expiresIn } }
+ *           Si el usuario tiene 2FA: { data: { twoFactorRequired: true, challengeToken, expiresIn } }
+ *           Si la contraseña venció: { data: { passwordChangeRequired: true, changeToken, expiresIn, passwordPolicy } }
  * @errors  400/401/423/500 según la lógica del controlador y middlewares.
  */
 router.post('/login', loginLimiter, validateUserLogin, AuthController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Segundo paso del login para usuarios con 2FA: canjear challenge token + código
+ * @access  Public
+ * @body    { challengeToken: string, code?: string, recoveryCode?: string }
+ * @middlewares
+ *   - loginLimiter: limita la tasa de peticiones para proteger contra fuerza bruta.
+ *   - validateTwoFactorLogin: exige challengeToken y un código TOTP o de recuperación.
+ * @response (éxito) igual que /login: { user, accessToken, refreshToken, expiresIn }
+ * @errors  400/401/423/500; los códigos inválidos cuentan como intentos de login fallidos.
+ */
+router.post('/login/2fa', loginLimiter, validateTwoFactorLogin, AuthController.loginTwoFactor);
+
+/**
+ * @route   POST /api/auth/change-expired-password
+ * @desc    Cambiar una contraseña vencida (política de antigüedad máxima) y completar el login
+ * @access  Public
+ * @body    { changeToken: string, password: string }
+ * @middlewares
+ *   - loginLimiter: limita la tasa de peticiones para proteger contra fuerza bruta.
+ *   - validateExpiredPasswordChange: exige changeToken y valida la nueva contraseña contra la política.
+ * @response (éxito) igual que /login: { user, accessToken, refreshToken, expiresIn }
+ * @errors  400 si la contraseña no cumple la política (incluido el historial), 401 si el token no es válido.
+ */
+router.post('/change-expired-password', loginLimiter, validateExpiredPasswordChange, AuthController.changeExpiredPassword);
+
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Requisitos actuales de la política de contraseñas (longitud, clases de caracteres, historial, caducidad)
+ * @access  Public
+ * @response (éxito) { success: true, message, data: { minLength, maxLength, ... } }
+ */
+router.get('/password-policy', AuthController.getPasswordPolicy);
+
 /**
  * @route   POST /api/auth/refresh
- * @desc    Renovar access token usando un refresh token válido
+ * @desc    Renovar access token usando un refresh token válido (rotación)
  * @access  Public
  * @body    { refreshToken: string }   // o puede venir en cookie según implementación
  * @middlewares
  *   - (ninguno aplicado aquí por defecto; podrías añadir validación adicional)
- * @response (éxito) JSON con { success, message, data: { accessToken, expiresIn } }
+ * @response (éxito) JSON con { success, message, data: { accessToken, refreshToken, expiresIn } }
+ *           El refresh token enviado queda retirado; el cliente debe guardar el nuevo.
  * @errors  400/401/500 según verificación y existencia del refresh token.
+ *          Reutilizar un refresh token ya retirado revoca toda la sesión (familia).
  */
 router.post('/refresh', AuthController.refreshToken);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Cerrar sesión / revocar refresh token
+ * @desc    Cerrar sesión / revocar la sesión del refresh token o del access token
  * @access  Public
- * @body    { refreshToken?: string }  // opcional según cómo manejes la revocación (body o cookie)
+ * @body    { refreshToken?: string }  // si no llega, se usa la sesión del header Authorization
+ * @middlewares
+ *   - optionalToken: si hay access token válido, añade req.user (incluye sid de la sesión).
  * @response (éxito) { success: true, message: 'Logout successful' }
- * @errors  500 si hay problemas al eliminar el token en servidor.
+ * @errors  500 si hay problemas al revocar la sesión en servidor.
+ */
+router.post('/logout', optionalToken, AuthController.logout);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Solicitar un enlace de recuperación de contraseña por correo
+ * @access  Public
+ * @body    { email: string }
+ * @middlewares
+ *   - passwordResetLimiter: limita el envío de correos por IP.
+ *   - validateForgotPassword: valida el formato del email.
+ * @response (éxito) Siempre la misma respuesta, exista o no el email.
+ */
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, AuthController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Establecer una nueva contraseña usando el token del correo (un solo uso)
+ * @access  Public
+ * @body    { token: string, password: string }
+ * @middlewares
+ *   - passwordResetLimiter: limita el tanteo de tokens.
+ *   - validateResetPassword: exige token y valida la contraseña contra la política.
+ * @response (éxito) { success: true, message } — todas las sesiones del usuario quedan cerradas.
+ * @errors  400 si el token no existe, ya se usó o expiró, o si la contraseña repite una reciente.
+ */
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, AuthController.resetPassword);
+
+/**
+ * @route   POST /api/auth/accept-invite
+ * @desc    Aceptar una invitación: el invitado elige su contraseña y la cuenta pasa a 'active'
+ * @access  Public
+ * @body    { token: string, password: string }
+ * @middlewares
+ *   - passwordResetLimiter: limita el tanteo de tokens.
+ *   - validateAcceptInvite: exige token y valida la contraseña contra la política.
+ * @response (éxito) { success: true, message, data: { email } }
+ * @errors  400 si la invitación no existe, ya se aceptó, fue revocada o expiró.
  */
-router.post('/logout', AuthController.logout);
+router.post('/accept-invite', passwordResetLimiter, validateAcceptInvite, AuthController.acceptInvite);
 
 module.exports = router;
\ No newline at end of file
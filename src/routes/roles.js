@@ -0,0 +1,80 @@
+/**
+ * routes/roles.js
+ *
+ * Router para la gestión de roles y permisos.
+ * Montar típicamente en: app.use('/api/roles', require('./routes/roles'));
+ *
+ * Responsabilidades:
+ * - Exponer el catálogo de permisos y el CRUD de roles.
+ * - Exigir roles:read para consultar y roles:manage para modificar.
+ * - Delegar la lógica real a RoleController.
+ */
+
+const express = require('express');
+const RoleController = require('../controllers/roleController');
+
+// Middlewares de autenticación/autorización
+const { verifyToken, requirePermission } = require('../middleware/auth');
+
+// Middlewares de validación de payloads
+const { validateRoleCreate, validateRoleUpdate } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/roles
+ * @desc    Listar roles con sus permisos
+ * @access  Privado (permiso roles:read)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('roles:read') -> exige el permiso en el rol del usuario
+ */
+router.get('/', verifyToken, requirePermission('roles:read'), RoleController.getAllRoles);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Listar el catálogo de permisos disponibles
+ * @access  Privado (permiso roles:read)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('roles:read') -> exige el permiso en el rol del usuario
+ */
+router.get('/permissions', verifyToken, requirePermission('roles:read'), RoleController.getPermissions);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Obtener un rol por id
+ * @access  Privado (permiso roles:read)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('roles:read') -> exige el permiso en el rol del usuario
+ */
+router.get('/:id', verifyToken, requirePermission('roles:read'), RoleController.getRoleById);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Crear un rol con un conjunto de permisos
+ * @access  Privado (permiso roles:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('roles:manage') -> exige el permiso en el rol del usuario
+ * @middleware validateRoleCreate -> valida nombre, descripción y lista de permisos
+ */
+router.post('/', verifyToken, requirePermission('roles:manage'), validateRoleCreate, RoleController.createRole);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Actualizar descripción y/o permisos de un rol (el nombre no se puede cambiar)
+ * @access  Privado (permiso roles:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('roles:manage') -> exige el permiso en el rol del usuario
+ * @middleware validateRoleUpdate -> valida descripción y lista de permisos
+ */
+router.put('/:id', verifyToken, requirePermission('roles:manage'), validateRoleUpdate, RoleController.updateRole);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Eliminar un rol que no sea de sistema y no tenga usuarios asignados
+ * @access  Privado (permiso roles:manage)
+ * @middleware verifyToken -> valida JWT
+ * @middleware requirePermission('roles:manage') -> exige el permiso en el rol del usuario
+ */
+router.delete('/:id', verifyToken, requirePermission('roles:manage'), RoleController.deleteRole);
+
+module.exports = router;
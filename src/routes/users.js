@@ -12,12 +12,38 @@
 
 const express = require('express');
 const UserController = require('../controllers/userController');
+const SessionController = require('../controllers/sessionController');
+const TwoFactorController = require('../controllers/twoFactorController');
+const LockoutController = require('../controllers/lockoutController');
+const SyncController = require('../controllers/syncController');
 
 // Middlewares de autenticación/autorización
-const { verifyToken, requireAdmin, canModifyUser } = require('../middleware/auth');
+const { verifyToken, verifyTokenOrApiKey, requirePermission, canAccessUser, canModifyUser } = require('../middleware/auth');
+
+// Middlewares de subida de archivos
+const { uploadAvatar, uploadImportFile } = require('../middleware/upload');
 
 // Middlewares de validación de payloads
-const { validateUserRegistration, validateUserUpdate } = require('../middleware/validation');
+const {
+    validateUserRegistration,
+    validateUserUpdate,
+    validateMergePatch,
+    validateTwoFactorCode,
+    validateTwoFactorDisable,
+    validateTwoFactorPolicy,
+    validateLoginHistoryQuery,
+    validateUserListQuery,
+    validateUserExportQuery,
+    validateUserImport,
+    validateBulkOperations,
+    validatePasswordChange,
+    validateSyncRequest,
+    validateSyncJobsQuery,
+    validateReconcileRequest
+} = require('../middleware/validation');
+
+// Rate limiting (la contraseña actual se puede tantear como en el login)
+const { loginLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -30,53 +56,395 @@ const router = express.Router();
 router.get('/profile', verifyToken, UserController.getProfile);
 
 /**
- * @route   GET /api/users
- * @desc    Obtener lista de todos los usuarios
- * @access  Privado (solo Admin)
+ * @route   POST /api/users/profile/password
+ * @desc    Cambiar la contraseña propia (exige la actual; cierra las demás sesiones)
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user (sid marca la sesión que se conserva)
+ * @middleware loginLimiter -> limita los intentos fallidos por IP
+ * @middleware validatePasswordChange -> currentPassword y newPassword según la política
+ */
+router.post('/profile/password', verifyToken, loginLimiter, validatePasswordChange, UserController.changeOwnPassword);
+
+/**
+ * @route   GET /api/users/profile/sessions
+ * @desc    Listar las sesiones activas del usuario autenticado (dispositivo, IP, último uso)
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user (sid marca la sesión actual)
+ */
+router.get('/profile/sessions', verifyToken, SessionController.getMySessions);
+
+/**
+ * @route   DELETE /api/users/profile/sessions
+ * @desc    Cerrar todas las sesiones propias excepto la actual
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ */
+router.delete('/profile/sessions', verifyToken, SessionController.revokeMyOtherSessions);
+
+/**
+ * @route   DELETE /api/users/profile/sessions/:sessionId
+ * @desc    Cerrar una sesión propia
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ */
+router.delete('/profile/sessions/:sessionId', verifyToken, SessionController.revokeMySession);
+
+/**
+ * @route   GET /api/users/profile/2fa
+ * @desc    Estado de la 2FA propia (activa, exigida por el rol, códigos de recuperación restantes)
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ */
+router.get('/profile/2fa', verifyToken, TwoFactorController.getStatus);
+
+/**
+ * @route   POST /api/users/profile/2fa/setup
+ * @desc    Iniciar enrolamiento TOTP: devuelve el secreto y la URI otpauth:// para el QR
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ */
+router.post('/profile/2fa/setup', verifyToken, TwoFactorController.setup);
+
+/**
+ * @route   POST /api/users/profile/2fa/verify
+ * @desc    Confirmar el enrolamiento con un código; devuelve los códigos de recuperación (una sola vez)
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware validateTwoFactorCode -> exige un código de 6 dígitos
+ */
+router.post('/profile/2fa/verify', verifyToken, validateTwoFactorCode, TwoFactorController.verify);
+
+/**
+ * @route   POST /api/users/profile/2fa/disable
+ * @desc    Desactivar la 2FA propia (no permitido si el rol la exige)
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware validateTwoFactorDisable -> exige contraseña actual y código
+ */
+router.post('/profile/2fa/disable', verifyToken, validateTwoFactorDisable, TwoFactorController.disable);
+
+/**
+ * @route   POST /api/users/profile/2fa/recovery-codes
+ * @desc    Regenerar los códigos de recuperación (invalida los anteriores)
+ * @access  Privado (cualquier usuario autenticado)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware validateTwoFactorCode -> exige un código de 6 dígitos
+ */
+router.post('/profile/2fa/recovery-codes', verifyToken, validateTwoFactorCode, TwoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/users/2fa/policies
+ * @desc    Listar qué roles tienen la 2FA como obligatoria
+ * @access  Privado (permiso security:manage)
  * @middleware verifyToken -> asegura sesión válida
- * @middleware requireAdmin -> asegura que req.user.role === 'admin'
+ * @middleware requirePermission('security:manage') -> exige el permiso en el rol del usuario
+ */
+router.get('/2fa/policies', verifyToken, requirePermission('security:manage'), TwoFactorController.getPolicies);
+
+/**
+ * @route   PUT /api/users/2fa/policies/:role
+ * @desc    Exigir o dejar de exigir 2FA para un rol
+ * @access  Privado (permiso security:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('security:manage') -> exige el permiso en el rol del usuario
+ * @middleware validateTwoFactorPolicy -> valida rol y { required: boolean }
+ */
+router.put('/2fa/policies/:role', verifyToken, requirePermission('security:manage'), validateTwoFactorPolicy, TwoFactorController.setPolicy);
+
+/**
+ * @route   GET /api/users/invitations
+ * @desc    Listar invitaciones pendientes (incluye expiradas)
+ * @access  Privado (permiso users:create)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('users:create') -> exige el permiso en el rol del usuario
+ */
+router.get('/invitations', verifyToken, requirePermission('users:create'), UserController.getPendingInvitations);
+
+/**
+ * @route   GET /api/users/locked
+ * @desc    Listar las cuentas bloqueadas ahora mismo por intentos fallidos de login
+ * @access  Privado (permiso security:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('security:manage') -> exige el permiso en el rol del usuario
+ */
+router.get('/locked', verifyToken, requirePermission('security:manage'), LockoutController.getLockedUsers);
+
+/**
+ * @route   POST /api/users/bulk
+ * @desc    Operaciones masivas (status, rol, reset de contraseña, borrado) en una sola transacción
+ * @access  Privado (permiso users:update; además roles:assign para set_role y users:delete para delete)
+ * @body    { atomic?: boolean, operations: [{ action, ids, status?, role? }] }
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('users:update') -> exige el permiso en el rol del usuario
+ * @middleware validateBulkOperations -> valida acciones, ids y tamaño máximo
+ * @response (éxito) { data: { atomic, committed, summary, results: [{ action, id, success, message }] } }
+ * @errors  409 si atomic y algún elemento falló (no se aplica nada)
+ */
+router.post('/bulk', verifyToken, requirePermission('users:update'), validateBulkOperations, UserController.bulkUpdateUsers);
+
+/**
+ * @route   GET /api/users
+ * @desc    Listar usuarios (paginado) con filtros, orden y búsqueda
+ * @access  Privado (permiso users:read; acepta API key)
+ * @query   page, limit, cursor, sort, order, role, status, locked, deleted, createdFrom, createdTo, q
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:read') -> exige el permiso en el rol del usuario
+ * @middleware validateUserListQuery -> valida filtros, campo de orden (whitelist) y paginación
+ */
+router.get('/', verifyTokenOrApiKey, requirePermission('users:read'), validateUserListQuery, UserController.getAllUsers);
+
+/**
+ * @route   GET /api/users/export
+ * @desc    Exportar usuarios (format=xlsx|csv|json, columns=...) con los filtros del listado; sin credenciales
+ * @access  Privado (permiso users:export; acepta API key)
+ * @query   format, columns, sort, order, role, status, locked, deleted, createdFrom, createdTo, q
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:export') -> exige el permiso en el rol del usuario
+ * @middleware validateUserExportQuery -> valida formato, columnas, filtros y orden
+ */
+router.get('/export', verifyTokenOrApiKey, requirePermission('users:export'), validateUserExportQuery, UserController.exportUsers);
+
+/**
+ * @route   POST /api/users/import
+ * @desc    Importar usuarios desde un XLSX, CSV o JSON subido (multipart: file, dryRun, passwordMode) con informe por fila
+ *          passwordMode: plaintext (por defecto; se hashea una vez) | hashed (hashes bcrypt guardados tal cual) | none (altas por invitación)
+ * @access  Privado (permisos users:create y users:update)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware requirePermission('users:create', 'users:update') -> exige los permisos en el rol del usuario
+ * @middleware uploadImportFile -> recibe el archivo en memoria; 413 si supera config.uploads.importMaxSize
+ * @middleware validateUserImport -> valida dryRun y passwordMode
+ */
+router.post('/import', verifyToken, requirePermission('users:create', 'users:update'), uploadImportFile, validateUserImport, UserController.importUsers);
+
+/**
+ * @route   POST /api/users/sync
+ * @desc    Encolar una sincronización en ambos sentidos entre la BD y el archivo Excel; responde enseguida con el id del job
+ * @access  Privado (permiso users:sync; acepta API key)
+ * @body    { policy?: 'db'|'sheet'|'newest'|'report' } (por defecto config.excel.syncConflictPolicy)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:sync') -> exige el permiso en el rol del usuario
+ * @middleware validateSyncRequest -> valida la política
+ * @response (202) { data: { jobId, coalesced } } + Location: /api/users/sync/jobs/:id
+ *           coalesced: true si ya había una sincronización en cola con la misma política (se devuelve esa)
+ */
+router.post('/sync', verifyTokenOrApiKey, requirePermission('users:sync'), validateSyncRequest, SyncController.syncUsers);
+
+/**
+ * @route   GET /api/users/sync/jobs
+ * @desc    Historial de sincronizaciones (manuales, de arranque, por cambio del archivo y periódicas): estado, duración y error
+ * @access  Privado (permiso users:sync; acepta API key)
+ * @query   page, limit, status (queued|running|completed|failed)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:sync') -> exige el permiso en el rol del usuario
+ * @middleware validateSyncJobsQuery -> valida page/limit y status
+ */
+router.get('/sync/jobs', verifyTokenOrApiKey, requirePermission('users:sync'), validateSyncJobsQuery, SyncController.getJobs);
+
+/**
+ * @route   GET /api/users/sync/jobs/:id
+ * @desc    Una sincronización con su resumen e informe de cambios completo
+ * @access  Privado (permiso users:sync; acepta API key)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:sync') -> exige el permiso en el rol del usuario
+ */
+router.get('/sync/jobs/:id', verifyTokenOrApiKey, requirePermission('users:sync'), SyncController.getJob);
+
+/**
+ * @route   POST /api/users/sync/reconcile
+ * @desc    Comparar todos los usuarios de la BD con las filas del Excel espejo y, opcionalmente, repararlo
+ * @access  Privado (permiso users:sync; acepta API key)
+ * @body    { repair?: boolean } (si es true encola las escrituras para que el Excel refleje la BD y reintenta las fallidas)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:sync') -> exige el permiso en el rol del usuario
+ * @middleware validateReconcileRequest -> valida repair
+ * @response (200) { data: { summary, differences: [{ email, type, userId?, fields? }], outbox: { pending, failed }, repair?: { queued, retried } } }
+ *           type: missing_in_sheet | missing_in_db | mismatch | duplicate
+ */
+router.post('/sync/reconcile', verifyTokenOrApiKey, requirePermission('users:sync'), validateReconcileRequest, SyncController.reconcile);
+
+/**
+ * @route   GET /api/users/sync/backups
+ * @desc    Listar las copias de seguridad del Excel (se guarda una antes de cada escritura; se conservan config.excel.backupCount)
+ * @access  Privado (permiso users:sync)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware requirePermission('users:sync') -> exige el permiso en el rol del usuario
+ * @response (200) { data: [{ name, size, createdAt }] } (más recientes primero)
+ */
+router.get('/sync/backups', verifyToken, requirePermission('users:sync'), SyncController.getBackups);
+
+/**
+ * @route   POST /api/users/sync/backups/:name/restore
+ * @desc    Volver el Excel a una copia de seguridad; el archivo actual se guarda antes como otra copia. No sincroniza con la BD
+ * @access  Privado (permiso users:sync)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware requirePermission('users:sync') -> exige el permiso en el rol del usuario
+ * @response (200) { data: { restored, backup } } (backup: copia del archivo reemplazado)
+ * @errors  404 si la copia no existe
  */
-router.get('/', verifyToken, requireAdmin, UserController.getAllUsers);
+router.post('/sync/backups/:name/restore', verifyToken, requirePermission('users:sync'), SyncController.restoreBackup);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Obtener un usuario por su ID
- * @access  Privado (Admin o propietario del perfil)
- * @middleware verifyToken -> asegura sesión válida
- * @middleware canModifyUser -> permite al admin o al mismo usuario acceder
+ * @access  Privado (permiso users:read o propietario del perfil; acepta API key)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware canAccessUser('users:read') -> permite a quien tenga el permiso o al mismo usuario acceder
  */
-router.get('/:id', verifyToken, canModifyUser, UserController.getUserById);
+router.get('/:id', verifyTokenOrApiKey, canAccessUser('users:read'), UserController.getUserById);
 
 /**
  * @route   POST /api/users
  * @desc    Crear un nuevo usuario
- * @access  Privado (solo Admin)
- * @middleware verifyToken -> asegura sesión válida
- * @middleware requireAdmin -> solo admins pueden crear usuarios
+ * @access  Privado (permiso users:create; acepta API key)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware requirePermission('users:create') -> exige el permiso en el rol del usuario
  * @middleware validateUserRegistration -> valida/normaliza el body (email, password, nombres, etc.)
+ *             Con { invite: true } no se envía password: el usuario queda 'pending' y recibe una invitación.
  */
-router.post('/', verifyToken, requireAdmin, validateUserRegistration, UserController.createUser);
+router.post('/', verifyTokenOrApiKey, requirePermission('users:create'), validateUserRegistration, UserController.createUser);
 
 /**
  * @route   PUT /api/users/:id
- * @desc    Actualizar datos de un usuario
- * @access  Privado (Admin o propietario del perfil)
- * @middleware verifyToken -> asegura sesión válida
- * @middleware canModifyUser -> permite al admin o al mismo usuario actualizar
+ * @desc    Actualizar datos de un usuario (password solo con el permiso users:password); exige If-Match
+ * @access  Privado (permiso users:update o propietario del perfil; acepta API key)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware canModifyUser -> permite a quien tenga users:update o al mismo usuario actualizar
  * @middleware validateUserUpdate -> valida/limpia campos permitidos a actualizar
+ * @errors  403 si se cambia role sin roles:assign, status sin users:update o password sin users:password
  */
-router.put('/:id', verifyToken, canModifyUser, validateUserUpdate, UserController.updateUser);
+router.put('/:id', verifyTokenOrApiKey, canModifyUser, validateUserUpdate, UserController.updateUser);
 
 /**
- * @route   POST /api/users/sync
- * @desc    Sincronizar usuarios desde el archivo Excel hacia la BD
- * @access  Privado (solo Admin)
+ * @route   PATCH /api/users/:id
+ * @desc    Actualizar un usuario con JSON Merge Patch (null borra un campo de perfil); exige If-Match
+ * @access  Privado (permiso users:update o propietario del perfil; acepta API key)
+ * @middleware verifyTokenOrApiKey -> asegura sesión válida o API key de integración
+ * @middleware canModifyUser -> permite a quien tenga users:update o al mismo usuario actualizar
+ * @middleware validateMergePatch -> Content-Type application/merge-patch+json y solo campos editables
+ * @middleware validateUserUpdate -> valida/limpia los valores de los campos
+ */
+router.patch('/:id', verifyTokenOrApiKey, canModifyUser, validateMergePatch, validateUserUpdate, UserController.updateUser);
+
+/**
+ * @route   POST /api/users/:id/avatar
+ * @desc    Subir o reemplazar el avatar (multipart, campo 'avatar'; JPEG, PNG o WebP)
+ * @access  Privado (permiso users:update o propietario del perfil)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware canModifyUser -> permite a quien tenga users:update o al mismo usuario
+ * @middleware uploadAvatar -> recibe el archivo en memoria; 413 si supera config.uploads.avatarMaxSize
+ */
+router.post('/:id/avatar', verifyToken, canModifyUser, uploadAvatar, UserController.uploadAvatar);
+
+/**
+ * @route   DELETE /api/users/:id/avatar
+ * @desc    Eliminar el avatar
+ * @access  Privado (permiso users:update o propietario del perfil)
+ * @middleware verifyToken -> valida JWT y añade req.user
+ * @middleware canModifyUser -> permite a quien tenga users:update o al mismo usuario
+ */
+router.delete('/:id/avatar', verifyToken, canModifyUser, UserController.deleteAvatar);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Borrar un usuario (borrado lógico): deja de listarse, no puede iniciar sesión y se cierran sus sesiones
+ * @access  Privado (permiso users:delete)
  * @middleware verifyToken -> asegura sesión válida
- * @middleware requireAdmin -> solo admins pueden ejecutar la sincronización
- *
- * Nota: es recomendable proteger esta ruta contra llamadas abusivas (rate limit)
- * y ejecutar la sincronización en background o mediante job si el proceso es pesado.
+ * @middleware requirePermission('users:delete') -> exige el permiso en el rol del usuario
+ * @errors  409 si es el último admin activo
+ */
+router.delete('/:id', verifyToken, requirePermission('users:delete'), UserController.deleteUser);
+
+/**
+ * @route   POST /api/users/:id/restore
+ * @desc    Restaurar un usuario borrado
+ * @access  Privado (permiso users:delete)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('users:delete') -> exige el permiso en el rol del usuario
+ * @errors  403 si el usuario tiene permisos que no tiene quien restaura
+ */
+router.post('/:id/restore', verifyToken, requirePermission('users:delete'), UserController.restoreUser);
+
+/**
+ * @route   DELETE /api/users/:id/purge
+ * @desc    Eliminar definitivamente un usuario ya borrado, sus tokens y datos asociados y su fila del Excel
+ * @access  Privado (permiso users:purge)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('users:purge') -> exige el permiso en el rol del usuario
+ * @errors  409 si el usuario no fue borrado antes (DELETE /api/users/:id)
+ */
+router.delete('/:id/purge', verifyToken, requirePermission('users:purge'), UserController.purgeUser);
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    Listar las sesiones activas de un usuario
+ * @access  Privado (permiso sessions:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('sessions:manage') -> exige el permiso en el rol del usuario
+ */
+router.get('/:id/sessions', verifyToken, requirePermission('sessions:manage'), SessionController.getUserSessions);
+
+/**
+ * @route   DELETE /api/users/:id/sessions
+ * @desc    Cerrar todas las sesiones de un usuario ("log out everywhere")
+ * @access  Privado (permiso sessions:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('sessions:manage') -> exige el permiso en el rol del usuario
+ */
+router.delete('/:id/sessions', verifyToken, requirePermission('sessions:manage'), SessionController.revokeAllUserSessions);
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Cerrar una sesión concreta de un usuario
+ * @access  Privado (permiso sessions:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('sessions:manage') -> exige el permiso en el rol del usuario
+ */
+router.delete('/:id/sessions/:sessionId', verifyToken, requirePermission('sessions:manage'), SessionController.revokeUserSession);
+
+/**
+ * @route   GET /api/users/:id/login-history
+ * @desc    Historial de intentos de login de un usuario (resultado, motivo, IP, user agent)
+ * @access  Privado (permiso security:manage o propietario del perfil)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware canAccessUser('security:manage') -> permite a quien tenga el permiso o al mismo usuario acceder
+ * @middleware validateLoginHistoryQuery -> valida page/limit
+ */
+router.get('/:id/login-history', verifyToken, canAccessUser('security:manage'), validateLoginHistoryQuery, LockoutController.getLoginHistory);
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Levantar el bloqueo por intentos fallidos antes de que expire
+ * @access  Privado (permiso security:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('security:manage') -> exige el permiso en el rol del usuario
+ */
+router.post('/:id/unlock', verifyToken, requirePermission('security:manage'), LockoutController.unlockUser);
+
+/**
+ * @route   POST /api/users/:id/invitation/resend
+ * @desc    Reenviar la invitación de un usuario pendiente (invalida el enlace anterior)
+ * @access  Privado (permiso users:create)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('users:create') -> exige el permiso en el rol del usuario
+ */
+router.post('/:id/invitation/resend', verifyToken, requirePermission('users:create'), UserController.resendInvitation);
+
+/**
+ * @route   DELETE /api/users/:id/invitation
+ * @desc    Revocar la invitación pendiente de un usuario
+ * @access  Privado (permiso users:create)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('users:create') -> exige el permiso en el rol del usuario
+ */
+router.delete('/:id/invitation', verifyToken, requirePermission('users:create'), UserController.revokeInvitation);
+
+/**
+ * @route   DELETE /api/users/:id/2fa
+ * @desc    Resetear el enrolamiento 2FA de un usuario (dispositivo perdido)
+ * @access  Privado (permiso security:manage)
+ * @middleware verifyToken -> asegura sesión válida
+ * @middleware requirePermission('security:manage') -> exige el permiso en el rol del usuario
  */
-router.post('/sync', verifyToken, requireAdmin, UserController.syncUsersFromExcel);
+router.delete('/:id/2fa', verifyToken, requirePermission('security:manage'), TwoFactorController.resetUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,267 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de auditoría.
+ *
+ * - Guarda en audit_events quién (actor) hizo qué (action) sobre qué (target), con IP,
+ *   user agent y, para cambios de datos, el diff antes/después de los campos.
+ * - Las acciones siguen el formato 'dominio.accion' (ej. 'auth.login_failed', 'user.update').
+ * - Registrar un evento nunca hace fallar la petición: los errores solo van al log.
+ */
+
+//Campos que nunca se guardan en el diff (credenciales y marcas de tiempo)
+const EXCLUDED_FIELDS = ['password', 'twoFactorSecret', 'twoFactorLastStep', 'createdAt', 'updatedAt'];
+
+class AuditService {
+    /**
+     * Registra un evento de auditoría.
+     * @param {Request|null} req - petición de origen (IP, user agent y actor por defecto); null para procesos internos
+     * @param {string} action - ej. 'user.update'
+     * @param {Object} [details]
+     * @param {Object} [details.actor] - { type, id, label }; por defecto se deduce de req
+     * @param {string} [details.targetType] - ej. 'user'
+     * @param {number} [details.targetId]
+     * @param {Object} [details.before] - estado previo (se guarda solo el diff)
+     * @param {Object} [details.after] - estado posterior
+     * @param {Object} [details.metadata] - datos adicionales (motivo, contadores...)
+     * @returns {Promise<void>}
+     */
+    static async record(req, action, details = {}) {
+        try {
+            const actor = details.actor || AuditService.actorFromRequest(req);
+            const changes = details.before !== undefined || details.after !== undefined
+                ? AuditService.diff(details.before, details.after)
+                : null;
+
+            await new Promise((resolve, reject) => {
+                const db = database.getDb();
+                const query = `
+                    INSERT INTO audit_events
+                        (actor_type, actor_id, actor_label, action, target_type, target_id, changes, metadata, ip_address, user_agent)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `;
+
+                db.run(query, [
+                    actor.type,
+                    actor.id || null,
+                    actor.label || null,
+                    action,
+                    details.targetType || null,
+                    details.targetId || null,
+                    changes ? JSON.stringify(changes) : null,
+                    details.metadata ? JSON.stringify(details.metadata) : null,
+                    req ? req.ip : null,
+                    req ? req.get('User-Agent') || null : null
+                ], (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        } catch (error) {
+            logger.error('Failed to record audit event:', { action, error: error.message });
+        }
+    }
+
+    /**
+     * Deduce el actor de una petición: API key, usuario autenticado o anónimo.
+     * @param {Request|null} req
+     * @returns {{type: string, id: (number|null), label: (string|null)}}
+     */
+    static actorFromRequest(req) {
+        if (!req) {
+            return { type: 'system', id: null, label: null };
+        }
+
+        if (req.apiKey) {
+            return { type: 'api_key', id: req.apiKey.id, label: req.apiKey.name };
+        }
+
+        if (req.currentUser && req.currentUser.id) {
+            return { type: 'user', id: req.currentUser.id, label: req.currentUser.email };
+        }
+
+        if (req.user) {
+            return { type: 'user', id: req.user.id, label: req.user.email };
+        }
+
+        return { type: 'anonymous', id: null, label: null };
+    }
+
+    /**
+     * Actor para un usuario concreto (ej. quien inicia sesión, aún sin req.user).
+     * @param {User} user
+     * @returns {{type: string, id: number, label: string}}
+     */
+    static userActor(user) {
+        return { type: 'user', id: user.id, label: user.email };
+    }
+
+    /**
+     * Diff campo a campo entre dos estados, sin credenciales ni marcas de tiempo.
+     * @param {Object|null} before
+     * @param {Object|null} after
+     * @returns {Object|null} { campo: { from, to } }, o null si no hay cambios
+     */
+    static diff(before, after) {
+        const oldValues = AuditService.plain(before);
+        const newValues = AuditService.plain(after);
+        const changes = {};
+
+        const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+        for (const field of fields) {
+            if (EXCLUDED_FIELDS.includes(field)) {
+                continue;
+            }
+
+            const from = oldValues[field] === undefined ? null : oldValues[field];
+            const to = newValues[field] === undefined ? null : newValues[field];
+
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        }
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    /**
+     * Convierte un modelo (con toJSON) u objeto en un objeto plano.
+     * @param {Object|null} value
+     * @returns {Object}
+     */
+    static plain(value) {
+        if (!value) {
+            return {};
+        }
+        return typeof value.toJSON === 'function' ? value.toJSON() : { ...value };
+    }
+
+    /**
+     * Busca eventos con filtros y paginación (más recientes primero).
+     * @param {Object} filters - { actorType, actorId, action, targetType, targetId, ip, from, to }
+     *                           action admite prefijo con '*' (ej. 'auth.*')
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<{events: Array<Object>, total: number}>}
+     */
+    static async find(filters, { page, limit }) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.actorType) {
+            conditions.push('actor_type = ?');
+            params.push(filters.actorType);
+        }
+        if (filters.actorId) {
+            conditions.push('actor_id = ?');
+            params.push(filters.actorId);
+        }
+        if (filters.action) {
+            if (filters.action.endsWith('*')) {
+                conditions.push('action LIKE ?');
+                params.push(`${filters.action.slice(0, -1)}%`);
+            } else {
+                conditions.push('action = ?');
+                params.push(filters.action);
+            }
+        }
+        if (filters.targetType) {
+            conditions.push('target_type = ?');
+            params.push(filters.targetType);
+        }
+        if (filters.targetId) {
+            conditions.push('target_id = ?');
+            params.push(filters.targetId);
+        }
+        if (filters.ip) {
+            conditions.push('ip_address = ?');
+            params.push(filters.ip);
+        }
+        // created_at se guarda como 'YYYY-MM-DD HH:MM:SS' (UTC)
+        if (filters.from) {
+            conditions.push('created_at >= ?');
+            params.push(AuditService.toDbTimestamp(filters.from));
+        }
+        if (filters.to) {
+            conditions.push('created_at <= ?');
+            params.push(AuditService.toDbEndTimestamp(filters.to));
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const db = database.getDb();
+
+        const total = await new Promise((resolve, reject) => {
+            db.get(`SELECT COUNT(*) AS count FROM audit_events ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row.count);
+            });
+        });
+
+        const events = await new Promise((resolve, reject) => {
+            const query = `
+                SELECT * FROM audit_events ${where}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `;
+
+            db.all(query, [...params, limit, (page - 1) * limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(AuditService.toJSON));
+            });
+        });
+
+        return { events, total };
+    }
+
+    /**
+     * Convierte una fecha ISO al formato de CURRENT_TIMESTAMP de SQLite.
+     * @param {string} value
+     * @returns {string}
+     */
+    static toDbTimestamp(value) {
+        return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    /**
+     * Límite superior inclusivo: una fecha sin hora (YYYY-MM-DD) abarca todo ese día.
+     * @param {string} value
+     * @returns {string}
+     */
+    static toDbEndTimestamp(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} 23:59:59` : AuditService.toDbTimestamp(value);
+    }
+
+    /**
+     * Serializa una fila de audit_events.
+     * @param {Object} row
+     * @returns {Object}
+     */
+    static toJSON(row) {
+        return {
+            id: row.id,
+            actor: {
+                type: row.actor_type,
+                id: row.actor_id,
+                label: row.actor_label
+            },
+            action: row.action,
+            target: row.target_type ? { type: row.target_type, id: row.target_id } : null,
+            changes: row.changes ? JSON.parse(row.changes) : null,
+            metadata: row.metadata ? JSON.parse(row.metadata) : null,
+            ipAddress: row.ip_address,
+            userAgent: row.user_agent,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+//Carpeta de los avatares dentro de config.uploads.path
+const AVATAR_DIR = 'avatars';
+
+//Tipos de imagen aceptados: firma (magic bytes) -> extension
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/jpeg', extension: 'jpg', matches: (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { mimeType: 'image/png', extension: 'png', matches: (buffer) => buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/webp', extension: 'webp', matches: (buffer) => buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+/**
+ * Servicio de avatares de usuario.
+ *
+ * - El tipo se detecta por el contenido del archivo, no por el nombre ni el Content-Type del cliente.
+ * - Cada subida se guarda con un nombre nuevo (<userId>-<aleatorio>.<ext>), así una URL
+ *   antigua nunca sirve la imagen nueva desde una caché.
+ * - La ruta que se guarda en users.avatar_path es relativa a config.uploads.path.
+ */
+class AvatarService {
+    /**
+     * Detecta el tipo de imagen por sus primeros bytes.
+     * @param {Buffer} buffer
+     * @returns {{mimeType: string, extension: string}|null} null si no es un tipo aceptado
+     */
+    static detectImageType(buffer) {
+        const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+        return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+    }
+
+    /**
+     * Guarda un avatar en disco.
+     * @param {number} userId
+     * @param {Buffer} buffer - contenido ya validado con detectImageType
+     * @param {string} extension
+     * @returns {Promise<string>} ruta relativa a config.uploads.path (ej. 'avatars/12-9f3c....png')
+     */
+    static async save(userId, buffer, extension) {
+        const directory = path.resolve(config.uploads.path, AVATAR_DIR);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const fileName = `${userId}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+        await fs.promises.writeFile(path.join(directory, fileName), buffer);
+
+        return `${AVATAR_DIR}/${fileName}`;
+    }
+
+    /**
+     * Elimina un avatar guardado. Un archivo que ya no existe no es un error.
+     * @param {string|null} avatarPath - ruta relativa guardada en users.avatar_path
+     * @returns {Promise<void>}
+     */
+    static async remove(avatarPath) {
+        if (!avatarPath) {
+            return;
+        }
+
+        // Solo se borran archivos dentro de la carpeta de avatares
+        const directory = path.resolve(config.uploads.path, AVATAR_DIR);
+        const filePath = path.resolve(config.uploads.path, avatarPath);
+        if (path.dirname(filePath) !== directory) {
+            logger.warn('Refusing to remove avatar outside the avatars directory', { avatarPath });
+            return;
+        }
+
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Failed to remove avatar file:', { avatarPath, error: error.message });
+            }
+        }
+    }
+}
+
+module.exports = AvatarService;
@@ -0,0 +1,225 @@
+const database = require('../config/database');
+const User = require('../models/user');
+const Role = require('../models/role');
+const PasswordResetService = require('./passwordResetService');
+const ExcelOutboxService = require('./excelOutboxService');
+const AuditService = require('./auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de operaciones masivas sobre usuarios (POST /api/users/bulk).
+ *
+ * - Todas las operaciones corren en una sola transacción; cada elemento usa un SAVEPOINT,
+ *   así un fallo deshace solo ese elemento.
+ * - En modo atómico (all-or-nothing), si algún elemento falla se deshace la transacción completa.
+ * - Las filas del Excel se encolan con cada elemento (ExcelOutboxService), así un elemento deshecho
+ *   no llega al Excel; los correos de reset y la auditoría se aplican solo tras el COMMIT.
+ */
+
+//Acción -> permiso requerido (además de users:update para la ruta)
+const ACTION_PERMISSIONS = {
+    set_status: 'users:update',
+    set_role: 'roles:assign',
+    reset_password: 'users:update',
+    delete: 'users:delete'
+};
+
+//Error de un elemento: su mensaje va en el resultado de ese elemento
+class BulkItemError extends Error {}
+
+class BulkUserService {
+    /**
+     * Permisos que le faltan al usuario para ejecutar las operaciones pedidas.
+     * @param {Array<Object>} operations
+     * @param {User} currentUser
+     * @returns {string[]}
+     */
+    static missingPermissions(operations, currentUser) {
+        const required = new Set(operations.map(operation => ACTION_PERMISSIONS[operation.action]));
+        return [...required].filter(permission => !currentUser.hasPermission(permission));
+    }
+
+    /**
+     * Ejecuta las operaciones.
+     * @param {Request} req - petición de origen (auditoría)
+     * @param {Array<Object>} operations - [{ action, ids, status?, role? }]
+     * @param {Object} options - { atomic: boolean, currentUser: User }
+     * @returns {Promise<{committed: boolean, results: Array<Object>}>}
+     *          results: uno por (acción, id) con { action, id, success, message }; si se deshizo
+     *          la transacción, los elementos que sí habían funcionado llevan rolledBack: true
+     */
+    static async run(req, operations, { atomic, currentUser }) {
+        const results = [];
+        // Efectos a aplicar tras el COMMIT
+        const effects = { resetEmails: [], auditEvents: [] };
+
+        let committed = true;
+
+        try {
+            await database.transaction(async () => {
+                for (const operation of operations) {
+                    for (const id of [...new Set(operation.ids)]) {
+                        results.push(await BulkUserService.runItem(operation, id, currentUser, effects));
+                    }
+                }
+
+                // All-or-nothing: un fallo deshace todo (se lanza para que transaction haga ROLLBACK)
+                if (atomic && results.some(result => !result.success)) {
+                    throw new BulkItemError('Atomic bulk operation failed');
+                }
+            });
+        } catch (error) {
+            if (!(error instanceof BulkItemError)) {
+                throw error;
+            }
+            committed = false;
+
+            for (const result of results.filter(item => item.success)) {
+                result.success = false;
+                result.rolledBack = true;
+            }
+        }
+
+        if (committed) {
+            await BulkUserService.applyEffects(req, effects);
+        }
+
+        return { committed, results };
+    }
+
+    /**
+     * Ejecuta un elemento dentro de su SAVEPOINT.
+     * @param {Object} operation
+     * @param {number} id
+     * @param {User} currentUser
+     * @param {Object} effects - acumuladores de efectos post-commit
+     * @returns {Promise<Object>} resultado del elemento
+     */
+    static async runItem(operation, id, currentUser, effects) {
+        const result = { action: operation.action, id, success: false, message: null };
+
+        await database.exec('SAVEPOINT bulk_item');
+        try {
+            result.message = await BulkUserService.applyAction(operation, id, currentUser, effects);
+            result.success = true;
+            await database.exec('RELEASE bulk_item');
+        } catch (error) {
+            await database.exec('ROLLBACK TO bulk_item');
+            await database.exec('RELEASE bulk_item');
+
+            if (!(error instanceof BulkItemError)) {
+                logger.error('Bulk user operation failed:', { action: operation.action, userId: id, error: error.message });
+            }
+
+            result.success = false;
+            result.message = error instanceof BulkItemError ? error.message : 'Server error';
+        }
+
+        return result;
+    }
+
+    /**
+     * Aplica una acción sobre un usuario. Lanza BulkItemError si no se puede.
+     * @returns {Promise<string>} mensaje de éxito
+     */
+    static async applyAction(operation, id, currentUser, effects) {
+        const user = await User.findById(id);
+        if (!user) {
+            throw new BulkItemError('User not found');
+        }
+
+        if (await user.exceedsPermissionsOf(currentUser)) {
+            throw new BulkItemError('Cannot modify a user with more privileges than yours');
+        }
+
+        const before = user.toJSON();
+
+        switch (operation.action) {
+            case 'set_status': {
+                if (user.status === operation.status) {
+                    return 'Status unchanged';
+                }
+                if (user.status === 'pending') {
+                    throw new BulkItemError('User has not accepted the invitation yet');
+                }
+                if (operation.status !== 'active' && await user.isLastActiveAdmin()) {
+                    throw new BulkItemError('The last active admin cannot be deactivated');
+                }
+
+                await user.update({ status: operation.status });
+                await ExcelOutboxService.enqueueUpsert(user.id, user.email);
+                effects.auditEvents.push(['user.update', user.id, { before, after: { ...before, status: operation.status } }]);
+                return 'Status updated';
+            }
+
+            case 'set_role': {
+                if (user.role === operation.role) {
+                    return 'Role unchanged';
+                }
+                if (!(await Role.findByName(operation.role))) {
+                    throw new BulkItemError('Role does not exist');
+                }
+                if (await user.isLastActiveAdmin()) {
+                    throw new BulkItemError('The last active admin cannot be demoted');
+                }
+
+                await user.update({ role: operation.role });
+                await ExcelOutboxService.enqueueUpsert(user.id, user.email);
+                effects.auditEvents.push(['user.update', user.id, { before, after: { ...before, role: operation.role } }]);
+                return 'Role updated';
+            }
+
+            case 'reset_password': {
+                if (user.status !== 'active') {
+                    throw new BulkItemError('Only active users can reset their password');
+                }
+
+                const token = await PasswordResetService.createToken(user.id, null);
+                effects.resetEmails.push({ user, token });
+                effects.auditEvents.push(['auth.password_reset_requested', user.id, { metadata: { initiatedBy: 'admin' } }]);
+                return 'Password reset email queued';
+            }
+
+            case 'delete': {
+                if (await user.isLastActiveAdmin()) {
+                    throw new BulkItemError('The last active admin cannot be deleted');
+                }
+
+                await user.softDelete();
+                ExcelOutboxService.nudge();
+                effects.auditEvents.push(['user.delete', user.id, { metadata: { email: user.email, deletedAt: user.deletedAt } }]);
+                return 'User deleted';
+            }
+
+            default:
+                throw new BulkItemError('Unknown action');
+        }
+    }
+
+    /**
+     * Efectos tras el COMMIT: correos de reset y auditoría.
+     * Un fallo aquí no deshace la operación; solo se registra.
+     */
+    static async applyEffects(req, { resetEmails, auditEvents }) {
+        for (const { user, token } of resetEmails) {
+            try {
+                await PasswordResetService.sendResetEmail(user, token);
+            } catch (error) {
+                logger.error('Failed to send password reset email:', { userId: user.id, error: error.message });
+            }
+        }
+
+        for (const [action, targetId, details] of auditEvents) {
+            await AuditService.record(req, action, {
+                targetType: 'user',
+                targetId,
+                ...details,
+                metadata: { ...(details.metadata || {}), bulk: true }
+            });
+        }
+    }
+}
+
+BulkUserService.ACTIONS = Object.keys(ACTION_PERMISSIONS);
+
+module.exports = BulkUserService;
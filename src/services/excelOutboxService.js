@@ -0,0 +1,253 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const User = require('../models/user');
+const ExcelOutbox = require('../models/excelOutbox');
+const SyncSnapshot = require('../models/syncSnapshot');
+const excelService = require('./excelService');
+const logger = require('../utils/logger');
+
+/**
+ * Espejo BD -> Excel mediante una bandeja de salida (tabla excel_outbox).
+ *
+ * - Quien cambia un usuario agrega la escritura pendiente en la misma transacción (enqueueUpsert /
+ *   enqueueRemove): si el cambio se deshace, la escritura también.
+ * - El worker toma las entradas confirmadas, escribe el Excel una vez por lote con el estado actual
+ *   de cada usuario en la BD (aplicar dos veces la misma entrada da el mismo resultado) y las elimina.
+ *   Como ambos lados quedan iguales, esos valores pasan a ser los sincronizados (sync_snapshots): una edición
+ *   posterior del Excel se ve como cambio del Excel y no como conflicto.
+ *   Los usuarios borrados (deleted_at) no tienen fila: su borrado la quita y restaurarlos la vuelve a escribir.
+ *   Si la escritura falla se reintenta con espera creciente; tras outboxMaxAttempts queda 'failed'.
+ * - reconcile compara la BD con el Excel y, si se pide, encola lo necesario para igualarlos.
+ */
+
+//Entradas aplicadas por escritura del Excel
+const BATCH_SIZE = 200;
+
+//Campos de una fila que se comparan al reconciliar (el email es la clave); la contraseña solo si el Excel la lleva
+const MIRRORED_FIELDS = ['firstName', 'lastName', ...(config.excel.includePasswordHashes ? ['password'] : []), 'role', 'status', ...Object.keys(User.PROFILE_FIELDS)];
+
+//Ejecución en curso del worker (una a la vez) y si llegaron entradas mientras tanto
+let processing = null;
+let rerun = false;
+let timer = null;
+
+/**
+ * Valor de un campo para comparar: vacío -> null, el resto como texto.
+ * @param {*} value
+ * @returns {string|null}
+ */
+const toMirrorValue = (value) => (value === undefined || value === null || value === '') ? null : String(value).trim();
+
+class ExcelOutboxService {
+    /**
+     * Encola reescribir la fila de un usuario con su estado en la BD (llamar dentro de la transacción del cambio).
+     * @param {number} userId
+     * @param {string} email - email con el que figura en el Excel (el anterior si lo está cambiando)
+     * @returns {Promise<void>}
+     */
+    static async enqueueUpsert(userId, email) {
+        await ExcelOutbox.add({ operation: 'upsert', userId, email });
+        ExcelOutboxService.nudge();
+    }
+
+    /**
+     * Encola borrar la fila de un email (llamar dentro de la transacción del cambio).
+     * @param {string} email
+     * @returns {Promise<void>}
+     */
+    static async enqueueRemove(email) {
+        await ExcelOutbox.add({ operation: 'remove', email });
+        ExcelOutboxService.nudge();
+    }
+
+    /**
+     * Procesa la bandeja en cuanto quede libre el hilo. Corre fuera de la transacción de quien encoló
+     * (detach): su propia transacción espera en la cola al COMMIT de esa.
+     * @returns {void}
+     */
+    static nudge() {
+        database.detach(() => setImmediate(() => {
+            ExcelOutboxService.process().catch(error => logger.error('Excel outbox worker failed:', { error: error.message }));
+        }));
+    }
+
+    /**
+     * Aplica las entradas pendientes cuyo reintento ya toca. Si ya está corriendo, esa ejecución
+     * vuelve a mirar la bandeja al terminar.
+     * @returns {Promise<void>}
+     */
+    static process() {
+        if (processing) {
+            rerun = true;
+            return processing;
+        }
+
+        processing = (async () => {
+            try {
+                do {
+                    rerun = false;
+                    while (await ExcelOutboxService.processBatch()) {
+                        // lote completo: puede haber más
+                    }
+                } while (rerun);
+            } finally {
+                processing = null;
+            }
+        })();
+
+        return processing;
+    }
+
+    /**
+     * Aplica un lote de entradas con una sola escritura del Excel.
+     * @returns {Promise<boolean>} true si el lote estaba completo y se aplicó (puede haber más)
+     */
+    static async processBatch() {
+        // Dentro de una transacción: espera a que terminen las que están en curso, así solo se ven entradas confirmadas
+        const entries = await database.transaction(() => ExcelOutbox.findDue(BATCH_SIZE));
+        if (entries.length === 0) {
+            return false;
+        }
+
+        const ids = entries.map(entry => entry.id);
+
+        try {
+            const changes = [];
+            const mirrored = new Map();
+            for (const entry of entries) {
+                const user = entry.operation === 'upsert' ? await User.findById(entry.userId) : null;
+                // Un usuario que ya no existe (borrado o purgado) se borra del Excel
+                changes.push(user
+                    ? { emails: [entry.email, user.email], row: excelService.userToRow(user) }
+                    : { emails: [entry.email], row: null });
+                if (user) {
+                    mirrored.set(user.id, SyncSnapshot.valuesOf(user));
+                }
+            }
+
+            await excelService.applyUserRows(changes);
+            await ExcelOutbox.remove(ids);
+            await SyncSnapshot.saveAll([...mirrored].map(([userId, fields]) => ({ userId, fields })));
+            return entries.length === BATCH_SIZE;
+        } catch (error) {
+            logger.error('Excel outbox write failed:', { entries: ids.length, error: error.message });
+            await ExcelOutbox.markFailed(ids, error.message, {
+                maxAttempts: config.excel.outboxMaxAttempts,
+                retryDelay: config.excel.outboxRetryDelay
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Arranca el worker: procesa lo que quedó pendiente y revisa la bandeja cada outboxPollInterval segundos (reintentos).
+     * @returns {void}
+     */
+    static start() {
+        if (timer) {
+            return;
+        }
+
+        timer = setInterval(() => ExcelOutboxService.nudge(), config.excel.outboxPollInterval * 1000);
+        timer.unref();
+        ExcelOutboxService.nudge();
+    }
+
+    /**
+     * Detiene las revisiones periódicas (apagado ordenado).
+     * @returns {void}
+     */
+    static stop() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    /**
+     * Compara todos los usuarios de la BD con las filas del Excel.
+     * Con repair encola, en una transacción, lo necesario para que el Excel refleje la BD (la BD manda:
+     * las filas sin usuario se borran) y vuelve a poner en cola las escrituras fallidas.
+     * @param {Object} options - { repair: boolean }
+     * @returns {Promise<Object>} { summary, differences: [{ email, type, userId?, fields? }], outbox, repair? }
+     *          type: 'missing_in_sheet', 'missing_in_db', 'mismatch' o 'duplicate'
+     */
+    static async reconcile({ repair }) {
+        const rows = excelService.loadUsers().filter(row => toMirrorValue(row.email));
+        // Los usuarios borrados no están en el espejo
+        const users = (await User.findAll()).filter(user => !user.deletedAt);
+
+        const rowsByEmail = new Map();
+        for (const row of rows) {
+            const email = toMirrorValue(row.email).toLowerCase();
+            rowsByEmail.set(email, [...(rowsByEmail.get(email) || []), row]);
+        }
+
+        const differences = [];
+        const usersByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+
+        for (const [email, user] of usersByEmail) {
+            const matches = rowsByEmail.get(email);
+            if (!matches) {
+                differences.push({ email, type: 'missing_in_sheet', userId: user.id });
+                continue;
+            }
+            if (matches.length > 1) {
+                differences.push({ email, type: 'duplicate', userId: user.id });
+                continue;
+            }
+
+            const fields = {};
+            for (const field of MIRRORED_FIELDS) {
+                const dbValue = toMirrorValue(user[field]);
+                const sheetValue = toMirrorValue(matches[0][field]);
+                if (dbValue !== sheetValue) {
+                    // Los hashes de contraseña no se muestran
+                    fields[field] = field === 'password' ? { db: '[hidden]', sheet: '[hidden]' } : { db: dbValue, sheet: sheetValue };
+                }
+            }
+            if (Object.keys(fields).length > 0) {
+                differences.push({ email, type: 'mismatch', userId: user.id, fields });
+            }
+        }
+
+        for (const [email, matches] of rowsByEmail) {
+            if (!usersByEmail.has(email)) {
+                differences.push({ email, type: matches.length > 1 ? 'duplicate' : 'missing_in_db' });
+            }
+        }
+
+        const count = type => differences.filter(difference => difference.type === type).length;
+        const report = {
+            summary: {
+                users: users.length,
+                rows: rows.length,
+                missingInSheet: count('missing_in_sheet'),
+                missingInDb: count('missing_in_db'),
+                mismatch: count('mismatch'),
+                duplicate: count('duplicate')
+            },
+            differences,
+            outbox: await ExcelOutbox.countByStatus()
+        };
+
+        if (repair) {
+            report.repair = await database.transaction(async () => {
+                for (const difference of differences) {
+                    if (difference.userId) {
+                        await ExcelOutbox.add({ operation: 'upsert', userId: difference.userId, email: difference.email });
+                    } else {
+                        await ExcelOutbox.add({ operation: 'remove', email: difference.email });
+                    }
+                }
+
+                return { queued: differences.length, retried: await ExcelOutbox.retryFailed() };
+            });
+            ExcelOutboxService.nudge();
+        }
+
+        return report;
+    }
+}
+
+module.exports = ExcelOutboxService;
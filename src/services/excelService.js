@@ -2,16 +2,75 @@ const xlsx = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config/config')
+const DEFAULT_MAPPING = require('../config/excelMapping');
+
+//Campos de perfil (texto o null)
+const PROFILE_FIELDS = ['phone', 'documentNumber', 'employeeCode', 'licenseNumber', 'licenseExpiresAt', 'preferredLanguage', 'depot'];
+
+//Campos de una fila en memoria (camelCase), en el orden de las columnas de una hoja nueva
+const ROW_FIELDS = ['firstName', 'lastName', 'email', 'password', 'role', 'status', ...PROFILE_FIELDS, 'createdAt', 'updatedAt'];
+
+/**
+ * Campos que se escriben: sin la contraseña salvo config.excel.includePasswordHashes (el Excel no lleva credenciales).
+ * @returns {string[]}
+ */
+const writtenFields = () => config.excel.includePasswordHashes ? ROW_FIELDS : ROW_FIELDS.filter(field => field !== 'password');
+
+/**
+ * Clave para comparar cabeceras y valores del mapeo: sin mayúsculas, acentos, espacios, guiones ni guiones bajos.
+ * @param {*} value
+ * @returns {string}
+ */
+const toMatchKey = (value) => String(value).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Fila en memoria que reemplaza a otra: conserva la hoja y las columnas no mapeadas de la anterior.
+ * @param {Object} row
+ * @param {Object|null} previous
+ * @returns {Object}
+ */
+const keepPlacement = (row, previous) => previous ? { ...row, sheet: previous.sheet, extraColumns: previous.extraColumns } : row;
+
+/**
+ * Valor de una celda de perfil como texto (Excel guarda telefonos o documentos como numeros);
+ * vacio -> null.
+ * @param {*} value
+ * @returns {string|null}
+ */
+const toProfileValue = (value) => (value === undefined || value === null || value === '') ? null : String(value).trim();
+
+/**
+ * Fecha de la BD (CURRENT_TIMESTAMP de SQLite, UTC sin zona) como ISO string.
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+const toIsoTimestamp = (value) => {
+    if (!value) {
+        return null;
+    }
+    const text = String(value);
+    return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text).toISOString();
+};
+
+//Nombre de una copia de seguridad: <nombre del Excel>-<fecha UTC>.xlsx (ej. users-20240105T093000123Z.xlsx)
+const BACKUP_NAME_PATTERN = /^[\w-]+-\d{8}T\d{9}Z(-\d+)?\.xlsx$/;
 
 /**
  * servicio para leer y escribir usuarios en un archivo Excel (.xlsx).
  * - Cea el archivo y la carpeta si no existen.
  * - Lee usuarios desde la primera hoja.
- * - Escribe/actualiza usuarios manteniendo el esquema esperado
+ * - Escribe/actualiza usuarios manteniendo el esquema esperado: los cambios de usuarios llegan solo por
+ *   applyUserRows (bandeja de salida, ExcelOutboxService) o, al sincronizar, por writeUsersToExcel.
+ * - Las lecturas-modificaciones-escrituras se serializan con withLock (una a la vez por proceso).
+ * - Cada escritura se hace en un archivo temporal que luego reemplaza al Excel (rename): si el proceso
+ *   se cae a mitad, el archivo anterior queda intacto. Antes de reemplazarlo se guarda una copia en
+ *   config.excel.backupDir y se conservan las últimas config.excel.backupCount.
  * 
  * NOTAS:
- * - Este servicio asume que el excel usa campos snake_Case (first_name, last_name)...
- * - Internamente convierte  entre snale_case (Excel) y camLCase (en memoria)
+ * - Las cabeceras, los valores ('Activo' -> active) y las hojas que se leen salen del mapeo (getMapping):
+ *   por defecto first_name/last_name... o sus equivalentes en español, en la primera hoja.
+ * - Internamente convierte entre las columnas del Excel y camelCase (en memoria); cada fila recuerda su hoja
+ *   y las columnas que no son de usuario, y al reescribirla se conservan.
  * - Las fechas se manejan como ISO strings (createdAt /updatedAt) 
  */
 
@@ -19,12 +78,124 @@ class ExcelService {
     constructor() {
         //Ruta al Excel definida en config.excel.path 
         this.excelPath = config.excel.path;
+        //mtime del archivo tras la ultima escritura de este servicio (para ignorar los propios cambios al vigilarlo)
+        this.lastWriteMtimeMs = null;
+        //cola que evita que dos lecturas-escrituras del archivo se mezclen
+        this.lockQueue = Promise.resolve();
+        //mapeo de columnas, valores y hojas (se carga al primer uso)
+        this.mapping = null;
+    }
+
+    /**
+     * Mapeo de columnas, valores y hojas: el de config/excelMapping.js más el JSON de config.excel.mappingPath.
+     * Lanza si el JSON no se puede leer o nombra un campo que no existe: es preferible no tocar el archivo a leerlo
+     * con otro mapeo (las filas de las hojas que no se leyeron parecerían usuarios borrados).
+     * @returns {Object} { fieldsByHeader, headers, readValues, writeValues, sheets }
+     */
+    getMapping() {
+        if (this.mapping) {
+            return this.mapping;
+        }
+
+        const custom = config.excel.mappingPath ? JSON.parse(fs.readFileSync(config.excel.mappingPath, 'utf8')) : {};
+        const sheets = (custom.sheets || DEFAULT_MAPPING.sheets).map(sheet => typeof sheet === 'string' ? { name: sheet } : sheet);
+
+        for (const field of [
+            ...Object.keys(custom.columns || {}),
+            ...Object.keys(custom.values || {}),
+            ...sheets.flatMap(sheet => Object.keys(sheet.defaults || {}))
+        ]) {
+            if (!ROW_FIELDS.includes(field)) {
+                throw new Error(`Unknown user field '${field}' in the Excel mapping`);
+            }
+        }
+
+        const fieldsByHeader = new Map();
+        const headers = {};
+        const readValues = {};
+        const writeValues = {};
+
+        for (const field of ROW_FIELDS) {
+            const aliases = [...(custom.columns?.[field] || []), ...DEFAULT_MAPPING.columns[field], field];
+            headers[field] = aliases[0];
+            for (const alias of aliases) {
+                if (!fieldsByHeader.has(toMatchKey(alias))) {
+                    fieldsByHeader.set(toMatchKey(alias), field);
+                }
+            }
+
+            // Los valores propios pisan a los incluidos al leer y van primero al escribir
+            const values = [...Object.entries(custom.values?.[field] || {}), ...Object.entries(DEFAULT_MAPPING.values[field] || {})];
+            readValues[field] = new Map();
+            writeValues[field] = new Map();
+            for (const [sheetValue, value] of values) {
+                if (!readValues[field].has(toMatchKey(sheetValue))) {
+                    readValues[field].set(toMatchKey(sheetValue), value);
+                }
+                if (!writeValues[field].has(value)) {
+                    writeValues[field].set(value, sheetValue);
+                }
+            }
+        }
+
+        const translate = (field, value) => typeof value === 'string' && readValues[field].has(toMatchKey(value)) ? readValues[field].get(toMatchKey(value)) : value;
+
+        this.mapping = {
+            fieldsByHeader,
+            headers,
+            readValues: translate,
+            writeValues: (custom.writeValues ?? DEFAULT_MAPPING.writeValues)
+                ? (field, value) => writeValues[field].has(value) ? writeValues[field].get(value) : value
+                : (field, value) => value,
+            sheets: sheets.map(sheet => ({
+                name: String(sheet.name),
+                defaults: Object.fromEntries(Object.entries(sheet.defaults || {}).map(([field, value]) => [field, translate(field, value)]))
+            }))
+        };
+
+        return this.mapping;
+    }
+
+    /**
+     * Hojas que se leen y escriben: las del mapeo o, si no hay, la primera del archivo.
+     * @param {Object} workbook
+     * @returns {Array<{name: string, defaults: Object}>}
+     */
+    getSheets(workbook) {
+        const { sheets } = this.getMapping();
+        return sheets.length > 0 ? sheets : [{ name: workbook.SheetNames[0] || 'Users', defaults: {} }];
+    }
+
+    /**
+     * Hoja para una fila que aún no está en ninguna: la primera cuyos defaults coinciden con ella, o la primera.
+     * @param {Object} user - fila en memoria
+     * @param {Array<{name: string, defaults: Object}>} sheets
+     * @returns {{name: string, defaults: Object}}
+     */
+    sheetFor(user, sheets) {
+        return sheets.find(sheet => Object.keys(sheet.defaults).length > 0
+            && Object.entries(sheet.defaults).every(([field, value]) => user[field] === value)) || sheets[0];
+    }
+
+    /**
+     * Ejecuta work con el archivo bloqueado: espera a que terminen las anteriores y las siguientes esperan a esta.
+     * No es reentrante: work no debe volver a llamar a withLock (ni a los métodos que lo usan).
+     * @param {function(): Promise<T>|T} work
+     * @returns {Promise<T>} lo que devuelva work
+     * @template T
+     */
+    withLock(work) {
+        const result = this.lockQueue.then(() => work());
+
+        //La cola sigue aunque este trabajo falle
+        this.lockQueue = result.catch(() => {});
+        return result;
     }
 
     /**
      * Asegura que exista la carpeta destino y el archivo de Excel
      * - Si no existe la carpeta, la crea (recursivo).
-     * - Si no existe el archivo, crear un workbook con una hoja "Users" vacia.
+     * - Si no existe el archivo, crear un workbook con las hojas del mapeo (o una hoja "Users") con solo las cabeceras.
      */
     ensureExcelFile() {
         const dir = path.dirname(this.excelPath);
@@ -37,66 +208,137 @@ class ExcelService {
         //crea el archivo Excel si no existe
         if (!fs.existsSync(this.excelPath)) {
             const workbook = xlsx.utils.book_new();
+            const { headers } = this.getMapping();
 
-            // Inicializamos con headers vacíos
-            const headers = [{
-                id: "",
-                first_name: "",
-                last_name: "",
-                email: "",
-                password: "",
-                role: "",
-                status: "",
-                login_attempts:"",
-                locked_until:"",
-                created_at: "",
-                updated_at: ""
-            }];
-
-            //Hoja vacia
-            const worksheet = xlsx.utils.json_to_sheet(headers, { skipHeader: false });
-            xlsx.utils.book_append_sheet(workbook, worksheet, 'Users');
-            xlsx.writeFile(workbook, this.excelPath)
+            //Hojas vacias, solo con las cabeceras
+            for (const sheet of this.getSheets(workbook)) {
+                const worksheet = xlsx.utils.aoa_to_sheet([writtenFields().map(field => headers[field])]);
+                xlsx.utils.book_append_sheet(workbook, worksheet, sheet.name);
+            }
+            this.replaceExcelFile(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
         }
     }
 
     /**
-     ** Lee usuarios desde el Excel (primera hoja).
+     * Reemplaza el Excel de forma atómica: escribe el contenido en un temporal de la misma carpeta,
+     * lo fuerza a disco y lo renombra sobre el archivo (el rename reemplaza de una vez).
+     * @param {Buffer} buffer - contenido del nuevo .xlsx
+     * @returns {void}
+     */
+    replaceExcelFile(buffer) {
+        const tempPath = path.join(path.dirname(this.excelPath), `.${path.basename(this.excelPath)}.${process.pid}.tmp`);
+
+        try {
+            const fd = fs.openSync(tempPath, 'w');
+            try {
+                fs.writeSync(fd, buffer);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            fs.renameSync(tempPath, this.excelPath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        }
+
+        this.lastWriteMtimeMs = fs.statSync(this.excelPath).mtimeMs;
+    }
+
+    /**
+     * Copia el Excel actual a config.excel.backupDir y borra las copias más antiguas que backupCount.
+     * Con backupCount 0 no se guardan copias.
+     * @returns {string|null} nombre de la copia creada
+     */
+    backupExcelFile() {
+        if (config.excel.backupCount <= 0 || !fs.existsSync(this.excelPath)) {
+            return null;
+        }
+
+        fs.mkdirSync(config.excel.backupDir, { recursive: true });
+
+        const baseName = path.basename(this.excelPath, path.extname(this.excelPath));
+        const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+        let name = `${baseName}-${timestamp}.xlsx`;
+        for (let i = 1; fs.existsSync(path.join(config.excel.backupDir, name)); i++) {
+            name = `${baseName}-${timestamp}-${i}.xlsx`;
+        }
+
+        fs.copyFileSync(this.excelPath, path.join(config.excel.backupDir, name));
+
+        for (const backup of this.listBackups().slice(config.excel.backupCount)) {
+            fs.rmSync(path.join(config.excel.backupDir, backup.name), { force: true });
+        }
+
+        return name;
+    }
+
+    /**
+     * Copias de seguridad del Excel, de la más reciente a la más antigua.
+     * @returns {Array<{name: string, size: number, createdAt: string}>}
+     */
+    listBackups() {
+        if (!fs.existsSync(config.excel.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(config.excel.backupDir)
+            .filter(name => BACKUP_NAME_PATTERN.test(name))
+            .map(name => {
+                const stats = fs.statSync(path.join(config.excel.backupDir, name));
+                return { name, size: stats.size, createdAt: stats.mtime.toISOString() };
+            })
+            // El nombre lleva la fecha (y un sufijo si hubo dos en el mismo milisegundo): sin la extensión, el orden alfabético es el cronológico
+            .sort((a, b) => {
+                const [keyA, keyB] = [a.name, b.name].map(name => name.slice(0, -'.xlsx'.length));
+                return keyA < keyB ? 1 : keyA > keyB ? -1 : 0;
+            });
+    }
+
+    /**
+     * Vuelve el Excel a una copia de seguridad. El archivo actual se guarda antes como una copia más.
+     * Se considera una escritura propia: no dispara la sincronización por cambios del archivo.
+     * @param {string} name - nombre de la copia (ver listBackups)
+     * @returns {Promise<Object|null>} { restored, backup } o null si no existe esa copia
+     * @throws {Error} si la copia no es un Excel legible
+     */
+    async restoreBackup(name) {
+        return this.withLock(() => {
+            if (!BACKUP_NAME_PATTERN.test(name) || !fs.existsSync(path.join(config.excel.backupDir, name))) {
+                return null;
+            }
+
+            const buffer = fs.readFileSync(path.join(config.excel.backupDir, name));
+            // Comprobar que es un .xlsx legible antes de reemplazar el archivo (xlsx.read aceptaría cualquier texto como CSV)
+            if (buffer.subarray(0, 2).toString() !== 'PK') {
+                throw new Error('The backup is not a valid .xlsx file');
+            }
+            xlsx.read(buffer, { type: 'buffer' });
+
+            const backup = this.backupExcelFile();
+            this.replaceExcelFile(buffer);
+            return { restored: name, backup };
+        });
+    }
+
+    /**
+     ** Lee usuarios desde el Excel (las hojas del mapeo, por defecto la primera).
         * @returns {Array<Object>} Lista de usuarios normalizados a camelCase.
         *
-        * Mapea columnas del Excel:
-        *  - first_name/firstName -> firstName
-        *  - last_name/lastName   -> lastName
-        *  - email                -> email
-        *  - password             -> password (se asume previamente hasheada)
-        *  - role/status          -> role/status (con defaults)
-        *  - created_at/createdAt -> createdAt
-        *  - updated_at/updatedAt -> updatedAt
+        * Mapea columnas del Excel según getMapping (ej. first_name/Nombre -> firstName, Correo -> email):
+        *  - password             -> password (como viene; la sincronización la interpreta según config.excel.passwordMode)
+        *  - role/status          -> role/status traducidos ('Activo' -> active); vacíos: los defaults de la hoja, o user/active
+        *  - phone, document_number, employee_code, license_number,
+        *    license_expires_at, preferred_language, depot -> campos de perfil (texto o null; depot vacío: el default de la hoja)
+        *  - created_at/updated_at -> createdAt/updatedAt
+        *  - sheet: hoja de la fila; extraColumns: sus columnas no mapeadas (se conservan al escribir)
+        * Las filas sin email (vacías, notas, totales) no son usuarios: vuelven como { sheet, unmatched: true, cells }
+        * (cabecera -> valor) para que al reescribir la hoja queden tal cual y en su lugar.
      */
 
     readUsersFromExcel() {
         try {
-            this.ensureExcelFile();
-
-            const workbook = xlsx.readFile(this.excelPath);
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-
-            // Convierte la hoja a objetos JS (una fila por usuario)
-            const users = xlsx.utils.sheet_to_json(worksheet);
-
-            // Normaliza a nuestro esquema en memoria (camelCase)
-            return users.map(user => ({
-                firstName: user.first_name || user.firstName,
-                lastName: user.last_name || user.lastName,
-                email: user.email,
-                // Se asume que la contraseña ya viene hasheada en el Excel
-                password: user.password,
-                role: user.role || 'user',
-                status: user.status || 'active',
-                createdAt: user.created_at || user.createdAt,
-                updatedAt: user.updated_at || user.updatedAt
-            }));
+            return this.loadUsers();
         } catch (error) {
             console.error('Error reading Excel file:', error);
             return [];
@@ -104,36 +346,167 @@ class ExcelService {
     }
 
     /**
-   * Escribe la lista completa de usuarios al Excel (sobrescribe el archivo).
+     * Igual que readUsersFromExcel pero lanza si el archivo no se puede leer
+     * (para reescribirlo sin arriesgarse a perder las filas que no se pudieron leer).
+     * @returns {Array<Object>}
+     */
+    loadUsers() {
+        this.ensureExcelFile();
+
+        const mapping = this.getMapping();
+        const workbook = xlsx.readFile(this.excelPath);
+        const users = [];
+
+        for (const sheet of this.getSheets(workbook)) {
+            const worksheet = workbook.Sheets[sheet.name];
+            if (!worksheet) {
+                // Hoja del mapeo que aún no existe: se crea al escribir
+                continue;
+            }
+
+            // Convierte la hoja a filas de celdas; la primera son las cabeceras
+            const [headers = [], ...rows] = xlsx.utils.sheet_to_json(worksheet, { header: 1, defval: null });
+            const fields = headers.map(header => header === null ? null : mapping.fieldsByHeader.get(toMatchKey(header)));
+
+            for (const cells of rows) {
+                const values = {};
+                const extraColumns = {};
+                const original = {};
+                cells.forEach((value, index) => {
+                    if (value === null || value === '' || headers[index] === null || headers[index] === undefined) {
+                        return;
+                    }
+                    original[headers[index]] = value;
+                    if (!fields[index]) {
+                        extraColumns[headers[index]] = value;
+                    } else if (values[fields[index]] === undefined) {
+                        values[fields[index]] = value;
+                    }
+                });
+
+                users.push(values.email === undefined
+                    ? { sheet: sheet.name, unmatched: true, cells: original }
+                    : this.toUser(values, sheet, extraColumns));
+            }
+        }
+
+        return users;
+    }
+
+    /**
+     * Normaliza una fila leída a nuestro esquema en memoria (camelCase).
+     * @param {Object} values - campo -> valor de la celda (solo las no vacías)
+     * @param {{name: string, defaults: Object}} sheet
+     * @param {Object} extraColumns - cabecera -> valor de las columnas no mapeadas
+     * @returns {Object}
+     */
+    toUser(values, sheet, extraColumns) {
+        const { readValues } = this.getMapping();
+        const value = field => values[field] !== undefined ? readValues(field, values[field]) : sheet.defaults[field];
+
+        return {
+            firstName: value('firstName'),
+            lastName: value('lastName'),
+            email: value('email'),
+            // Hash o texto plano según config.excel.passwordMode (lo decide ExcelSyncService.credentialsFor)
+            password: value('password'),
+            role: value('role') || 'user',
+            status: value('status') || 'active',
+            ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, toProfileValue(value(field))])),
+            createdAt: value('createdAt'),
+            updatedAt: value('updatedAt'),
+            sheet: sheet.name,
+            extraColumns
+        };
+    }
+
+    /**
+   * Escribe la lista completa de usuarios al Excel (sobrescribe el archivo de forma atómica, tras guardar una copia).
+   * Quien lee, modifica y escribe debe hacerlo dentro de withLock.
    * @param {Array<Object>} users - Usuarios en memoria (camelCase).
    * @returns {boolean} true si se pudo escribir, false si falló.
    *
-   * Transformación a Excel (snake_case) antes de escribir:
-   *  - firstName -> first_name
-   *  - lastName  -> last_name
-   *  - createdAt -> created_at
-   *  - updatedAt -> updated_at
+   * Transformación a Excel antes de escribir:
+   *  - cada fila va a su hoja (sheet) o, si no tiene, a la que indique sheetFor
+   *  - la contraseña no se escribe (y su columna se quita) salvo config.excel.includePasswordHashes
+   *  - cada campo con la cabecera que ya usa esa hoja (ej. Nombre) o la primera del mapeo (first_name)
+   *  - con writeValues, los valores traducidos (active -> Activo)
+   *  - las columnas no mapeadas de cada fila (extraColumns) y las hojas que no son del mapeo se conservan
+   *  - las filas sin email (unmatched, ver readUsersFromExcel) se escriben como se leyeron
    */
     writeUsersToExcel(users) {
         try {
             this.ensureExcelFile();
 
-            // Mapea a snake_case para almacenar en Excel
-            const excelData = users.map(user => ({
-                first_name: user.firstName,
-                last_name: user.lastName,
-                email: user.email,
-                password: user.password,
-                role: user.role,
-                status: user.status,
-                created_at: user.createdAt,
-                updated_at: user.updatedAt
-            }));
+            const mapping = this.getMapping();
+            const fields = writtenFields();
+            // Se parte del archivo actual: conserva las otras hojas y las cabeceras de cada una
+            const workbook = xlsx.readFile(this.excelPath);
+            const sheets = this.getSheets(workbook);
 
-            const workbook = xlsx.utils.book_new();
-            const worksheet = xlsx.utils.json_to_sheet(excelData);
-            xlsx.utils.book_append_sheet(workbook, worksheet, 'Users');
-            xlsx.writeFile(workbook, this.excelPath);
+            const usersBySheet = new Map(sheets.map(sheet => [sheet.name, []]));
+            for (const user of users) {
+                usersBySheet.get(usersBySheet.has(user.sheet) ? user.sheet : this.sheetFor(user, sheets).name).push(user);
+            }
+
+            for (const sheet of sheets) {
+                const existing = workbook.Sheets[sheet.name];
+                const [currentHeaders = []] = existing ? xlsx.utils.sheet_to_json(existing, { header: 1, defval: null }) : [];
+
+                // Cabecera de cada campo: la que ya usa la hoja o, si no la tiene, la del mapeo
+                const headerOf = {};
+                const keptHeaders = [];
+                for (const header of currentHeaders.filter(header => header !== null)) {
+                    const field = mapping.fieldsByHeader.get(toMatchKey(header));
+                    if (field && !fields.includes(field)) {
+                        continue;
+                    }
+                    keptHeaders.push(String(header));
+                    if (field && !headerOf[field]) {
+                        headerOf[field] = String(header);
+                    }
+                }
+                for (const field of fields) {
+                    headerOf[field] = headerOf[field] || mapping.headers[field];
+                }
+
+                const excelData = usersBySheet.get(sheet.name).map(user => {
+                    if (user.unmatched) {
+                        // Tal cual, sin las celdas de campos que ya no se escriben (la contraseña)
+                        return Object.fromEntries(Object.entries(user.cells).filter(([header]) => {
+                            const field = mapping.fieldsByHeader.get(toMatchKey(header));
+                            return !field || fields.includes(field);
+                        }));
+                    }
+
+                    const row = {};
+                    for (const field of fields) {
+                        const value = mapping.writeValues(field, user[field]);
+                        row[headerOf[field]] = value === undefined || value === '' ? null : value;
+                    }
+                    return { ...user.extraColumns, ...row };
+                });
+
+                // Columnas en el orden actual de la hoja y después las que falten
+                const columns = new Set([
+                    ...keptHeaders,
+                    ...fields.map(field => headerOf[field]),
+                    ...excelData.flatMap(row => Object.keys(row))
+                ]);
+                const worksheet = xlsx.utils.json_to_sheet(excelData, { header: [...columns] });
+
+                if (existing) {
+                    workbook.Sheets[sheet.name] = worksheet;
+                } else {
+                    xlsx.utils.book_append_sheet(workbook, worksheet, sheet.name);
+                }
+            }
+
+            const buffer = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+            // Sin copia no se reemplaza el archivo
+            this.backupExcelFile();
+            this.replaceExcelFile(buffer);
 
             return true;
         } catch (error) {
@@ -143,59 +516,54 @@ class ExcelService {
     }
 
     /**
-   * Agrega un usuario al Excel.
-   * @param {Object} userData - Datos del usuario (camelCase). La contraseña debe venir hasheada.
-   * @returns {Promise<boolean>} true si se escribió correctamente.
+   * Reemplaza o elimina filas con una sola lectura y una sola escritura (bandeja de salida).
+   * Lanza si el archivo no se puede leer o escribir, para que el cambio se reintente.
+   * @param {Array<{emails: string[], row: (Object|null)}>} changes - las filas de cualquiera de esos
+   *        emails se reemplazan por row (en la posición de la primera, o al final si no había) o se eliminan si row es null.
+   * @returns {Promise<void>}
    */
-    async addUserToExcel(userData) {
-        try {
-            const existingUsers = this.readUsersFromExcel();
-
-            existingUsers.push({
-                firstName: userData.firstName,
-                lastName: userData.lastName,
-                email: userData.email,
-                // IMPORTANTE: Debe ser hash, no texto plano
-                password: userData.password,
-                role: userData.role,
-                status: userData.status,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            });
+    async applyUserRows(changes) {
+        return this.withLock(() => {
+            const users = this.loadUsers();
 
-            return this.writeUsersToExcel(existingUsers);
-        } catch (error) {
-            console.error('Error adding user to Excel:', error);
-            return false;
-        }
-    }
+            for (const { emails, row } of changes) {
+                const keys = emails.map(email => String(email).toLowerCase());
+                const matches = user => user.email && keys.includes(String(user.email).toLowerCase());
 
-    /**
-   * Actualiza un usuario en el Excel identificado por su correo.
-   * @param {string} email - Email del usuario a actualizar.
-   * @param {Object} updateData - Campos a actualizar (camelCase).
-   * @returns {Promise<boolean>} true si se actualizó, false si no se encontró.
-   */
-    async updateUserInExcel(email, updateData) {
-        try {
-            const users = this.readUsersFromExcel();
-            const userIndex = users.findIndex(user => user.email === email);
-
-            if (userIndex === -1) {
-                return false;
+                const index = users.findIndex(matches);
+                const remaining = users.filter(user => !matches(user));
+                if (row) {
+                    // En la hoja y con las otras columnas de la fila que reemplaza
+                    remaining.splice(index === -1 ? remaining.length : index, 0, keepPlacement(row, users[index] || null));
+                }
+                users.splice(0, users.length, ...remaining);
             }
 
-            users[userIndex] = {
-                ...users[userIndex],
-                ...updateData,
-                updatedAt: new Date().toISOString()
-            };
+            if (!this.writeUsersToExcel(users)) {
+                throw new Error('Failed to write the Excel file');
+            }
+        });
+    }
 
-            return this.writeUsersToExcel(users);
-        } catch (error) {
-            console.error('Error updating user in Excel:', error);
-            return false;
-        }
+    /**
+   * Fila del Excel con el estado de un usuario de la BD (con su updated_at, no la hora de escritura).
+   * @param {User} user
+   * @param {Object|null} [previous] - fila que reemplaza (se conservan su hoja y sus otras columnas)
+   * @returns {Object} usuario en memoria (camelCase)
+   */
+    userToRow(user, previous = null) {
+        return keepPlacement({
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            // Hash de la BD (null en usuarios invitados); solo se escribe con config.excel.includePasswordHashes
+            password: user.password,
+            role: user.role,
+            status: user.status,
+            ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, user[field] || null])),
+            createdAt: toIsoTimestamp(user.createdAt),
+            updatedAt: toIsoTimestamp(user.updatedAt)
+        }, previous);
     }
 
 }
@@ -0,0 +1,542 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+const config = require('../config/config');
+const User = require('../models/user');
+const SyncRun = require('../models/syncRun');
+const SyncSnapshot = require('../models/syncSnapshot');
+const excelService = require('./excelService');
+const ExcelOutboxService = require('./excelOutboxService');
+const AuditService = require('./auditService');
+const UserImportService = require('./userImportService');
+const InvitationService = require('./invitationService');
+const PasswordPolicyService = require('./passwordPolicyService');
+const logger = require('../utils/logger');
+
+/**
+ * Sincronización bidireccional entre la tabla users y el Excel espejo (POST /api/users/sync y arranque).
+ *
+ * - Compara ambos lados por email. Al terminar guarda los valores sincronizados de cada usuario (sync_snapshots);
+ *   la siguiente vez, cada campo que difiere se compara con ellos para saber qué lado lo cambió (por valor, no por
+ *   updated_at: una edición a mano del Excel no lo actualiza) y ese valor se lleva al otro lado.
+ * - Un usuario que está solo en el Excel se crea en la BD; uno que está solo en la BD se agrega al
+ *   Excel si es nuevo o cambió desde la última sincronización, o se desactiva si no (su fila se borró del Excel).
+ * - Un campo que cambió en los dos lados (o un usuario aún sin valores guardados) es un conflicto, que se resuelve
+ *   según la política: 'db', 'sheet', 'newest' (el updated_at más reciente) o 'report' (no se toca y queda pendiente).
+ * - Los cambios en la BD van en una transacción (un SAVEPOINT por usuario); el Excel se escribe una
+ *   sola vez al final. Las filas sin email (vacías, notas) se reescriben tal cual. Cada ejecución guarda su informe en sync_runs.
+ * - Las contraseñas y los usuarios borrados o con invitación pendiente no se sincronizan. Un usuario nuevo
+ *   del Excel recibe una invitación o, según config.excel.passwordMode, la contraseña de su fila (ver credentialsFor).
+ * - Las sincronizaciones son jobs en cola que corren de a una en segundo plano: POST /api/users/sync,
+ *   un cambio en el archivo (config.excel.watch) o el intervalo periódico (config.excel.syncInterval).
+ */
+
+//Campos que se comparan (el email es la clave)
+const SYNC_FIELDS = SyncSnapshot.FIELDS;
+
+//Error que impide completar la sincronización
+class SyncError extends Error {}
+
+//Cola de sincronizaciones (de a una) y la que espera turno, si hay
+let queue = Promise.resolve();
+let pending = null;
+
+//Sincronización automática: vigilancia del archivo e intervalo periódico
+let watcher = null;
+let schedule = null;
+
+/**
+ * Valor de un campo para comparar: vacío -> null, el resto como texto.
+ * @param {*} value
+ * @returns {string|null}
+ */
+const toSyncValue = (value) => (value === undefined || value === null || value === '') ? null : String(value).trim();
+
+/**
+ * Marca de tiempo en ms de un updated_at de la BD (UTC sin zona) o del Excel (ISO o número de serie).
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+const toTime = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    // Número de serie de Excel: días desde 1899-12-30
+    if (typeof value === 'number') {
+        return Math.round((value - 25569) * 86400000);
+    }
+
+    const text = String(value).trim();
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+    return Number.isNaN(time) ? null : time;
+};
+
+class ExcelSyncService {
+    /**
+     * Encola una sincronización y devuelve su id sin esperar a que termine.
+     * Las sincronizaciones corren de a una; si ya hay una esperando en cola con la misma política,
+     * se devuelve esa en lugar de crear otra (varios cambios seguidos del archivo no encolan varias).
+     * @param {Object} options
+     * @param {string} options.source - 'manual', 'startup', 'watch' o 'schedule'
+     * @param {string} [options.policy] - política de conflictos (por defecto config.excel.syncConflictPolicy)
+     * @param {number} [options.triggeredBy] - usuario que la lanzó
+     * @param {Request} [options.req] - petición de origen (auditoría); null en procesos internos
+     * @returns {Promise<{jobId: number, coalesced: boolean, done: Promise<Object>}>}
+     *          done se resuelve con el informe (ver execute) o se rechaza si la sincronización falla
+     */
+    static async enqueue({ source, policy = config.excel.syncConflictPolicy, triggeredBy = null, req = null }) {
+        let job = pending && pending.policy === policy ? pending : null;
+        const coalesced = job !== null;
+
+        if (!job) {
+            job = { policy };
+            job.created = SyncRun.enqueue({ source, policy, triggeredBy });
+            job.done = queue.then(async () => {
+                if (pending === job) {
+                    pending = null;
+                }
+                return ExcelSyncService.execute(await job.created, { source, policy, req });
+            });
+
+            // La cola sigue aunque esta sincronización falle
+            queue = job.done.catch(() => {});
+            pending = job;
+        }
+
+        return { jobId: await job.created, coalesced, done: job.done };
+    }
+
+    /**
+     * Encola una sincronización y espera su informe (arranque).
+     * @param {Object} options - ver enqueue
+     * @returns {Promise<Object>} ver execute
+     */
+    static async run(options) {
+        const { done } = await ExcelSyncService.enqueue(options);
+        return done;
+    }
+
+    /**
+     * Ejecuta una sincronización encolada y guarda su informe.
+     * @param {number} runId
+     * @param {Object} options - { source, policy, req }
+     * @returns {Promise<Object>} { runId, policy, summary, changes }
+     * @throws {SyncError} si el Excel no tiene usuarios
+     */
+    static async execute(runId, { source, policy, req }) {
+        try {
+            await SyncRun.markRunning(runId);
+            // Primero las escrituras del espejo ya encoladas, para no verlas como diferencias
+            await ExcelOutboxService.process();
+
+            // Con el archivo bloqueado desde la lectura hasta la escritura (el worker de la bandeja espera)
+            const { summary, changes } = await excelService.withLock(() => ExcelSyncService.sync(policy, runId, req));
+            await SyncRun.finish(runId, { status: 'completed', summary, changes, unresolvedConflicts: summary.unresolvedConflicts });
+
+            await AuditService.record(req, 'users.sync', {
+                metadata: { source: 'excel', trigger: source, runId, policy, ...summary }
+            });
+
+            return { runId, policy, summary, changes };
+        } catch (error) {
+            if (!(error instanceof SyncError)) {
+                logger.error('Excel sync failed:', { runId, source, error: error.message });
+            }
+            await SyncRun.finish(runId, { status: 'failed', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Arranca la sincronización automática según config.excel:
+     * - watch: vigila la carpeta del archivo (los editores suelen reemplazarlo en lugar de modificarlo)
+     *   y sincroniza tras watchDebounce ms sin cambios; las escrituras del propio servicio se ignoran.
+     * - syncInterval: sincroniza cada syncInterval minutos.
+     * @returns {void}
+     */
+    static startAutomaticSync() {
+        const enqueue = source => ExcelSyncService.enqueue({ source })
+            .then(({ jobId, coalesced }) => {
+                if (!coalesced) {
+                    logger.info('Excel sync queued', { jobId, source });
+                }
+            })
+            .catch(error => logger.error('Failed to queue Excel sync:', { source, error: error.message }));
+
+        if (config.excel.watch && !watcher) {
+            const excelPath = path.resolve(config.excel.path);
+            let debounce = null;
+
+            watcher = fs.watch(path.dirname(excelPath), (eventType, filename) => {
+                if (filename !== path.basename(excelPath)) {
+                    return;
+                }
+
+                clearTimeout(debounce);
+                debounce = setTimeout(() => {
+                    let mtimeMs;
+                    try {
+                        mtimeMs = fs.statSync(excelPath).mtimeMs;
+                    } catch (error) {
+                        // Reemplazo a medio hacer o archivo borrado: se espera al próximo cambio
+                        return;
+                    }
+
+                    if (mtimeMs !== excelService.lastWriteMtimeMs) {
+                        enqueue('watch');
+                    }
+                }, config.excel.watchDebounce);
+            });
+
+            watcher.on('error', error => logger.error('Excel file watcher error:', { error: error.message }));
+            logger.info('Watching Excel file for changes', { path: excelPath });
+        }
+
+        if (config.excel.syncInterval > 0 && !schedule) {
+            schedule = setInterval(() => enqueue('schedule'), config.excel.syncInterval * 60 * 1000);
+            schedule.unref();
+            logger.info('Periodic Excel sync scheduled', { everyMinutes: config.excel.syncInterval });
+        }
+    }
+
+    /**
+     * Detiene la sincronización automática (apagado ordenado). Una sincronización en curso termina sola.
+     * @returns {void}
+     */
+    static stopAutomaticSync() {
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+        if (schedule) {
+            clearInterval(schedule);
+            schedule = null;
+        }
+    }
+
+    /**
+     * Compara ambos lados, aplica los cambios y devuelve el informe.
+     * @param {string} policy
+     * @param {number} runId
+     * @param {Request|null} req
+     * @returns {Promise<{summary: Object, changes: Array<Object>}>}
+     */
+    static async sync(policy, runId, req) {
+        const allRows = excelService.readUsersFromExcel();
+        const sheetRows = allRows.filter(row => toSyncValue(row.email));
+        const dbUsers = await User.findAll();
+        const snapshots = await SyncSnapshot.findAll();
+
+        // Un Excel vacío (o ilegible) desactivaría a todos: se aborta
+        if (snapshots.size > 0 && sheetRows.length === 0 && dbUsers.some(user => !user.deletedAt && user.status === 'active')) {
+            throw new SyncError('The Excel file has no users; synchronization aborted to avoid deactivating every user');
+        }
+
+        const dbByEmail = new Map(dbUsers.map(user => [user.email.toLowerCase(), user]));
+        const sheetByEmail = new Map();
+        const changes = [];
+        const items = [];
+
+        for (const row of sheetRows) {
+            const email = toSyncValue(row.email).toLowerCase();
+            if (sheetByEmail.has(email)) {
+                changes.push({ email, action: 'error', target: null, message: 'Duplicate email in the Excel file' });
+                continue;
+            }
+            sheetByEmail.set(email, row);
+        }
+
+        for (const [email, row] of sheetByEmail) {
+            const user = dbByEmail.get(email);
+            if (!user) {
+                items.push(await ExcelSyncService.planCreate(email, row));
+            } else if (!user.deletedAt && user.status !== 'pending') {
+                items.push(await ExcelSyncService.planUpdate(email, user, row, policy, snapshots.get(user.id)));
+            }
+        }
+
+        for (const [email, user] of dbByEmail) {
+            if (!sheetByEmail.has(email) && !user.deletedAt && user.status !== 'pending') {
+                items.push(await ExcelSyncService.planMissing(email, user, snapshots.get(user.id)));
+            }
+        }
+
+        const applied = await ExcelSyncService.apply(items.filter(item => item.values && item.change.action !== 'error'));
+        for (const item of applied) {
+            if (item.invite) {
+                await InvitationService.invite(item.user, req?.currentUser ? req.currentUser.id : null);
+            }
+
+            await AuditService.record(req, item.before ? 'user.update' : (item.invite ? 'user.invite' : 'user.create'), {
+                targetType: 'user',
+                targetId: item.user.id,
+                before: item.before,
+                after: item.user,
+                metadata: { source: 'excel_sync', syncRunId: runId }
+            });
+        }
+
+        await ExcelSyncService.writeSheet(allRows, items);
+
+        // Valores en que quedó cada usuario (los de errores y conflictos sin resolver se comparan otra vez la próxima)
+        await SyncSnapshot.saveAll(items
+            .filter(item => item.user && item.change.action !== 'error' && item.change.resolution !== 'report')
+            .map(item => ({ userId: item.user.id, fields: ExcelSyncService.pickFields(item.user) })));
+
+        changes.push(...items.map(item => item.change).filter(change => change.action !== 'unchanged'));
+
+        const count = action => changes.filter(change => change.action === action).length;
+        const summary = {
+            created: count('create'),
+            updated: count('update'),
+            deactivated: count('deactivate'),
+            exported: count('export'),
+            conflicts: count('conflict'),
+            unresolvedConflicts: changes.filter(change => change.action === 'conflict' && change.resolution === 'report').length,
+            errors: count('error'),
+            unchanged: items.filter(item => item.change.action === 'unchanged').length
+        };
+
+        return { summary, changes };
+    }
+
+    /**
+     * Usuario que solo está en el Excel: se crea en la BD si la fila es válida.
+     * @returns {Promise<Object>} { change, values, invite? }
+     */
+    static async planCreate(email, row) {
+        const change = { email, action: 'create', target: 'db' };
+        const data = { email: row.email, ...ExcelSyncService.pickFields(row) };
+        const { body: values, errors } = await UserImportService.validate(UserImportService.UPDATE_RULES, data);
+        const credentials = ExcelSyncService.credentialsFor(row.password, values.status);
+
+        errors.push(...credentials.errors);
+        if (errors.length > 0) {
+            return { change: { ...change, action: 'error', message: errors.map(error => error.message).join('; ') } };
+        }
+
+        return {
+            change: credentials.invite ? { ...change, invite: true } : change,
+            values: { ...values, ...credentials.values },
+            invite: credentials.invite
+        };
+    }
+
+    /**
+     * Credenciales de un usuario nuevo del Excel según config.excel.passwordMode:
+     * - 'hashed': la celda debe ser un hash bcrypt y se guarda tal cual (hashearla otra vez dejaría al usuario sin poder entrar).
+     * - 'plaintext': la celda debe cumplir la política de contraseñas y se hashea una vez al crearlo.
+     * - 'none' (por defecto): la celda se ignora; el usuario queda 'pending' y recibe una invitación
+     *   para elegir su contraseña (una fila inactiva se crea sin credenciales y sin invitación).
+     * @param {*} password - celda password de la fila
+     * @param {string|null} status - estado de la fila ya validado
+     * @returns {{values: Object, invite: boolean, errors: Array<{field: string, message: string}>}}
+     */
+    static credentialsFor(password, status) {
+        const text = (password === undefined || password === null || password === '') ? null : String(password);
+        const fail = message => ({ values: {}, invite: false, errors: [{ field: 'password', message }] });
+
+        switch (config.excel.passwordMode) {
+            case 'hashed':
+                if (!text) {
+                    return fail('Password hash is required');
+                }
+                if (!User.isPasswordHash(text.trim())) {
+                    return fail('Password must be a bcrypt hash when EXCEL_PASSWORD_MODE is hashed');
+                }
+                return { values: { passwordHash: text.trim() }, invite: false, errors: [] };
+
+            case 'plaintext': {
+                if (!text) {
+                    return fail('Password is required');
+                }
+                if (User.isPasswordHash(text.trim())) {
+                    return fail('Password looks like a bcrypt hash; use EXCEL_PASSWORD_MODE=hashed to import hashes');
+                }
+                const policyErrors = PasswordPolicyService.validate(text);
+                if (policyErrors.length > 0) {
+                    return { values: {}, invite: false, errors: policyErrors.map(message => ({ field: 'password', message })) };
+                }
+                return { values: { password: text }, invite: false, errors: [] };
+            }
+
+            default:
+                return status === 'inactive'
+                    ? { values: {}, invite: false, errors: [] }
+                    : { values: { status: 'pending' }, invite: true, errors: [] };
+        }
+    }
+
+    /**
+     * Usuario en ambos lados: para cada campo que difiere decide qué lado gana comparando con los valores
+     * de la última sincronización (snapshot). Cambió solo un lado: gana ese. Cambiaron los dos, o no hay
+     * snapshot: conflicto, que resuelve la política.
+     * @param {Object|undefined} snapshot - valores de la última sincronización de este usuario
+     * @returns {Promise<Object>} { change, user, values? }
+     *          change.fields: campo -> { db, sheet, changed: 'db'|'sheet'|'both' };
+     *          change.target: lado que se escribe ('db', 'sheet', 'both' o null si no se resuelve)
+     */
+    static async planUpdate(email, user, row, policy, snapshot) {
+        const fields = {};
+        for (const field of SYNC_FIELDS) {
+            const dbValue = toSyncValue(user[field]);
+            const sheetValue = toSyncValue(row[field]);
+            if (dbValue === sheetValue) {
+                continue;
+            }
+
+            // Sin valor guardado (usuario o campo nunca sincronizado) no se sabe quién cambió: los dos
+            const synced = snapshot && field in snapshot ? snapshot[field] : undefined;
+            const dbChanged = synced === undefined || dbValue !== synced;
+            const sheetChanged = synced === undefined || sheetValue !== synced;
+            fields[field] = { db: dbValue, sheet: sheetValue, changed: dbChanged && sheetChanged ? 'both' : (dbChanged ? 'db' : 'sheet') };
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return { change: { email, action: 'unchanged' }, user };
+        }
+
+        const conflict = Object.values(fields).some(field => field.changed === 'both');
+        let resolution = null;
+        if (conflict) {
+            resolution = policy;
+            if (policy === 'newest') {
+                const sheetTime = toTime(row.updatedAt);
+                resolution = sheetTime !== null && sheetTime > toTime(user.updatedAt) ? 'sheet' : 'db';
+            }
+            if (resolution === 'report') {
+                return { change: { email, action: 'conflict', target: null, fields, resolution }, user };
+            }
+        }
+
+        // Campos en que gana el Excel (se escriben en la BD); el resto gana la BD (se escriben en el Excel)
+        const toDb = Object.keys(fields).filter(field => fields[field].changed === 'sheet' || (fields[field].changed === 'both' && resolution === 'sheet'));
+        const toSheet = Object.keys(fields).filter(field => !toDb.includes(field));
+        const target = toDb.length > 0 && toSheet.length > 0 ? 'both' : (toDb.length > 0 ? 'db' : 'sheet');
+        const change = conflict
+            ? { email, action: 'conflict', target, fields, resolution }
+            : { email, action: 'update', target, fields };
+
+        if (toDb.length === 0) {
+            return { change, user };
+        }
+
+        const data = Object.fromEntries(toDb.map(field => [field, fields[field].sheet]));
+        const { body: values, errors } = await UserImportService.validate(UserImportService.UPDATE_RULES, data);
+
+        const losesAdmin = (data.status !== undefined && data.status !== 'active') || (data.role !== undefined && data.role !== 'admin');
+        if (errors.length === 0 && losesAdmin && await user.isLastActiveAdmin()) {
+            errors.push({ field: 'status', message: 'The last active admin cannot be deactivated or demoted' });
+        }
+
+        if (errors.length > 0) {
+            return { change: { ...change, action: 'error', message: errors.map(error => error.message).join('; ') }, user };
+        }
+
+        return { change, user, values: Object.fromEntries(toDb.map(field => [field, values[field]])) };
+    }
+
+    /**
+     * Usuario que solo está en la BD: se agrega al Excel si es nuevo o cambió desde la última sincronización;
+     * si no, su fila se borró del Excel y se desactiva.
+     * @param {Object|undefined} snapshot - valores de la última sincronización de este usuario
+     * @returns {Promise<Object>} { change, user, values? }
+     */
+    static async planMissing(email, user, snapshot) {
+        const current = ExcelSyncService.pickFields(user);
+        if (!snapshot || SYNC_FIELDS.some(field => current[field] !== snapshot[field])) {
+            return { change: { email, action: 'export', target: 'sheet' }, user };
+        }
+
+        if (user.status !== 'active') {
+            return { change: { email, action: 'unchanged' }, user };
+        }
+
+        if (await user.isLastActiveAdmin()) {
+            return { change: { email, action: 'error', target: 'db', message: 'The last active admin cannot be deactivated' }, user };
+        }
+
+        return { change: { email, action: 'deactivate', target: 'db' }, user, values: { status: 'inactive' } };
+    }
+
+    /**
+     * Aplica en la BD los cambios planificados. Un usuario que falla se deshace solo (SAVEPOINT)
+     * y pasa a 'error' en el informe.
+     * @param {Array<Object>} items
+     * @returns {Promise<Array<Object>>} los aplicados, con before (null al crear) y user ya guardado
+     */
+    static async apply(items) {
+        const applied = [];
+
+        await database.transaction(async () => {
+            for (const item of items) {
+                await database.exec('SAVEPOINT sync_item');
+                try {
+                    if (item.user) {
+                        item.before = item.user.toJSON();
+                        await item.user.update(item.values);
+                        item.user = await User.findById(item.user.id);
+                    } else {
+                        // passwordHash (modo 'hashed') se guarda tal cual; password (modo 'plaintext') se hashea una vez
+                        const userId = await User.create(item.values);
+                        item.before = null;
+                        item.user = await User.findById(userId);
+                    }
+
+                    await database.exec('RELEASE sync_item');
+                    applied.push(item);
+                } catch (error) {
+                    await database.exec('ROLLBACK TO sync_item');
+                    await database.exec('RELEASE sync_item');
+
+                    logger.error('Excel sync item failed:', { email: item.change.email, action: item.change.action, error: error.message });
+                    item.change = { ...item.change, action: 'error', message: 'Server error' };
+                }
+            }
+        });
+
+        return applied;
+    }
+
+    /**
+     * Reescribe el Excel una sola vez: las filas sincronizadas toman el estado de la BD y se agregan las
+     * exportadas. Las demás (otros usuarios, filas sin email) quedan como estaban y en su lugar.
+     * @param {Array<Object>} sheetRows - todas las filas leídas al empezar
+     * @param {Array<Object>} items
+     * @returns {Promise<void>}
+     */
+    static async writeSheet(sheetRows, items) {
+        const synced = new Map(items
+            .filter(item => item.user && ['create', 'update', 'conflict', 'export'].includes(item.change.action) && item.change.target)
+            .map(item => [item.change.email, item.user]));
+        const exported = items.filter(item => item.change.action === 'export');
+
+        if (synced.size === 0) {
+            return;
+        }
+
+        const rows = sheetRows.map(row => {
+            const user = toSyncValue(row.email) && synced.get(toSyncValue(row.email).toLowerCase());
+            return user ? excelService.userToRow(user, row) : row;
+        });
+        rows.push(...exported.map(item => excelService.userToRow(item.user)));
+
+        if (!excelService.writeUsersToExcel(rows)) {
+            throw new Error('Failed to write the Excel file');
+        }
+    }
+
+    /**
+     * Campos sincronizados de un usuario o una fila (vacío -> null).
+     * @param {Object} source
+     * @returns {Object}
+     */
+    static pickFields(source) {
+        return SyncSnapshot.valuesOf(source);
+    }
+}
+
+ExcelSyncService.SyncError = SyncError;
+
+module.exports = ExcelSyncService;
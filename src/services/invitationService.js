@@ -0,0 +1,219 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const User = require('../models/user');
+const mailService = require('./mailService');
+const ExcelOutboxService = require('./excelOutboxService');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+/**
+ * Servicio de invitaciones de usuarios.
+ *
+ * - Un admin crea el usuario con status 'pending' y sin contraseña.
+ * - Se emite un token de invitación (solo se guarda su hash) y se envía por correo.
+ * - El invitado elige su contraseña en POST /auth/accept-invite, lo que activa la cuenta.
+ * - Reenviar una invitación revoca la anterior; solo hay una invitación vigente por usuario.
+ */
+class InvitationService {
+    /**
+     * Emite una invitación para un usuario pendiente y la envía por correo.
+     * Un fallo de envío no deshace la invitación (se puede reenviar).
+     * @param {User} user
+     * @param {number} [invitedBy] - id del admin que invita
+     * @returns {Promise<{expiresAt: string, sent: boolean}>}
+     */
+    static async invite(user, invitedBy) {
+        await InvitationService.revokeForUser(user.id);
+
+        const token = generateToken();
+        const expiresAt = new Date(Date.now() + config.invitations.tokenExpiresHours * 60 * 60 * 1000).toISOString();
+
+        await new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'INSERT INTO user_invitations (user_id, token_hash, invited_by, expires_at) VALUES (?, ?, ?, ?)';
+
+            db.run(query, [user.id, hashToken(token), invitedBy || null, expiresAt], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        const inviteUrl = `${config.frontendUrl}/accept-invite?token=${token}`;
+        let sent = true;
+
+        try {
+            await mailService.send({
+                to: user.email,
+                subject: 'You have been invited to API Logistico',
+                text: [
+                    `Hello ${user.firstName},`,
+                    '',
+                    'An account has been created for you. Use the link below to choose your password and activate it:',
+                    inviteUrl,
+                    '',
+                    `This link expires in ${config.invitations.tokenExpiresHours} hours and can only be used once.`
+                ].join('\n')
+            });
+        } catch (error) {
+            sent = false;
+            logger.error('Failed to send invitation email:', { userId: user.id, error: error.message });
+        }
+
+        logger.info('User invitation issued', { userId: user.id, invitedBy, sent });
+
+        return { expiresAt, sent };
+    }
+
+    /**
+     * Acepta una invitación: fija la contraseña y activa la cuenta.
+     * @param {string} token - token en claro recibido en el enlace
+     * @param {string} password
+     * @returns {Promise<User|null>} usuario activado, o null si el token no es válido
+     */
+    static async accept(token, password) {
+        const invitation = await InvitationService.findValidInvitation(token);
+        if (!invitation) {
+            return null;
+        }
+
+        // Marcar como aceptada antes de cambiar nada: si dos peticiones llegan a la vez solo una gana
+        const accepted = await InvitationService.markAccepted(invitation.id);
+        if (!accepted) {
+            return null;
+        }
+
+        const user = await User.findById(invitation.user_id);
+        if (!user || user.status !== 'pending') {
+            return null;
+        }
+
+        // El espejo en Excel toma el estado y el hash de la nueva contraseña
+        await database.transaction(async () => {
+            await user.update({
+                password,
+                status: 'active'
+            });
+            await ExcelOutboxService.enqueueUpsert(user.id, user.email);
+        });
+
+        const activatedUser = await User.findById(user.id);
+
+        logger.info('User invitation accepted', { userId: user.id });
+
+        return activatedUser;
+    }
+
+    /**
+     * Busca una invitación vigente (no aceptada, no revocada, no expirada).
+     * @param {string} token - token en claro
+     * @returns {Promise<Object|null>} fila de user_invitations
+     */
+    static async findValidInvitation(token) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                SELECT * FROM user_invitations
+                WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+            `;
+
+            db.get(query, [hashToken(token), new Date().toISOString()], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Marca una invitación como aceptada si seguía pendiente.
+     * @param {number} id
+     * @returns {Promise<boolean>}
+     */
+    static async markAccepted(id) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                UPDATE user_invitations SET accepted_at = datetime('now')
+                WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+            `;
+
+            db.run(query, [id], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Revoca las invitaciones pendientes de un usuario.
+     * @param {number} userId
+     * @returns {Promise<number>} número de invitaciones revocadas
+     */
+    static async revokeForUser(userId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                UPDATE user_invitations SET revoked_at = datetime('now')
+                WHERE user_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+            `;
+
+            db.run(query, [userId], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes);
+            });
+        });
+    }
+
+    /**
+     * Lista las invitaciones pendientes (no aceptadas ni revocadas), incluidas las expiradas
+     * para que el admin pueda reenviarlas.
+     * @returns {Promise<Array<Object>>}
+     */
+    static async listPending() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                SELECT i.id, i.user_id, i.invited_by, i.expires_at, i.created_at,
+                       u.email, u.first_name, u.last_name, u.role
+                FROM user_invitations i
+                JOIN users u ON u.id = i.user_id
+                WHERE i.accepted_at IS NULL AND i.revoked_at IS NULL
+                ORDER BY i.created_at DESC
+            `;
+
+            db.all(query, [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const now = new Date();
+                resolve(rows.map(row => ({
+                    id: row.id,
+                    userId: row.user_id,
+                    email: row.email,
+                    firstName: row.first_name,
+                    lastName: row.last_name,
+                    role: row.role,
+                    invitedBy: row.invited_by,
+                    createdAt: row.created_at,
+                    expiresAt: row.expires_at,
+                    expired: new Date(row.expires_at) <= now
+                })));
+            });
+        });
+    }
+}
+
+module.exports = InvitationService;
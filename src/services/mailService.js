@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Transporte 'file': guarda cada mensaje como un archivo JSON en la carpeta outbox.
+ * Pensado para desarrollo: permite probar flujos de correo sin servidor SMTP.
+ */
+class FileTransport {
+    /**
+     * @param {string} outboxDir - carpeta destino de los mensajes
+     */
+    constructor(outboxDir) {
+        this.outboxDir = outboxDir;
+    }
+
+    /**
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<{id: string, path: string}>}
+     */
+    async send(message) {
+        await fs.promises.mkdir(this.outboxDir, { recursive: true });
+
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(this.outboxDir, `${id}.json`);
+
+        await fs.promises.writeFile(filePath, JSON.stringify({
+            id,
+            date: new Date().toISOString(),
+            ...message
+        }, null, 2));
+
+        return { id, path: filePath };
+    }
+}
+
+/**
+ * Transporte 'log': solo registra destinatario y asunto (nunca el cuerpo, que puede
+ * contener enlaces con tokens). Útil en entornos donde no se quiere escribir a disco.
+ */
+class LogTransport {
+    /**
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<{id: string}>}
+     */
+    async send(message) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        logger.info('Mail sent (log transport)', { id, to: message.to, subject: message.subject });
+        return { id };
+    }
+}
+
+/**
+ * Servicio de envío de correos con transportes intercambiables.
+ *
+ * - El transporte activo se elige con config.mail.transport.
+ * - Un transporte es cualquier objeto con `send(message): Promise<{id}>`;
+ *   se pueden registrar nuevos (ej. SMTP o un proveedor HTTP) con registerTransport().
+ */
+class MailService {
+    constructor() {
+        this.transports = {
+            file: new FileTransport(config.mail.outboxDir),
+            log: new LogTransport()
+        };
+    }
+
+    /**
+     * Registra (o reemplaza) un transporte.
+     * @param {string} name - nombre usado en config.mail.transport
+     * @param {{send: Function}} transport
+     */
+    registerTransport(name, transport) {
+        this.transports[name] = transport;
+    }
+
+    /**
+     * Envía un mensaje por el transporte configurado.
+     * @param {Object} message - { to, subject, text, from? }
+     * @returns {Promise<{id: string}>}
+     */
+    async send(message) {
+        const transport = this.transports[config.mail.transport];
+
+        if (!transport) {
+            throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+        }
+
+        return transport.send({
+            from: config.mail.from,
+            ...message
+        });
+    }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Migraciones del esquema de la base de datos.
+ *
+ * - Cada archivo de src/migrations se llama NNN_nombre.js (NNN = versión) y exporta up(db) y down(db),
+ *   que reciben la instancia de Database (exec, run, all, addColumnIfMissing, rebuildTable...).
+ * - schema_migrations guarda las versiones aplicadas; la versión actual es la mayor de ellas.
+ * - Cada migración corre en su propia transacción junto con su fila en schema_migrations:
+ *   si falla, la base de datos queda en la versión anterior.
+ * - App.initialize aplica las pendientes al arrancar; scripts/migrate.js permite ir a una versión
+ *   concreta, deshacer y ver el estado.
+ */
+
+//Directorio de las migraciones y formato de sus nombres
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+class MigrationService {
+    /**
+     * Lee las migraciones disponibles, ordenadas por versión.
+     * @returns {Array<{ version: number, name: string, up: Function, down: Function }>}
+     */
+    static load() {
+        const migrations = [];
+
+        for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                continue;
+            }
+
+            const version = parseInt(match[1], 10);
+            const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof up !== 'function' || typeof down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+            if (migrations.some(migration => migration.version === version)) {
+                throw new Error(`Duplicate migration version ${version} (${file})`);
+            }
+
+            migrations.push({ version, name: match[2], up, down });
+        }
+
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Crea la tabla schema_migrations si no existe.
+     * @returns {Promise<void>}
+     */
+    static async ensureTable() {
+        await database.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Estado de las migraciones.
+     * @returns {Promise<Object>} { current, latest, migrations: [{ version, name, status, appliedAt }] }
+     *          status: 'applied', 'pending' o 'missing' (aplicada en la BD pero sin archivo: código más antiguo que la BD)
+     */
+    static async status() {
+        await MigrationService.ensureTable();
+
+        const available = MigrationService.load();
+        const applied = await database.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+        const migrations = available.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            status: appliedByVersion.has(migration.version) ? 'applied' : 'pending',
+            appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+        }));
+
+        for (const row of applied) {
+            if (!available.some(migration => migration.version === row.version)) {
+                migrations.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+            }
+        }
+
+        migrations.sort((a, b) => a.version - b.version);
+
+        return {
+            current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latest: available.length > 0 ? available[available.length - 1].version : 0,
+            migrations
+        };
+    }
+
+    /**
+     * Lleva la base de datos a una versión: aplica las pendientes hasta ella (en orden) y
+     * deshace las aplicadas posteriores (en orden inverso).
+     * @param {Object} [options]
+     * @param {number} [options.to] - versión destino; por defecto la última disponible (0 = deshacer todo)
+     * @returns {Promise<Object>} { from, to, applied: number[], reverted: number[] }
+     */
+    static async migrate({ to } = {}) {
+        const { current, latest, migrations } = await MigrationService.status();
+        const target = to === undefined ? latest : to;
+
+        const missing = migrations.filter(migration => migration.status === 'missing');
+        if (missing.length > 0) {
+            throw new Error(`The database has migrations that are not in ${MIGRATIONS_DIR}: ${missing.map(migration => migration.version).join(', ')}`);
+        }
+        if (!Number.isInteger(target) || (target !== 0 && !migrations.some(migration => migration.version === target))) {
+            throw new Error(`Unknown migration version: ${to}`);
+        }
+
+        const available = new Map(MigrationService.load().map(migration => [migration.version, migration]));
+        const result = { from: current, to: target, applied: [], reverted: [] };
+
+        for (const migration of migrations.filter(m => m.status === 'pending' && m.version <= target)) {
+            const { up, name } = available.get(migration.version);
+
+            await database.transaction(async () => {
+                await up(database);
+                await database.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, name]);
+            });
+
+            logger.info('Migration applied', { version: migration.version, name });
+            result.applied.push(migration.version);
+        }
+
+        for (const migration of migrations.filter(m => m.status === 'applied' && m.version > target).reverse()) {
+            const { down, name } = available.get(migration.version);
+
+            await database.transaction(async () => {
+                await down(database);
+                await database.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+
+            logger.info('Migration reverted', { version: migration.version, name });
+            result.reverted.push(migration.version);
+        }
+
+        return result;
+    }
+
+    /**
+     * Deshace las últimas migraciones aplicadas.
+     * @param {Object} [options]
+     * @param {number} [options.steps=1] - cuántas
+     * @returns {Promise<Object>} igual que migrate
+     */
+    static async rollback({ steps = 1 } = {}) {
+        const { migrations } = await MigrationService.status();
+        const applied = migrations.filter(migration => migration.status !== 'pending');
+        const remaining = applied.slice(0, Math.max(applied.length - steps, 0));
+
+        return MigrationService.migrate({ to: remaining.length > 0 ? remaining[remaining.length - 1].version : 0 });
+    }
+}
+
+module.exports = MigrationService;
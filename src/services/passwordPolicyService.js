@@ -0,0 +1,180 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const config = require('../config/config');
+const commonPasswords = require('../config/commonPasswords');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+
+/**
+ * Motor de la política de contraseñas (config.passwordPolicy).
+ *
+ * - Reglas de formato: longitud, clases de caracteres y lista de contraseñas comunes.
+ *   Se aplican en los validadores de todas las rutas que reciben una contraseña nueva.
+ * - Historial: no se puede reutilizar ninguna de las últimas N contraseñas (hashes en password_history).
+ * - Antigüedad máxima: al vencer, el login exige elegir una nueva antes de emitir tokens.
+ */
+
+//Lista de bloqueo (comunes + archivo opcional), cargada una sola vez
+let blocklist = null;
+
+class PasswordPolicyService {
+    /**
+     * Comprueba las reglas de formato de una contraseña.
+     * @param {string} password
+     * @returns {string[]} mensajes de las reglas incumplidas (vacío si cumple)
+     */
+    static validate(password) {
+        const policy = config.passwordPolicy;
+        const errors = [];
+
+        if (typeof password !== 'string' || password.length < policy.minLength) {
+            errors.push(`Password must be at least ${policy.minLength} characters long`);
+            return errors;
+        }
+
+        if (Buffer.byteLength(password, 'utf8') > policy.maxLength) {
+            errors.push(`Password must be at most ${policy.maxLength} bytes long`);
+        }
+
+        // Clases Unicode: las letras acentuadas cuentan como mayúsculas/minúsculas
+        if (policy.requireUppercase && !/\p{Lu}/u.test(password)) {
+            errors.push('Password must contain at least one uppercase letter');
+        }
+        if (policy.requireLowercase && !/\p{Ll}/u.test(password)) {
+            errors.push('Password must contain at least one lowercase letter');
+        }
+        if (policy.requireNumber && !/\p{Nd}/u.test(password)) {
+            errors.push('Password must contain at least one number');
+        }
+        if (policy.requireSymbol && !/[^\p{L}\p{N}]/u.test(password)) {
+            errors.push('Password must contain at least one special character');
+        }
+
+        if (PasswordPolicyService.isBlocklisted(password)) {
+            errors.push('Password is too common. Please choose a less predictable one');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Indica si la contraseña está en la lista de bloqueo, tal cual o sin los
+     * números/símbolos del final (así 'Password1!' cuenta como 'password').
+     * @param {string} password
+     * @returns {boolean}
+     */
+    static isBlocklisted(password) {
+        const list = PasswordPolicyService.getBlocklist();
+        const lower = password.toLowerCase();
+        const stem = lower.replace(/[^\p{L}]+$/u, '');
+
+        return list.has(lower) || (stem.length > 0 && list.has(stem));
+    }
+
+    /**
+     * Carga la lista de bloqueo: la incluida más la de config.passwordPolicy.blocklistPath.
+     * @returns {Set<string>}
+     */
+    static getBlocklist() {
+        if (blocklist) {
+            return blocklist;
+        }
+
+        blocklist = new Set(commonPasswords);
+
+        const { blocklistPath } = config.passwordPolicy;
+        if (blocklistPath) {
+            try {
+                fs.readFileSync(blocklistPath, 'utf8')
+                    .split(/\r?\n/)
+                    .map(line => line.trim().toLowerCase())
+                    .filter(Boolean)
+                    .forEach(entry => blocklist.add(entry));
+            } catch (error) {
+                logger.error('Failed to load password blocklist:', { path: blocklistPath, error: error.message });
+            }
+        }
+
+        return blocklist;
+    }
+
+    /**
+     * Comprueba si la contraseña coincide con la actual o con alguna de las últimas N.
+     * @param {User} user
+     * @param {string} password
+     * @returns {Promise<boolean>}
+     */
+    static async isReused(user, password) {
+        const { historySize } = config.passwordPolicy;
+        if (historySize <= 0) {
+            return false;
+        }
+
+        const hashes = await User.getPasswordHistory(user.id, historySize);
+        if (user.password && !hashes.includes(user.password)) {
+            hashes.unshift(user.password);
+        }
+
+        for (const hash of hashes) {
+            if (await bcrypt.compare(password, hash)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Reglas de formato + historial para cambiar la contraseña de un usuario existente.
+     * @param {User} user
+     * @param {string} password
+     * @returns {Promise<string[]>} mensajes de las reglas incumplidas (vacío si cumple)
+     */
+    static async validateForUser(user, password) {
+        const errors = PasswordPolicyService.validate(password);
+
+        if (errors.length === 0 && await PasswordPolicyService.isReused(user, password)) {
+            errors.push(`Password must be different from your last ${config.passwordPolicy.historySize} passwords`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Indica si la contraseña del usuario superó la antigüedad máxima.
+     * @param {User} user
+     * @returns {boolean}
+     */
+    static isExpired(user) {
+        const { maxAgeDays } = config.passwordPolicy;
+        if (!maxAgeDays || !user.password || !user.passwordChangedAt) {
+            return false;
+        }
+
+        // CURRENT_TIMESTAMP de SQLite está en UTC sin zona ('YYYY-MM-DD HH:MM:SS')
+        const changedAt = new Date(`${user.passwordChangedAt.replace(' ', 'T')}Z`);
+        return Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Descripción pública de la política (para que los clientes muestren los requisitos).
+     * @returns {Object}
+     */
+    static describe() {
+        const policy = config.passwordPolicy;
+
+        return {
+            minLength: policy.minLength,
+            maxLength: policy.maxLength,
+            requireUppercase: policy.requireUppercase,
+            requireLowercase: policy.requireLowercase,
+            requireNumber: policy.requireNumber,
+            requireSymbol: policy.requireSymbol,
+            blocksCommonPasswords: true,
+            historySize: policy.historySize,
+            maxAgeDays: policy.maxAgeDays || null
+        };
+    }
+}
+
+module.exports = PasswordPolicyService;
@@ -0,0 +1,212 @@
+const database = require('../config/database');
+const config = require('../config/config');
+const User = require('../models/user');
+const Session = require('../models/session');
+const mailService = require('./mailService');
+const ExcelOutboxService = require('./excelOutboxService');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+/**
+ * Servicio de recuperación de contraseña.
+ *
+ * - Los tokens se generan aleatorios y solo se guarda su hash SHA-256;
+ *   el valor en claro viaja únicamente en el enlace del correo.
+ * - Cada token es de un solo uso y expira tras config.passwordReset.tokenExpiresMinutes.
+ * - Pedir un nuevo reset invalida los tokens anteriores del usuario.
+ */
+class PasswordResetService {
+    /**
+     * Solicita un reset para un email. No indica si el email existe:
+     * si no hay usuario activo simplemente no se envía nada.
+     * @param {string} email
+     * @param {Object} [meta] - { ip }
+     * @returns {Promise<void>}
+     */
+    static async requestReset(email, meta = {}) {
+        const user = await User.findByEmail(email);
+
+        if (!user || user.status !== 'active') {
+            logger.info('Password reset requested for unknown or inactive account', { ip: meta.ip });
+            return;
+        }
+
+        const token = await PasswordResetService.createToken(user.id, meta.ip);
+        await PasswordResetService.sendResetEmail(user, token);
+
+        logger.info('Password reset email sent', { userId: user.id, ip: meta.ip });
+    }
+
+    /**
+     * Envía el correo con el enlace de reset.
+     * Separado de createToken para poder enviarlo después de confirmar una transacción (ver BulkUserService).
+     * @param {User} user
+     * @param {string} token - token en claro devuelto por createToken
+     * @returns {Promise<void>}
+     */
+    static async sendResetEmail(user, token) {
+        const resetUrl = `${config.frontendUrl}/reset-password?token=${token}`;
+
+        await mailService.send({
+            to: user.email,
+            subject: 'Password reset request',
+            text: [
+                `Hello ${user.firstName},`,
+                '',
+                'We received a request to reset your password. Use the link below to choose a new one:',
+                resetUrl,
+                '',
+                `This link expires in ${config.passwordReset.tokenExpiresMinutes} minutes and can only be used once.`,
+                'If you did not request a password reset, you can ignore this email.'
+            ].join('\n')
+        });
+    }
+
+    /**
+     * Aplica un reset: valida el token, cambia la contraseña y lo marca como usado.
+     * También desbloquea la cuenta y cierra todas sus sesiones.
+     * @param {string} token - token en claro recibido en el enlace
+     * @param {string} newPassword
+     * @returns {Promise<User|null>} usuario actualizado, o null si el token no es válido
+     */
+    static async resetPassword(token, newPassword) {
+        const stored = await PasswordResetService.findValidToken(token);
+        if (!stored) {
+            return null;
+        }
+
+        // Marcar como usado antes de cambiar nada: si dos peticiones llegan a la vez solo una gana
+        const consumed = await PasswordResetService.markUsed(stored.id);
+        if (!consumed) {
+            return null;
+        }
+
+        const user = await User.findById(stored.user_id);
+        if (!user || user.status !== 'active') {
+            return null;
+        }
+
+        // El espejo en Excel toma el nuevo hash
+        await database.transaction(async () => {
+            await user.update({
+                password: newPassword,
+                loginAttempts: 0,
+                lockedUntil: null
+            });
+            await ExcelOutboxService.enqueueUpsert(user.id, user.email);
+        });
+
+        await PasswordResetService.invalidateUserTokens(user.id);
+        await Session.revokeAllForUser(user.id);
+
+        const updatedUser = await User.findById(user.id);
+
+        logger.info('Password reset completed', { userId: user.id });
+
+        return updatedUser;
+    }
+
+    /**
+     * Usuario al que pertenece un token de reset vigente (sin consumirlo).
+     * Permite validar la nueva contraseña contra su historial antes de aplicar el reset.
+     * @param {string} token - token en claro
+     * @returns {Promise<User|null>}
+     */
+    static async findUserByToken(token) {
+        const stored = await PasswordResetService.findValidToken(token);
+        if (!stored) {
+            return null;
+        }
+
+        const user = await User.findById(stored.user_id);
+        return user && user.status === 'active' ? user : null;
+    }
+
+    /**
+     * Crea un token nuevo e invalida los anteriores del usuario.
+     * @param {number} userId
+     * @param {string} [ip]
+     * @returns {Promise<string>} token en claro
+     */
+    static async createToken(userId, ip) {
+        await PasswordResetService.invalidateUserTokens(userId);
+
+        const token = generateToken();
+        const expiresAt = new Date(Date.now() + config.passwordReset.tokenExpiresMinutes * 60 * 1000).toISOString();
+
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)';
+
+            db.run(query, [userId, hashToken(token), expiresAt, ip || null], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(token);
+            });
+        });
+    }
+
+    /**
+     * Busca un token sin usar y no expirado.
+     * @param {string} token - token en claro
+     * @returns {Promise<Object|null>} fila de password_reset_tokens
+     */
+    static async findValidToken(token) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'SELECT * FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?';
+
+            db.get(query, [hashToken(token), new Date().toISOString()], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row || null);
+            });
+        });
+    }
+
+    /**
+     * Marca un token como usado si todavía no lo estaba.
+     * @param {number} id
+     * @returns {Promise<boolean>}
+     */
+    static async markUsed(id) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = "UPDATE password_reset_tokens SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL";
+
+            db.run(query, [id], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Invalida todos los tokens pendientes de un usuario.
+     * @param {number} userId
+     * @returns {Promise<void>}
+     */
+    static async invalidateUserTokens(userId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = "UPDATE password_reset_tokens SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL";
+
+            db.run(query, [userId], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const config = require('../config/config');
+const totp = require('../utils/totp');
+
+/**
+ * Servicio de autenticación en dos pasos (TOTP).
+ *
+ * - Enrolamiento: se genera un secreto pendiente (two_factor_secret con two_factor_enabled = 0)
+ *   que solo se activa cuando el usuario demuestra que su app genera códigos válidos.
+ * - Verificación: se acepta ±1 periodo de desfase y se guarda el último paso usado,
+ *   de modo que un mismo código no sirve dos veces.
+ * - Códigos de recuperación: aleatorios, de un solo uso, almacenados como hash SHA-256
+ *   (tienen entropía suficiente, no necesitan un hash lento como bcrypt).
+ * - Políticas: tabla two_factor_policies indica qué roles deben tener 2FA activa.
+ */
+class TwoFactorService {
+    /**
+     * Inicia el enrolamiento: genera y guarda un secreto pendiente de confirmar.
+     * @param {User} user
+     * @returns {Promise<{secret: string, otpauthUrl: string}>}
+     */
+    static async startEnrollment(user) {
+        const secret = totp.generateSecret();
+
+        await user.update({
+            twoFactorSecret: secret,
+            twoFactorEnabled: false,
+            twoFactorLastStep: null
+        });
+
+        return {
+            secret,
+            otpauthUrl: totp.buildProvisioningUri({
+                secret,
+                accountName: user.email,
+                issuer: config.twoFactor.issuer
+            })
+        };
+    }
+
+    /**
+     * Verifica un código TOTP del usuario y registra el paso usado (anti-reuso).
+     * El paso se registra con un UPDATE condicional: de dos verificaciones simultáneas
+     * del mismo código solo una lo consigue.
+     * @param {User} user
+     * @param {string} code
+     * @returns {Promise<boolean>}
+     */
+    static async verifyCode(user, code) {
+        if (!user.twoFactorSecret) {
+            return false;
+        }
+
+        const step = totp.verifyCode(user.twoFactorSecret, code);
+        if (step === null) {
+            return false;
+        }
+
+        // Rechazar códigos de un paso ya usado (o anterior)
+        const { changes } = await database.run(
+            `UPDATE users SET two_factor_last_step = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+            [step, user.id, step]
+        );
+        if (changes !== 1) {
+            return false;
+        }
+
+        user.twoFactorLastStep = step;
+        return true;
+    }
+
+    /**
+     * Confirma el enrolamiento pendiente y genera los códigos de recuperación.
+     * @param {User} user
+     * @returns {Promise<string[]>} códigos de recuperación en texto plano (se muestran una sola vez)
+     */
+    static async activate(user) {
+        await user.update({ twoFactorEnabled: true });
+        user.twoFactorEnabled = true;
+
+        return TwoFactorService.generateRecoveryCodes(user.id);
+    }
+
+    /**
+     * Desactiva la 2FA del usuario y elimina secreto y códigos de recuperación
+     * (lo usan tanto el propio usuario como el reset de un admin).
+     * @param {User} user
+     * @returns {Promise<void>}
+     */
+    static async disable(user) {
+        await user.update({
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorLastStep: null
+        });
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = null;
+        user.twoFactorLastStep = null;
+
+        await TwoFactorService.deleteRecoveryCodes(user.id);
+    }
+
+    /**
+     * Genera un nuevo juego de códigos de recuperación (invalida los anteriores).
+     * @param {number} userId
+     * @returns {Promise<string[]>} códigos en texto plano con formato xxxxx-xxxxx
+     */
+    static async generateRecoveryCodes(userId) {
+        await TwoFactorService.deleteRecoveryCodes(userId);
+
+        const codes = [];
+        for (let i = 0; i < config.twoFactor.recoveryCodes; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+        }
+
+        for (const code of codes) {
+            await new Promise((resolve, reject) => {
+                const db = database.getDb();
+                const query = 'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)';
+
+                db.run(query, [userId, TwoFactorService.hashRecoveryCode(code)], (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        return codes;
+    }
+
+    /**
+     * Consume un código de recuperación si es válido y no se ha usado.
+     * @param {number} userId
+     * @param {string} code
+     * @returns {Promise<boolean>}
+     */
+    static async consumeRecoveryCode(userId, code) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                UPDATE two_factor_recovery_codes SET used_at = datetime('now')
+                WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+            `;
+
+            db.run(query, [userId, TwoFactorService.hashRecoveryCode(code)], function (err) {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(this.changes > 0);
+            });
+        });
+    }
+
+    /**
+     * Cuenta los códigos de recuperación sin usar.
+     * @param {number} userId
+     * @returns {Promise<number>}
+     */
+    static async countRemainingRecoveryCodes(userId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = 'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+
+            db.get(query, [userId], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(row.count);
+            });
+        });
+    }
+
+    /**
+     * Elimina todos los códigos de recuperación de un usuario.
+     * @param {number} userId
+     * @returns {Promise<void>}
+     */
+    static async deleteRecoveryCodes(userId) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Hash de un código de recuperación (normaliza mayúsculas y guiones).
+     * @param {string} code
+     * @returns {string}
+     */
+    static hashRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Indica si la 2FA es obligatoria para un rol.
+     * @param {string} role
+     * @returns {Promise<boolean>}
+     */
+    static async isRequiredForRole(role) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.get('SELECT required FROM two_factor_policies WHERE role = ?', [role], (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(!!(row && row.required));
+            });
+        });
+    }
+
+    /**
+     * Indica si el usuario debe enrolarse antes de poder usar endpoints protegidos.
+     * @param {User} user
+     * @returns {Promise<boolean>}
+     */
+    static async isSetupRequired(user) {
+        if (user.twoFactorEnabled) {
+            return false;
+        }
+
+        return TwoFactorService.isRequiredForRole(user.role);
+    }
+
+    /**
+     * Lista las políticas 2FA por rol.
+     * @returns {Promise<Array<{role: string, required: boolean, updatedAt: string}>>}
+     */
+    static async getPolicies() {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+
+            db.all('SELECT * FROM two_factor_policies ORDER BY role', [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows.map(row => ({
+                    role: row.role,
+                    required: !!row.required,
+                    updatedAt: row.updated_at
+                })));
+            });
+        });
+    }
+
+    /**
+     * Define si la 2FA es obligatoria para un rol (crea o actualiza la política).
+     * @param {string} role
+     * @param {boolean} required
+     * @returns {Promise<void>}
+     */
+    static async setPolicy(role, required) {
+        return new Promise((resolve, reject) => {
+            const db = database.getDb();
+            const query = `
+                INSERT INTO two_factor_policies (role, required, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(role) DO UPDATE SET required = excluded.required, updated_at = CURRENT_TIMESTAMP
+            `;
+
+            db.run(query, [role, required ? 1 : 0], (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = TwoFactorService;
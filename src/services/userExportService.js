@@ -0,0 +1,175 @@
+const xlsx = require('xlsx');
+const User = require('../models/user');
+
+/**
+ * Servicio de exportación de usuarios (GET /api/users/export).
+ *
+ * - Nunca exporta credenciales: solo las columnas de COLUMNS (sin password ni datos 2FA).
+ * - Las cabeceras de XLSX y CSV son las del Excel espejo (first_name, employee_code, ...) y JSON usa
+ *   los nombres de la API (firstName, employeeCode, ...); ambos se pueden volver a importar.
+ * - Los usuarios se leen por lotes con paginación por cursor. CSV y JSON se escriben en la respuesta
+ *   lote a lote respetando la contrapresión; XLSX es un zip que solo se puede generar completo,
+ *   así que los lotes se van agregando a la hoja y el archivo se envía al final.
+ */
+
+//Columnas exportables: nombre en la API -> cabecera en XLSX/CSV (la del Excel espejo)
+const COLUMN_HEADERS = {
+    id: 'id',
+    firstName: 'first_name',
+    lastName: 'last_name',
+    email: 'email',
+    role: 'role',
+    status: 'status',
+    phone: 'phone',
+    documentNumber: 'document_number',
+    employeeCode: 'employee_code',
+    licenseNumber: 'license_number',
+    licenseExpiresAt: 'license_expires_at',
+    preferredLanguage: 'preferred_language',
+    depot: 'depot',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+const FORMATS = {
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+//Usuarios leídos de la BD por lote
+const BATCH_SIZE = 500;
+
+/**
+ * Escapa un valor para CSV (RFC 4180): entre comillas si contiene separador, comillas o saltos de línea.
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class UserExportService {
+    /**
+     * Recorre los usuarios que cumplen los filtros, en lotes de BATCH_SIZE.
+     * @param {Object} filters - ver User.buildSearchConditions
+     * @param {Object} options - { sort, order }
+     * @yields {User[]}
+     */
+    static async *batches(filters, { sort, order }) {
+        let cursor = null;
+        let hasMore = true;
+
+        while (hasMore) {
+            const result = await User.search(filters, { sort, order, limit: BATCH_SIZE, page: 1, cursor });
+            if (result.users.length === 0) {
+                return;
+            }
+
+            yield result.users;
+
+            const last = result.users[result.users.length - 1];
+            cursor = { value: last[sort], id: last.id, direction: 'next' };
+            hasMore = result.hasMore;
+        }
+    }
+
+    /**
+     * Escribe en la respuesta respetando la contrapresión (espera 'drain' si el buffer está lleno).
+     * @param {Response} res
+     * @param {string} chunk
+     * @returns {Promise<void>}
+     */
+    static write(res, chunk) {
+        if (res.write(chunk)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onDrain = () => {
+                res.off('close', onClose);
+                resolve();
+            };
+            const onClose = () => {
+                res.off('drain', onDrain);
+                reject(new Error('Client closed the connection'));
+            };
+
+            res.once('drain', onDrain);
+            res.once('close', onClose);
+        });
+    }
+
+    /**
+     * Envía la exportación como archivo adjunto.
+     * Una vez enviadas las cabeceras un error ya no se puede responder como JSON: se corta la conexión.
+     * @param {Response} res
+     * @param {Object} options
+     * @param {string} options.format - 'xlsx', 'csv' o 'json'
+     * @param {string[]} options.columns - nombres de COLUMNS
+     * @param {Object} options.filters - ver User.buildSearchConditions
+     * @param {string} options.sort
+     * @param {string} options.order
+     * @returns {Promise<number>} cantidad de usuarios exportados
+     */
+    static async send(res, { format, columns, filters, sort, order }) {
+        const { contentType, extension } = FORMATS[format];
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="users-${timestamp}.${extension}"`);
+
+        const rowsFor = users => users.map(user => columns.map(column => user[column] === undefined ? null : user[column]));
+        let count = 0;
+
+        if (format === 'xlsx') {
+            const worksheet = xlsx.utils.aoa_to_sheet([columns.map(column => COLUMN_HEADERS[column])]);
+            for await (const users of UserExportService.batches(filters, { sort, order })) {
+                xlsx.utils.sheet_add_aoa(worksheet, rowsFor(users), { origin: -1 });
+                count += users.length;
+            }
+
+            const workbook = xlsx.utils.book_new();
+            xlsx.utils.book_append_sheet(workbook, worksheet, 'Users');
+            res.end(xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+            return count;
+        }
+
+        try {
+            if (format === 'csv') {
+                // BOM para que Excel abra el CSV como UTF-8 (acentos, ñ)
+                await UserExportService.write(res, `\uFEFF${columns.map(column => COLUMN_HEADERS[column]).join(',')}\r\n`);
+                for await (const users of UserExportService.batches(filters, { sort, order })) {
+                    const lines = rowsFor(users).map(row => row.map(toCsvValue).join(','));
+                    await UserExportService.write(res, `${lines.join('\r\n')}\r\n`);
+                    count += users.length;
+                }
+            } else {
+                await UserExportService.write(res, '[');
+                for await (const users of UserExportService.batches(filters, { sort, order })) {
+                    const items = users.map(user => JSON.stringify(Object.fromEntries(columns.map(column => [column, user[column] === undefined ? null : user[column]]))));
+                    await UserExportService.write(res, `${count > 0 ? ',' : ''}\n${items.join(',\n')}`);
+                    count += users.length;
+                }
+                await UserExportService.write(res, '\n]\n');
+            }
+
+            res.end();
+            return count;
+        } catch (error) {
+            res.destroy(error);
+            throw error;
+        }
+    }
+}
+
+UserExportService.COLUMNS = Object.keys(COLUMN_HEADERS);
+UserExportService.COLUMN_HEADERS = COLUMN_HEADERS;
+UserExportService.FORMATS = Object.keys(FORMATS);
+
+module.exports = UserExportService;
@@ -0,0 +1,431 @@
+const xlsx = require('xlsx');
+const { body, validationResult } = require('express-validator');
+const database = require('../config/database');
+const config = require('../config/config');
+const User = require('../models/user');
+const ExcelOutboxService = require('./excelOutboxService');
+const AuditService = require('./auditService');
+const InvitationService = require('./invitationService');
+const PasswordPolicyService = require('./passwordPolicyService');
+const UserExportService = require('./userExportService');
+const { validateUserRegistration, validateUserUpdate } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+/**
+ * Servicio de importación de usuarios desde un archivo subido (POST /api/users/import).
+ *
+ * - Acepta XLSX, CSV o JSON con las columnas de la exportación (first_name o firstName, ...),
+ *   así un archivo exportado se puede volver a importar. Además admite password e invite.
+ * - status 'pending' (usuario invitado en la exportación) invita a las altas y deja igual a los que siguen pendientes.
+ * - La columna password se interpreta según passwordMode (PASSWORD_MODES): 'plaintext' (por defecto, cumple la
+ *   política y se hashea una vez), 'hashed' (hash bcrypt que se guarda tal cual) o 'none' (se ignora y las altas se invitan).
+ * - Cada fila se identifica por email: si el usuario existe es una actualización, si no una alta.
+ *   Las altas se validan como POST /api/users y las actualizaciones como PUT /api/users/:id.
+ * - Una celda vacía no cambia nada: la importación no borra campos.
+ * - En modo dryRun solo se genera el informe; en modo commit las filas válidas se aplican en una
+ *   transacción (un SAVEPOINT por fila) junto con sus filas del Excel (ExcelOutboxService); las invitaciones
+ *   y la auditoría van tras el COMMIT.
+ */
+
+//Cabecera (de la exportación, en snake_case o camelCase) -> campo; id, created_at y updated_at se ignoran
+const HEADER_FIELDS = {};
+for (const [field, header] of Object.entries(UserExportService.COLUMN_HEADERS)) {
+    if (User.EDITABLE_FIELDS.includes(field)) {
+        HEADER_FIELDS[header] = field;
+        HEADER_FIELDS[field] = field;
+    }
+}
+HEADER_FIELDS.password = 'password';
+HEADER_FIELDS.invite = 'invite';
+
+//Reglas de validación de las rutas (sin el middleware final que responde)
+const CREATE_RULES = validateUserRegistration.filter(rule => typeof rule.run === 'function');
+const UPDATE_RULES = validateUserUpdate.filter(rule => typeof rule.run === 'function');
+//El email se normaliza como en las rutas antes de buscar al usuario
+const EMAIL_RULE = body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail();
+
+//Modos de la columna password (ver plan)
+const PASSWORD_MODES = ['plaintext', 'hashed', 'none'];
+
+//Error del archivo completo (formato, vacío, demasiadas filas): responde 400
+class ImportFileError extends Error {}
+
+/**
+ * Valor de una celda como texto; vacío -> undefined (sin cambios).
+ * Las fechas de Excel (celdas de tipo fecha) se convierten a YYYY-MM-DD.
+ * @param {*} value
+ * @returns {string|undefined}
+ */
+const toCellValue = (value) => {
+    if (value === null || value === undefined) {
+        return undefined;
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+
+    const text = String(value).trim();
+    return text === '' ? undefined : text;
+};
+
+class UserImportService {
+    /**
+     * Lee las filas del archivo subido.
+     * @param {Object} file - archivo de multer (buffer, originalname, mimetype)
+     * @returns {Array<{row: number, data: Object}>} número de fila en el archivo y campos de la fila
+     * @throws {ImportFileError}
+     */
+    static parse(file) {
+        const buffer = file.buffer;
+        const text = () => buffer.toString('utf8').replace(/^\uFEFF/, '');
+        let records;
+        let isSheet = true;
+
+        if (buffer.length > 4 && buffer.toString('latin1', 0, 4) === 'PK\x03\x04') {
+            records = UserImportService.readSheet(xlsx.read(buffer, { type: 'buffer', cellDates: true }));
+        } else if (/^\s*\[/.test(text())) {
+            try {
+                records = JSON.parse(text());
+            } catch (error) {
+                throw new ImportFileError('Invalid JSON file');
+            }
+            if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+                throw new ImportFileError('JSON file must be an array of objects');
+            }
+            isSheet = false;
+        } else if (/\.csv$/i.test(file.originalname) || /^text\/(csv|plain)/.test(file.mimetype)) {
+            // raw: los valores del CSV quedan como texto (teléfonos o códigos con ceros a la izquierda)
+            records = UserImportService.readSheet(xlsx.read(text(), { type: 'string', raw: true }));
+        } else {
+            throw new ImportFileError('Unsupported file type. Upload an XLSX, CSV or JSON file');
+        }
+
+        if (records.length === 0) {
+            throw new ImportFileError('The file has no rows');
+        }
+        if (records.length > config.uploads.importMaxRows) {
+            throw new ImportFileError(`Too many rows. Maximum is ${config.uploads.importMaxRows}`);
+        }
+
+        return records.map((record, index) => {
+            const data = {};
+            for (const [header, value] of Object.entries(record)) {
+                const field = HEADER_FIELDS[header.trim()];
+                const cellValue = toCellValue(value);
+                if (field && cellValue !== undefined) {
+                    data[field] = cellValue;
+                }
+            }
+
+            // En hojas la fila 1 es la cabecera; __rowNum__ (0-based) la pone SheetJS y respeta filas vacías
+            const row = isSheet ? (record.__rowNum__ !== undefined ? record.__rowNum__ + 1 : index + 2) : index + 1;
+            return { row, data };
+        });
+    }
+
+    /**
+     * Filas de la primera hoja del libro como objetos (cabecera -> valor).
+     * @param {Object} workbook
+     * @returns {Array<Object>}
+     */
+    static readSheet(workbook) {
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        return worksheet ? xlsx.utils.sheet_to_json(worksheet, { defval: null }) : [];
+    }
+
+    /**
+     * Ejecuta reglas de express-validator sobre los datos de una fila.
+     * @param {Array} rules
+     * @param {Object} data
+     * @returns {Promise<{body: Object, errors: Array<{field: string, message: string}>}>} body ya saneado
+     */
+    static async validate(rules, data) {
+        const req = { body: { ...data } };
+        for (const rule of rules) {
+            await rule.run(req);
+        }
+
+        const errors = validationResult(req).array().map(error => ({ field: error.path, message: error.msg }));
+        return { body: req.body, errors };
+    }
+
+    /**
+     * Decide qué hacer con cada fila sin tocar la base de datos.
+     * @param {Array<{row: number, data: Object}>} rows - resultado de parse
+     * @param {User} currentUser
+     * @param {Object} [options]
+     * @param {string} [options.passwordMode] - uno de PASSWORD_MODES ('plaintext' por defecto)
+     * @returns {Promise<Array<Object>>} un elemento por fila:
+     *          { report: { row, email, action: 'create'|'update'|'unchanged'|'error', changes?, errors? },
+     *            data, existing } (data y existing solo se usan al aplicar)
+     */
+    static async plan(rows, currentUser, { passwordMode = 'plaintext' } = {}) {
+        const items = [];
+        const rowsByEmail = new Map();
+        const rowsByEmployeeCode = new Map();
+
+        for (const { row, data } of rows) {
+            const report = { row, email: data.email || null, action: 'error' };
+            const item = { report, data: null, existing: null };
+            items.push(item);
+
+            const emailCheck = await UserImportService.validate([EMAIL_RULE], { email: data.email });
+            if (emailCheck.errors.length > 0) {
+                report.errors = emailCheck.errors;
+                continue;
+            }
+
+            const email = emailCheck.body.email;
+            report.email = email;
+
+            const existing = await User.findByEmail(email, { includeDeleted: true });
+            const { password, ...rowData } = data;
+            if (passwordMode === 'plaintext' && password !== undefined) {
+                rowData.password = password;
+            }
+            if (passwordMode === 'none' && !existing) {
+                rowData.invite = true;
+            }
+            const statusErrors = UserImportService.checkPendingStatus(rowData, existing);
+
+            const validation = await UserImportService.validate(existing ? UPDATE_RULES : CREATE_RULES, rowData);
+            const values = validation.body;
+            // En 'hashed' la regla de política de un alta (que no recibe contraseña) la reemplaza la comprobación del formato
+            const errors = passwordMode === 'hashed' ? validation.errors.filter(error => error.field !== 'password') : validation.errors;
+            errors.push(...statusErrors);
+            errors.push(...UserImportService.checkPassword(passwordMode, password, values, existing));
+
+            if (rowsByEmail.has(email)) {
+                errors.push({ field: 'email', message: `Duplicate email (also in row ${rowsByEmail.get(email)})` });
+            } else {
+                rowsByEmail.set(email, row);
+            }
+
+            if (values.employeeCode && errors.every(error => error.field !== 'employeeCode')) {
+                const owner = await User.findByEmployeeCode(values.employeeCode);
+                if (rowsByEmployeeCode.has(values.employeeCode)) {
+                    errors.push({ field: 'employeeCode', message: `Duplicate employee code (also in row ${rowsByEmployeeCode.get(values.employeeCode)})` });
+                } else if (owner && owner.email !== email) {
+                    errors.push({ field: 'employeeCode', message: 'User with this employee code already exists' });
+                }
+                rowsByEmployeeCode.set(values.employeeCode, row);
+            }
+
+            errors.push(...(existing
+                ? await UserImportService.checkUpdate(existing, values, currentUser)
+                : UserImportService.checkCreate(values, currentUser)));
+
+            if (errors.length > 0) {
+                report.errors = errors;
+                continue;
+            }
+
+            const fields = User.EDITABLE_FIELDS.filter(field => values[field] !== undefined && values[field] !== '');
+            if (values.passwordHash) {
+                fields.push('password');
+            }
+            const changes = existing
+                ? fields.filter(field => field === 'password' || String(existing[field] ?? '') !== String(values[field]))
+                : fields;
+
+            report.action = existing ? (changes.length > 0 ? 'update' : 'unchanged') : 'create';
+            if (report.action !== 'unchanged') {
+                report.changes = changes;
+            }
+            if (!existing && values.invite === true) {
+                report.invite = true;
+            }
+
+            item.data = Object.fromEntries(changes.map(field => [field, values[field]]));
+            if (values.passwordHash) {
+                // Hash importado: se guarda tal cual, sin volver a hashearlo
+                item.data.passwordHash = values.passwordHash;
+            }
+            item.existing = existing;
+        }
+
+        return items;
+    }
+
+    /**
+     * Status 'pending' (el que exporta un usuario invitado): no es un status que se pueda asignar, así que
+     * se quita de la fila. Un alta 'pending' se invita; un usuario que sigue 'pending' queda igual y
+     * uno que ya aceptó la invitación no puede volver a ese estado.
+     * @param {Object} rowData - campos de la fila (se modifica)
+     * @param {User|null} existing
+     * @returns {Array<{field: string, message: string}>}
+     */
+    static checkPendingStatus(rowData, existing) {
+        if (rowData.status !== 'pending') {
+            return [];
+        }
+
+        delete rowData.status;
+        if (!existing) {
+            rowData.invite = true;
+        } else if (existing.status !== 'pending') {
+            return [{ field: 'status', message: 'A user who accepted the invitation cannot be set back to pending' }];
+        }
+        return [];
+    }
+
+    /**
+     * Comprueba la celda password según el modo (en 'plaintext' ya la validaron las reglas de la ruta).
+     * En 'hashed' comprueba el formato y deja el hash en values.passwordHash.
+     * @param {string} passwordMode
+     * @param {string|undefined} password - celda password de la fila
+     * @param {Object} values - campos validados (se le agrega passwordHash)
+     * @param {User|null} existing
+     * @returns {Array<{field: string, message: string}>}
+     */
+    static checkPassword(passwordMode, password, values, existing) {
+        if (passwordMode === 'plaintext') {
+            return password !== undefined && User.isPasswordHash(password)
+                ? [{ field: 'password', message: 'Password looks like a bcrypt hash. Import it with passwordMode=hashed' }]
+                : [];
+        }
+        if (passwordMode !== 'hashed') {
+            return [];
+        }
+
+        if (values.invite === true) {
+            return password !== undefined ? [{ field: 'password', message: 'Password must not be provided when sending an invitation' }] : [];
+        }
+        if (password === undefined) {
+            return existing ? [] : [{ field: 'password', message: 'Password hash is required' }];
+        }
+        if (!User.isPasswordHash(password)) {
+            return [{ field: 'password', message: 'Password must be a bcrypt hash when passwordMode is hashed' }];
+        }
+
+        values.passwordHash = password;
+        return [];
+    }
+
+    /**
+     * Reglas de negocio de un alta (además de la validación de campos).
+     * @returns {Array<{field: string, message: string}>}
+     */
+    static checkCreate(values, currentUser) {
+        if (values.role && values.role !== 'user' && !currentUser.hasPermission('roles:assign')) {
+            return [{ field: 'role', message: 'Assigning roles requires the roles:assign permission' }];
+        }
+        return [];
+    }
+
+    /**
+     * Reglas de negocio de una actualización (las mismas que PUT /api/users/:id).
+     * @returns {Promise<Array<{field: string, message: string}>>}
+     */
+    static async checkUpdate(existing, values, currentUser) {
+        if (existing.deletedAt) {
+            return [{ field: 'email', message: 'User with this email was deleted. Restore it instead of importing it' }];
+        }
+        if (await existing.exceedsPermissionsOf(currentUser)) {
+            return [{ field: 'email', message: 'Cannot modify a user with more privileges than yours' }];
+        }
+
+        const errors = [];
+        if (values.role && values.role !== existing.role && !currentUser.hasPermission('roles:assign')) {
+            errors.push({ field: 'role', message: 'Changing roles requires the roles:assign permission' });
+        }
+        if (values.password || values.passwordHash) {
+            if (!currentUser.hasPermission('users:password')) {
+                errors.push({ field: 'password', message: 'Setting passwords requires the users:password permission' });
+            } else if (values.password) {
+                // Solo en texto plano: un hash importado no se puede comprobar contra la política ni el historial
+                const policyErrors = await PasswordPolicyService.validateForUser(existing, values.password);
+                errors.push(...policyErrors.map(message => ({ field: 'password', message })));
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Aplica las altas y actualizaciones planificadas en una transacción.
+     * Una fila que falla al escribirse se deshace sola (SAVEPOINT) y pasa a 'error' en el informe.
+     * @param {Request} req - petición de origen (auditoría)
+     * @param {Array<Object>} items - resultado de plan
+     * @param {User} currentUser
+     * @returns {Promise<void>}
+     */
+    static async apply(req, items, currentUser) {
+        const applied = [];
+
+        await database.transaction(async () => {
+            for (const item of items) {
+                if (item.report.action !== 'create' && item.report.action !== 'update') {
+                    continue;
+                }
+
+                await database.exec('SAVEPOINT import_row');
+                try {
+                    item.user = await UserImportService.applyItem(item);
+                    await database.exec('RELEASE import_row');
+                    applied.push(item);
+                } catch (error) {
+                    await database.exec('ROLLBACK TO import_row');
+                    await database.exec('RELEASE import_row');
+
+                    logger.error('User import row failed:', { row: item.report.row, email: item.report.email, error: error.message });
+                    item.report.action = 'error';
+                    item.report.errors = [{ field: null, message: 'Server error' }];
+                    delete item.report.changes;
+                }
+            }
+        });
+
+        await UserImportService.applyEffects(req, applied, currentUser);
+    }
+
+    /**
+     * Escribe una fila en la BD.
+     * @returns {Promise<User>} el usuario ya guardado
+     */
+    static async applyItem({ report, data, existing }) {
+        if (existing) {
+            await existing.update(data);
+            await ExcelOutboxService.enqueueUpsert(existing.id, existing.email);
+            return User.findById(existing.id);
+        }
+
+        const userId = await User.create({
+            ...data,
+            password: report.invite ? undefined : data.password,
+            role: data.role || 'user',
+            status: report.invite ? 'pending' : (data.status || 'active')
+        });
+        await ExcelOutboxService.enqueueUpsert(userId, data.email);
+        return User.findById(userId);
+    }
+
+    /**
+     * Efectos tras el COMMIT: invitaciones y auditoría (las filas del Excel se encolaron con cada usuario).
+     */
+    static async applyEffects(req, applied, currentUser) {
+        const created = applied.filter(item => item.report.action === 'create');
+
+        for (const { report, user } of created) {
+            if (report.invite) {
+                await InvitationService.invite(user, currentUser.id);
+            }
+        }
+
+        for (const { report, user, existing } of applied) {
+            await AuditService.record(req, report.action === 'create' ? (report.invite ? 'user.invite' : 'user.create') : 'user.update', {
+                targetType: 'user',
+                targetId: user.id,
+                before: existing || null,
+                after: user,
+                metadata: { source: 'import', row: report.row, ...(existing && report.changes.includes('password') ? { passwordChanged: true } : {}) }
+            });
+        }
+    }
+}
+
+UserImportService.ImportFileError = ImportFileError;
+UserImportService.PASSWORD_MODES = PASSWORD_MODES;
+//Reglas de validación de una actualización (también las usa la sincronización con el Excel)
+UserImportService.UPDATE_RULES = UPDATE_RULES;
+
+module.exports = UserImportService;
@@ -1,5 +1,7 @@
-const User = require('../models/User');
-const excelService = require('./excelService');
+const User = require('../models/user');
+const database = require('../config/database');
+const ExcelOutboxService = require('./excelOutboxService');
+const ExcelSyncService = require('./excelSyncService');
 
 /**
  * Servicio encargado de la gestión de usuarios
@@ -8,51 +10,30 @@ const excelService = require('./excelService');
  */
 class UserService {
   /**
-   * Inicializa los usuarios desde Excel al iniciar la aplicación.
+   * Sincroniza la BD con el Excel al iniciar la aplicación (ver ExcelSyncService).
    * 
-   * - Lee los usuarios almacenados en el archivo Excel.
-   * - Por cada usuario:
-   *   - Verifica si ya existe en la base de datos (por su email).
-   *   - Si no existe y tiene `email` y `password`, lo inserta en la DB.
-   *   - Se asume que la contraseña ya está hasheada en el Excel.
+   * - Crea en la BD los usuarios que solo están en el Excel (invitados, o con la contraseña de su fila
+   *   según config.excel.passwordMode).
+   * - Aplica los cambios hechos en el Excel o en la BD desde la última sincronización,
+   *   con la política de conflictos de config.excel.syncConflictPolicy.
+   * - Una sincronización abortada (ej. Excel vacío) solo se registra: no impide el arranque.
    * 
-   * @returns {number} processedCount - Número de usuarios creados en la base de datos.
+   * @returns {Object|null} summary - Resumen de la sincronización, o `null` si no se pudo ejecutar.
    */
   static async initializeUsersFromExcel() {
     try {
       console.log('Initializing users from Excel...');
       
-      // Leer usuarios desde Excel
-      const excelUsers = excelService.readUsersFromExcel();
-      let processedCount = 0;
+      const { runId, summary } = await ExcelSyncService.run({ source: 'startup' });
       
-      for (const excelUser of excelUsers) {
-        try {
-          // Verificar si ya existe por email
-          const existingUser = await User.findByEmail(excelUser.email);
-          
-          if (!existingUser && excelUser.email && excelUser.password) {
-            // Crear el usuario en DB (la password ya está hasheada en el Excel)
-            await User.create({
-              firstName: excelUser.firstName,
-              lastName: excelUser.lastName,
-              email: excelUser.email,
-              password: excelUser.password,
-              role: excelUser.role || 'user',
-              status: excelUser.status || 'active'
-            });
-            
-            processedCount++;
-          }
-        } catch (userError) {
-          console.error(`Failed to create user ${excelUser.email}:`, userError.message);
-        }
-      }
-      
-      console.log(`Users initialization completed. ${processedCount} users processed.`);
-      return processedCount;
+      console.log(`Users initialization completed (sync run ${runId}). ${summary.created} created, ${summary.updated} updated, ${summary.deactivated} deactivated, ${summary.exported} exported, ${summary.conflicts} conflicts, ${summary.errors} errors.`);
+      return summary;
       
     } catch (error) {
+      if (error instanceof ExcelSyncService.SyncError) {
+        console.warn(`Users initialization skipped: ${error.message}`);
+        return null;
+      }
       console.error('Error initializing users from Excel:', error);
       throw error;
     }
@@ -63,7 +44,7 @@ class UserService {
    * 
    * - Busca todos los usuarios en la base de datos.
    * - Si no existe ninguno, crea un administrador inicial con credenciales por defecto.
-   * - Luego sincroniza también este usuario con el archivo Excel.
+   * - Encola también su fila del archivo Excel (ver ExcelOutboxService).
    * 
    * ⚠️ Nota: La contraseña definida aquí (`Admin123!`) debe ser hasheada
    * en el proceso de creación de usuario.
@@ -86,22 +67,13 @@ class UserService {
           status: 'active'
         };
         
-        // Crear el admin en la DB
-        const adminId = await User.create(defaultAdmin);
-        console.log(`Default admin created with ID: ${adminId}`);
-        
-        // Recuperar el usuario ya guardado (con la contraseña hasheada)
-        const adminUser = await User.findById(adminId);
-
-        // Guardar también en Excel
-        await excelService.addUserToExcel({
-          firstName: defaultAdmin.firstName,
-          lastName: defaultAdmin.lastName,
-          email: defaultAdmin.email,
-          password: adminUser.password, // Guardar la versión hasheada
-          role: defaultAdmin.role,
-          status: defaultAdmin.status
+        // Crear el admin en la DB y encolar también su fila del Excel
+        const adminId = await database.transaction(async () => {
+          const createdId = await User.create(defaultAdmin);
+          await ExcelOutboxService.enqueueUpsert(createdId, defaultAdmin.email);
+          return createdId;
         });
+        console.log(`Default admin created with ID: ${adminId}`);
         
         return adminId;
       }
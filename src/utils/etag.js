@@ -0,0 +1,34 @@
+/**
+ * Utilidades de ETag para el control de concurrencia optimista.
+ *
+ * - El ETag de un recurso es su columna version entre comillas (ej. "3").
+ * - If-Match acepta una lista separada por comas, '*' o ETags débiles (W/"3"):
+ *   la comparación solo usa la version.
+ */
+
+/**
+ * ETag de una version.
+ * @param {number} version
+ * @returns {string} ej. '"3"'
+ */
+function formatETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Indica si una cabecera If-Match coincide con la version actual.
+ * @param {string} header - valor de If-Match
+ * @param {number} version - version actual del recurso
+ * @returns {boolean}
+ */
+function matchesIfMatch(header, version) {
+  return String(header)
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag.replace(/^W\//, '') === formatETag(version));
+}
+
+module.exports = {
+  formatETag,
+  matchesIfMatch
+};
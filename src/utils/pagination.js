@@ -0,0 +1,58 @@
+/**
+ * Utilidades de paginación para los listados de la API.
+ *
+ * - Cursores opacos (base64url de un JSON) para la paginación por cursor (keyset).
+ * - Enlaces relativos a la petición actual para next/prev, conservando el resto de la query.
+ */
+
+/**
+ * Codifica la posición de un elemento como cursor opaco.
+ * @param {Object} position - ej. { value: '2024-01-01 10:00:00', id: 42, direction: 'next' }
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodifica un cursor generado por encodeCursor.
+ * @param {string} cursor
+ * @returns {Object|null} la posición, o null si el cursor no es válido
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!position || typeof position !== 'object' || !Number.isInteger(position.id)) {
+      return null;
+    }
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Construye un enlace a la misma ruta de la petición cambiando algunos parámetros de la query.
+ * @param {Request} req
+ * @param {Object} params - parámetros a fijar; un valor null/undefined los elimina
+ * @returns {string} ruta relativa con query (ej. '/api/users?page=2&limit=50')
+ */
+function buildLink(req, params) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+
+  for (const [name, value] of Object.entries(params)) {
+    if (value === null || value === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, String(value));
+    }
+  }
+
+  return `${url.pathname}${url.search}`;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildLink
+};
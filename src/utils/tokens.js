@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Utilidades para tokens opacos de un solo uso (reset de contraseña, invitaciones...).
+ *
+ * - El valor en claro solo viaja al usuario (enlace por correo).
+ * - En la BD se guarda su hash SHA-256: al ser aleatorios de 256 bits no necesitan
+ *   un hash lento como bcrypt y permiten buscar por igualdad.
+ */
+
+/**
+ * Genera un token aleatorio en hexadecimal.
+ * @param {number} [bytes=32]
+ * @returns {string}
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hash SHA-256 de un token.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+/**
+ * Utilidades TOTP (RFC 6238) sobre HOTP (RFC 4226).
+ *
+ * - Los secretos se intercambian en Base32 (RFC 4648), que es lo que esperan
+ *   las apps autenticadoras (Google Authenticator, Authy, etc.).
+ * - Parámetros fijos compatibles con todas las apps: SHA1, 6 dígitos, periodo de 30s.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // segundos
+
+/**
+ * Codifica un buffer en Base32 (sin padding).
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica un string Base32 (ignora padding, espacios y mayúsculas/minúsculas).
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Genera un secreto aleatorio de 160 bits (tamaño recomendado para SHA1) en Base32.
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcula el código para un paso de tiempo concreto (HOTP con contador = paso).
+ * @param {string} secret - secreto en Base32
+ * @param {number} step - número de periodos de 30s desde epoch
+ * @returns {string} código de 6 dígitos
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Truncamiento dinámico (RFC 4226, sección 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Paso de tiempo actual.
+ * @param {number} [now=Date.now()] - milisegundos
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD);
+}
+
+/**
+ * Verifica un código aceptando una ventana de ±window pasos para tolerar desfase de reloj.
+ * @param {string} secret - secreto en Base32
+ * @param {string} code - código introducido por el usuario
+ * @param {number} [window=1]
+ * @returns {number|null} paso que coincidió (para evitar reuso) o null si no es válido
+ */
+function verifyCode(secret, code, window = 1) {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const step = currentStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateCode(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(String(code)))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Construye la URI otpauth:// que las apps autenticadoras leen desde un código QR.
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function buildProvisioningUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildProvisioningUri
+};